@@ -0,0 +1,43 @@
+/**
+ * Custom agent cost model for Claude Code Context Command
+ * Separates what an agent costs the main session from what it costs when invoked
+ */
+
+import path from 'path';
+import { parseFrontmatter } from './frontmatter.js';
+
+/**
+ * Parse a .claude/agents/*.md file into its advertised metadata and prompt body
+ * @param {string} content - Agent file content
+ * @param {string} fileName - File name, used when frontmatter has no name
+ * @returns {{name: string, description: string, body: string}}
+ */
+export function parseAgentFile(content, fileName) {
+  const { data, body } = parseFrontmatter(content);
+  return {
+    name: typeof data.name === 'string' && data.name ? data.name : path.basename(fileName, '.md'),
+    description: typeof data.description === 'string' ? data.description : '',
+    body,
+  };
+}
+
+/**
+ * Token cost of one agent.
+ * Only the name and description are listed in the main session's Task tool; the body
+ * becomes the subagent's system prompt and is paid for each time the agent runs.
+ *
+ * @param {string} content - Agent file content
+ * @param {string} fileName - Agent file name
+ * @param {Object} tokenizer - Tokenizer from lib/tokenizer.js
+ * @returns {{name: string, mainTokens: number, invocationTokens: number}}
+ */
+export function measureAgentCost(content, fileName, tokenizer) {
+  const agent = parseAgentFile(content, fileName);
+  return {
+    name: agent.name,
+    mainTokens: tokenizer.count(`- ${agent.name}: ${agent.description}`),
+    invocationTokens: tokenizer.count(agent.body),
+  };
+}
+
+export default { parseAgentFile, measureAgentCost };
@@ -0,0 +1,61 @@
+/**
+ * Command line options for Claude Code Context Command
+ * Pulls --name <value> style options out of the positional mode arguments
+ */
+
+/**
+ * Pull a --name <value> or --name=<value> option out of CLI arguments
+ * @param {string[]} args - Arguments after the script name
+ * @param {string} name - Option name without the leading dashes
+ * @returns {{value: string|null, args: string[]}} Option value and the remaining arguments
+ */
+export function extractOption(args, name) {
+  const flag = `--${name}`;
+  const rest = [];
+  let value = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === flag) {
+      value = args[++i] ?? null;
+    } else if (args[i].startsWith(`${flag}=`)) {
+      value = args[i].slice(flag.length + 1);
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { value, args: rest };
+}
+
+/**
+ * Pull every value of a repeatable --name <value> option out of CLI arguments
+ * @param {string[]} args - Arguments after the script name
+ * @param {string} name - Option name without the leading dashes
+ * @returns {{values: string[], args: string[]}} Option values in order and the remaining arguments
+ */
+export function extractOptions(args, name) {
+  const flag = `--${name}`;
+  const rest = [];
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === flag) {
+      if (i + 1 < args.length) values.push(args[++i]);
+    } else if (args[i].startsWith(`${flag}=`)) {
+      values.push(args[i].slice(flag.length + 1));
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { values, args: rest };
+}
+
+/**
+ * Pull a --name flag without a value out of CLI arguments
+ * @param {string[]} args - Arguments after the script name
+ * @param {string} name - Flag name without the leading dashes
+ * @returns {{present: boolean, args: string[]}} Whether the flag was given and the remaining arguments
+ */
+export function extractFlag(args, name) {
+  const rest = args.filter(arg => arg !== `--${name}`);
+  return { present: rest.length < args.length, args: rest };
+}
+
+export default { extractOption, extractOptions, extractFlag };
@@ -0,0 +1,175 @@
+/**
+ * Context budgets for Claude Code Context Command
+ * Reads .claude/context-budget.json and checks analyzer results against its limits
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { CONTEXT_CATEGORIES } from './context-grid.js';
+
+export const BUDGET_FILE = path.join('.claude', 'context-budget.json');
+
+export const CHECK_FORMATS = ['text', 'json'];
+
+// Category limits accepted at the top level, next to "total"
+const CATEGORY_KEYS = CONTEXT_CATEGORIES.map(({ key }) => key);
+
+// Per-item limits and the kind of check they produce; "*" applies to every item without its own limit
+const ITEM_LIMITS = {
+  perServer: 'mcpServer',
+  perAgent: 'agent',
+  perFile: 'memoryFile',
+};
+
+export const CHECK_KIND_LABELS = {
+  mcpServer: 'MCP server',
+  agent: 'Agent',
+  memoryFile: 'Memory file',
+};
+
+/**
+ * A limit is a token count or a percentage of the model's context window ("25%")
+ * @param {number|string} value - Limit from the budget file
+ * @param {number} contextWindow - Window size of the analyzed model
+ * @returns {number} Tokens
+ */
+export function resolveLimit(value, contextWindow) {
+  if (typeof value === 'string' && /^\d+(\.\d+)?%$/.test(value)) {
+    return Math.floor((parseFloat(value) / 100) * contextWindow);
+  }
+  return value;
+}
+
+function isLimit(value) {
+  return (
+    (typeof value === 'number' && Number.isFinite(value) && value >= 0) ||
+    (typeof value === 'string' && /^\d+(\.\d+)?%$/.test(value))
+  );
+}
+
+/**
+ * Check a parsed budget file, listing every problem at once
+ * @param {Object} budget - Parsed budget file
+ * @returns {string[]} Problems; empty when the budget is valid
+ */
+export function validateBudget(budget) {
+  if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+    return ['the budget must be a JSON object'];
+  }
+
+  const problems = [];
+  for (const [key, value] of Object.entries(budget)) {
+    if (key === '$schema' || key === 'description') continue;
+    if (key === 'total' || CATEGORY_KEYS.includes(key)) {
+      if (!isLimit(value)) problems.push(`"${key}" must be a token count or a percentage like "25%"`);
+    } else if (ITEM_LIMITS[key]) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`"${key}" must map names to limits`);
+        continue;
+      }
+      for (const [name, limit] of Object.entries(value)) {
+        if (!isLimit(limit)) problems.push(`"${key}.${name}" must be a token count or a percentage like "25%"`);
+      }
+    } else {
+      const known = ['total', ...CATEGORY_KEYS, ...Object.keys(ITEM_LIMITS)].join(', ');
+      problems.push(`unknown key "${key}" (expected ${known})`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Read and validate a budget file
+ * @param {string} budgetPath - Budget file location
+ * @returns {Promise<Object|null>} The budget, or null when the file does not exist
+ */
+export async function loadBudget(budgetPath) {
+  let content;
+  try {
+    content = await fs.readFile(budgetPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  let budget;
+  try {
+    budget = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid budget file ${budgetPath}: ${error.message}`);
+  }
+  const problems = validateBudget(budget);
+  if (problems.length > 0) {
+    throw new Error(`Invalid budget file ${budgetPath}: ${problems.join('; ')}`);
+  }
+  return budget;
+}
+
+/**
+ * Memory files are named by their path relative to the project, or absolute outside it
+ * @param {string} filePath - Absolute memory file path
+ * @param {string} projectRoot - Project directory
+ * @returns {string}
+ */
+export function memoryFileName(filePath, projectRoot) {
+  const relative = path.relative(projectRoot, filePath);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative.split(path.sep).join('/');
+}
+
+/**
+ * Compare analyzer results with a budget
+ * @param {Object} results - ContextAnalyzer.results after analyze()
+ * @param {Object} budget - Budget from loadBudget()
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory, for memory file names
+ * @returns {{checks: Array<{kind: string, name: string, tokens: number, limit: number, over: number}>, violations: Array}} name is the category key for category checks
+ */
+export function checkBudget(results, budget, { projectRoot }) {
+  const contextWindow = results.model?.contextWindow || 0;
+  const breakdown = results.breakdown || {};
+  const checks = [];
+  const add = (kind, name, tokens, value) => {
+    const limit = resolveLimit(value, contextWindow);
+    checks.push({ kind, name, tokens, limit, over: Math.max(0, tokens - limit) });
+  };
+
+  if (budget.total !== undefined) {
+    add('total', 'total', results.total || 0, budget.total);
+  }
+  for (const key of CATEGORY_KEYS) {
+    if (budget[key] !== undefined) {
+      add('category', key, results[key] || 0, budget[key]);
+    }
+  }
+
+  const items = {
+    perServer: Object.entries(breakdown.mcpServers || {}),
+    perAgent: Object.values(breakdown.agents || {}).map(agent => [agent.name, agent.mainTokens]),
+    perFile: (breakdown.memoryFiles || []).map(file => [memoryFileName(file.path, projectRoot), file.total]),
+  };
+  for (const [key, kind] of Object.entries(ITEM_LIMITS)) {
+    const limits = budget[key];
+    if (!limits) continue;
+    for (const [name, tokens] of items[key]) {
+      const limit = limits[name] ?? limits['*'];
+      if (limit !== undefined) {
+        add(kind, name, tokens, limit);
+      }
+    }
+  }
+
+  return { checks, violations: checks.filter(check => check.over > 0) };
+}
+
+export default {
+  BUDGET_FILE,
+  CHECK_FORMATS,
+  CHECK_KIND_LABELS,
+  resolveLimit,
+  validateBudget,
+  loadBudget,
+  memoryFileName,
+  checkBudget,
+};
@@ -0,0 +1,86 @@
+/**
+ * Analysis diff for Claude Code Context Command
+ * Compares two snapshots: saved history entries, the current state or another project
+ */
+
+import path from 'path';
+import { CONTEXT_CATEGORIES } from './context-grid.js';
+import { compareSnapshots } from './context-history.js';
+
+// Bump when a field is removed, renamed or changes meaning; adding fields keeps the version
+export const DIFF_SCHEMA_VERSION = 1;
+
+export const DIFF_FORMATS = ['text', 'json', 'markdown'];
+
+/**
+ * Parse a --from/--to reference.
+ * "current" is the project as it is now, a number counts back through the saved
+ * snapshots (1 = latest), "git:<ref>" is the configuration committed at a git revision
+ * and anything else is another project directory.
+ *
+ * @param {string} ref - Reference from the command line
+ * @param {string} [cwd] - Directory relative project paths resolve against
+ * @returns {{type: 'current'}|{type: 'snapshot', index: number}|{type: 'revision', ref: string}|{type: 'project', path: string}}
+ */
+export function parseDiffRef(ref, cwd = process.cwd()) {
+  if (ref === 'current') {
+    return { type: 'current' };
+  }
+  if (ref.startsWith('git:')) {
+    return { type: 'revision', ref: ref.slice('git:'.length) };
+  }
+  if (/^\d+$/.test(ref)) {
+    const index = Number(ref);
+    if (index < 1) {
+      throw new Error('Snapshot numbers start at 1 (the latest snapshot)');
+    }
+    return { type: 'snapshot', index };
+  }
+  return { type: 'project', path: path.resolve(cwd, ref) };
+}
+
+/**
+ * Diff of two labelled snapshots, in the shape written by diff --format json
+ * @param {{label: string, snapshot: Object}} from - Earlier side
+ * @param {{label: string, snapshot: Object}} to - Later side
+ * @param {Object} [options]
+ * @param {string} [options.toolVersion] - Version of the analyzer
+ * @param {Date} [options.generatedAt] - Report time
+ * @returns {Object}
+ */
+export function buildDiffReport(from, to, { toolVersion = 'unknown', generatedAt = new Date() } = {}) {
+  const changes = compareSnapshots(from.snapshot, to.snapshot);
+  const side = ({ label, snapshot }) => ({
+    label,
+    recordedAt: snapshot.recordedAt,
+    model: snapshot.model,
+    total: snapshot.total,
+  });
+
+  return {
+    schemaVersion: DIFF_SCHEMA_VERSION,
+    tool: { name: 'claude-code-context', version: toolVersion },
+    generatedAt: generatedAt.toISOString(),
+    from: side(from),
+    to: side(to),
+    total: { from: from.snapshot.total, to: to.snapshot.total, delta: changes.total },
+    model: changes.model,
+    categories: Object.fromEntries(
+      CONTEXT_CATEGORIES.map(({ key, label }) => [
+        key,
+        {
+          label,
+          from: from.snapshot.categories[key] || 0,
+          to: to.snapshot.categories[key] || 0,
+          delta: changes.categories[key],
+        },
+      ])
+    ),
+    mcpServers: changes.mcpServers,
+    mcpTools: changes.mcpTools,
+    agents: changes.agents,
+    memoryFiles: changes.memoryFiles,
+  };
+}
+
+export default { DIFF_SCHEMA_VERSION, DIFF_FORMATS, parseDiffRef, buildDiffReport };
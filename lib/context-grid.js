@@ -0,0 +1,178 @@
+/**
+ * Context usage grid for Claude Code Context Command
+ * Assigns grid cells to categories in proportion to measured tokens and renders them with a legend
+ */
+
+import { GLYPH_SETS, createRenderer } from './renderer.js';
+
+export const GRID_GLYPHS = GLYPH_SETS.unicode;
+
+/**
+ * Context categories in display order, shared by both analyzers
+ */
+export const CONTEXT_CATEGORIES = [
+  { key: 'systemPrompt', label: 'System prompt' },
+  { key: 'systemTools', label: 'System tools' },
+  { key: 'mcpTools', label: 'MCP tools' },
+  { key: 'customAgents', label: 'Custom agents' },
+  { key: 'memoryFiles', label: 'Memory files' },
+  { key: 'slashCommands', label: 'Slash commands' },
+];
+
+export function formatTokenCount(tokens) {
+  if (tokens >= 1000000) {
+    return `${(tokens / 1000000).toFixed(1)}M`;
+  }
+  if (tokens >= 1000) {
+    return `${(tokens / 1000).toFixed(1)}k`;
+  }
+  return `${tokens}`;
+}
+
+// Token change with its sign, e.g. +1.2k or -300; no change is "0"
+export function formatTokenDelta(tokens) {
+  return tokens === 0 ? '0' : `${tokens < 0 ? '-' : '+'}${formatTokenCount(Math.abs(tokens))}`;
+}
+
+/**
+ * Assign grid cells to categories in proportion to their tokens.
+ * Every non-empty category gets at least one cell; a category whose share ends
+ * part-way through a cell finishes with a partial glyph. The auto-compact
+ * reserve occupies the last cells and free space fills the rest.
+ *
+ * @param {Object} options
+ * @param {Array<{key: string, tokens: number}>} options.segments - Used categories in display order
+ * @param {number} options.capacity - Context window size in tokens
+ * @param {number} [options.reserve] - Auto-compact reserve in tokens
+ * @param {number} [options.cells] - Number of cells in the grid
+ * @param {Object} [options.glyphs] - Glyph set from lib/renderer.js
+ * @returns {Array<{category: string, glyph: string}>}
+ */
+export function buildContextGrid({ segments, capacity, reserve = 0, cells = 100, glyphs = GRID_GLYPHS }) {
+  const tokensPerCell = capacity / cells;
+  const reserveCells = reserve > 0 ? Math.min(cells, Math.max(1, Math.round(reserve / tokensPerCell))) : 0;
+  const usableCells = cells - reserveCells;
+  const grid = [];
+
+  for (const { key, tokens } of segments) {
+    if (!tokens || tokens <= 0) continue;
+
+    const exact = tokens / tokensPerCell;
+    const whole = Math.floor(exact);
+    const fraction = exact - whole;
+
+    let fullCells = whole;
+    let partialCells = 0;
+    if (fraction >= 0.9) {
+      fullCells += 1;
+    } else if (fraction >= 0.1 || whole === 0) {
+      partialCells = 1;
+    }
+
+    for (let i = 0; i < fullCells && grid.length < usableCells; i++) {
+      grid.push({ category: key, glyph: glyphs.full });
+    }
+    if (partialCells && grid.length < usableCells) {
+      grid.push({ category: key, glyph: glyphs.partial });
+    }
+  }
+
+  while (grid.length < usableCells) {
+    grid.push({ category: 'free', glyph: glyphs.free });
+  }
+  for (let i = 0; i < reserveCells; i++) {
+    grid.push({ category: 'reserve', glyph: glyphs.reserve });
+  }
+
+  return grid;
+}
+
+/**
+ * Render grid rows next to legend lines in the /context layout
+ * @param {Array<{category: string, glyph: string}>} grid - Cells from buildContextGrid()
+ * @param {string[]} legend - Lines printed to the right of the grid
+ * @param {Object} [options]
+ * @param {number} [options.columns] - Cells per row
+ * @param {Function} [options.paint] - Optional (cell) => string used to draw each cell
+ * @param {string} [options.corner] - Frame glyph before the first row
+ * @returns {string}
+ */
+export function renderContextGrid(
+  grid,
+  legend,
+  { columns = 10, paint = cell => cell.glyph, corner = GRID_GLYPHS.corner } = {}
+) {
+  const rows = [];
+  for (let i = 0; i < grid.length; i += columns) {
+    rows.push(
+      grid
+        .slice(i, i + columns)
+        .map(paint)
+        .join(' ')
+    );
+  }
+
+  const blankRow = ' '.repeat(columns * 2 - 1);
+  const lineCount = Math.max(rows.length, legend.length);
+  const lines = [];
+  for (let i = 0; i < lineCount; i++) {
+    const prefix = i === 0 ? `  ${corner}  ` : '     ';
+    const text = legend[i] ? `   ${legend[i]}` : '';
+    lines.push(`${prefix}${rows[i] || blankRow}${text}`.trimEnd());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Full context usage block: proportional grid, model header and per-category legend
+ * @param {Object} usage
+ * @param {Object} usage.totals - Tokens per category key (see CONTEXT_CATEGORIES)
+ * @param {{displayName: string, contextWindow: number, autoCompactReserve: number}} usage.model
+ * @param {Object} [usage.renderer] - Renderer from lib/renderer.js (colors and glyph set)
+ * @returns {string}
+ */
+export function formatContextUsage({ totals, model, renderer = createRenderer() }) {
+  const { glyphs } = renderer;
+  const capacity = model.contextWindow;
+  const reserve = model.autoCompactReserve || 0;
+  const used = CONTEXT_CATEGORIES.reduce((sum, { key }) => sum + (totals[key] || 0), 0);
+  const freeSpace = Math.max(0, capacity - used - reserve);
+  const share = tokens => ((tokens / capacity) * 100).toFixed(1);
+
+  const grid = buildContextGrid({
+    segments: CONTEXT_CATEGORIES.map(({ key }) => ({ key, tokens: totals[key] || 0 })),
+    capacity,
+    reserve,
+    glyphs,
+  });
+
+  const legend = [
+    'Context Usage',
+    `${model.displayName} • ${formatTokenCount(used)}/${formatTokenCount(capacity)} tokens (${((used / capacity) * 100).toFixed(0)}%)`,
+    ...CONTEXT_CATEGORIES.map(({ key, label }) => {
+      const tokens = totals[key] || 0;
+      return `${renderer.paint(key, glyphs.full)} ${label}: ${formatTokenCount(tokens)} tokens (${share(tokens)}%)`;
+    }),
+    `${renderer.paint('free', glyphs.free)} Free space: ${formatTokenCount(freeSpace)} (${share(freeSpace)}%)`,
+  ];
+  if (reserve > 0) {
+    legend.push(
+      `${renderer.paint('reserve', glyphs.reserve)} Autocompact buffer: ${formatTokenCount(reserve)} tokens (${share(reserve)}%)`
+    );
+  }
+
+  return renderContextGrid(grid, legend, {
+    paint: cell => renderer.paint(cell.category, cell.glyph),
+    corner: glyphs.corner,
+  });
+}
+
+export default {
+  GRID_GLYPHS,
+  CONTEXT_CATEGORIES,
+  formatTokenCount,
+  formatTokenDelta,
+  buildContextGrid,
+  renderContextGrid,
+  formatContextUsage,
+};
@@ -0,0 +1,233 @@
+/**
+ * Snapshot history for Claude Code Context Command
+ * Appends one line per analysis to ~/.claude/context-history/<project>.jsonl and compares runs
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { CONTEXT_CATEGORIES } from './context-grid.js';
+import { getProjectSlug } from './session-transcripts.js';
+
+// Bump when a snapshot field is removed, renamed or changes meaning
+export const SNAPSHOT_VERSION = 1;
+
+// Eight levels, lowest to highest; the renderer maps them to ASCII for TERM=dumb
+export const SPARK_LEVELS = '▁▂▃▄▅▆▇█';
+
+/**
+ * History is on unless CLAUDE_CONTEXT_HISTORY is "0", "false" or "off"
+ * @param {Object} [env] - Environment variables
+ * @returns {boolean}
+ */
+export function isHistoryEnabled(env = process.env) {
+  return !['0', 'false', 'off'].includes((env.CLAUDE_CONTEXT_HISTORY || '').toLowerCase());
+}
+
+/**
+ * Per-project history file, named like the project's transcript directory
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude
+ * @returns {string}
+ */
+export function getHistoryPath({ projectRoot, homeDir = os.homedir() }) {
+  return path.join(homeDir, '.claude', 'context-history', `${getProjectSlug(projectRoot)}.jsonl`);
+}
+
+/**
+ * Snapshot of one analysis: category totals plus per-server, per-tool, per-agent and
+ * per-memory-file tokens, enough to tell which server or CLAUDE.md changed between two runs
+ *
+ * @param {Object} options
+ * @param {Object<string, number>} options.totals - Tokens per context category
+ * @param {Object} [options.model] - Resolved model (id, contextWindow)
+ * @param {Object<string, number>} [options.mcpServers] - Tokens per active MCP server
+ * @param {Object<string, Object<string, number>>} [options.mcpTools] - Tokens per tool, by server
+ * @param {Object<string, number>} [options.agents] - Main-context tokens per agent file
+ * @param {Object<string, number>} [options.memoryFiles] - Tokens per memory file path, imports included
+ * @param {string} [options.mode] - Analyzer mode that produced the snapshot
+ * @param {Date} [options.recordedAt] - Snapshot time
+ * @returns {Object}
+ */
+export function createSnapshot({
+  totals,
+  model = {},
+  mcpServers = {},
+  mcpTools = {},
+  agents = {},
+  memoryFiles = {},
+  mode,
+  recordedAt = new Date(),
+}) {
+  const categories = Object.fromEntries(CONTEXT_CATEGORIES.map(({ key }) => [key, totals[key] || 0]));
+  return {
+    version: SNAPSHOT_VERSION,
+    recordedAt: recordedAt.toISOString(),
+    mode: mode || null,
+    model: model.id || null,
+    contextWindow: model.contextWindow || null,
+    total: Object.values(categories).reduce((sum, tokens) => sum + tokens, 0),
+    categories,
+    mcpServers,
+    mcpTools,
+    agents,
+    memoryFiles,
+  };
+}
+
+/**
+ * Snapshot of ContextAnalyzer results
+ * @param {Object} results - ContextAnalyzer.results after analyze()
+ * @param {Object} [options] - mode and recordedAt, as for createSnapshot()
+ * @returns {Object}
+ */
+export function snapshotFromResults(results, options = {}) {
+  const breakdown = results.breakdown || {};
+  return createSnapshot({
+    totals: results,
+    model: results.model,
+    mcpServers: breakdown.mcpServers || {},
+    mcpTools: Object.fromEntries(
+      Object.entries(breakdown.mcpToolsDetailed || {}).map(([server, tools]) => [
+        server,
+        Object.fromEntries(tools.map(tool => [tool.name, tool.tokens])),
+      ])
+    ),
+    agents: Object.fromEntries(Object.entries(breakdown.agents || {}).map(([file, agent]) => [file, agent.mainTokens])),
+    memoryFiles: Object.fromEntries((breakdown.memoryFiles || []).map(file => [file.path, file.total])),
+    ...options,
+  });
+}
+
+/**
+ * Append a snapshot to the project's history file
+ * @param {Object} snapshot - From createSnapshot()
+ * @param {Object} options - projectRoot and homeDir, as for getHistoryPath()
+ * @returns {Promise<string>} History file path
+ */
+export async function appendSnapshot(snapshot, options) {
+  const historyPath = getHistoryPath(options);
+  await fs.mkdir(path.dirname(historyPath), { recursive: true });
+  // One line per write keeps concurrent runs from interleaving partial records
+  await fs.appendFile(historyPath, `${JSON.stringify(snapshot)}\n`, 'utf8');
+  return historyPath;
+}
+
+/**
+ * Read a project's snapshots, oldest first. Lines that are not valid snapshots are skipped.
+ * @param {Object} options - projectRoot and homeDir, as for getHistoryPath()
+ * @returns {Promise<Object[]>}
+ */
+export async function readHistory(options) {
+  let content;
+  try {
+    content = await fs.readFile(getHistoryPath(options), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const snapshot = JSON.parse(line);
+      if (snapshot?.version === SNAPSHOT_VERSION && typeof snapshot.total === 'number') {
+        snapshots.push(snapshot);
+      }
+    } catch {
+      // A run interrupted mid-write leaves a partial line; the rest of the history is still usable
+    }
+  }
+  return snapshots;
+}
+
+// Entries added, removed or resized between two name -> tokens maps, largest change first
+function diffEntries(before = {}, after = {}) {
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const name of names) {
+    const from = before[name] ?? null;
+    const to = after[name] ?? null;
+    if (from === to) continue;
+    const status = from === null ? 'added' : to === null ? 'removed' : 'changed';
+    changes.push({ name, status, from, to, delta: (to || 0) - (from || 0) });
+  }
+  return changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+// Tool changes of servers present in both snapshots; a new server's tools are implied by the server
+function diffTools(before, after) {
+  return Object.keys(after)
+    .filter(server => before[server])
+    .flatMap(server => diffEntries(before[server], after[server]))
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+/**
+ * What changed between two snapshots.
+ * Tools and agents are null when either snapshot predates them.
+ *
+ * @param {Object} previous - Earlier snapshot
+ * @param {Object} current - Later snapshot
+ * @returns {{total: number, categories: Object<string, number>, mcpServers: Object[], mcpTools: Object[]|null, agents: Object[]|null, memoryFiles: Object[], model: Object|null}}
+ */
+export function compareSnapshots(previous, current) {
+  const bothHave = field => Boolean(previous[field] && current[field]);
+  return {
+    total: current.total - previous.total,
+    categories: Object.fromEntries(
+      CONTEXT_CATEGORIES.map(({ key }) => [key, (current.categories[key] || 0) - (previous.categories[key] || 0)])
+    ),
+    mcpServers: diffEntries(previous.mcpServers, current.mcpServers),
+    mcpTools: bothHave('mcpTools') ? diffTools(previous.mcpTools, current.mcpTools) : null,
+    agents: bothHave('agents') ? diffEntries(previous.agents, current.agents) : null,
+    memoryFiles: diffEntries(previous.memoryFiles, current.memoryFiles),
+    model: previous.model !== current.model ? { from: previous.model, to: current.model } : null,
+  };
+}
+
+/**
+ * Snapshot time as local "YYYY-MM-DD HH:MM"
+ * @param {string} recordedAt - ISO timestamp
+ * @returns {string}
+ */
+export function formatSnapshotTime(recordedAt) {
+  const date = new Date(recordedAt);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * One character per value, scaled between the smallest and largest value
+ * @param {number[]} values
+ * @returns {string}
+ */
+export function sparkline(values) {
+  if (values.length === 0) {
+    return '';
+  }
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  const top = SPARK_LEVELS.length - 1;
+  return values
+    .map(value => SPARK_LEVELS[range === 0 ? Math.floor(top / 2) : Math.round(((value - min) / range) * top)])
+    .join('');
+}
+
+export default {
+  SNAPSHOT_VERSION,
+  SPARK_LEVELS,
+  isHistoryEnabled,
+  getHistoryPath,
+  createSnapshot,
+  snapshotFromResults,
+  appendSnapshot,
+  readHistory,
+  compareSnapshots,
+  formatSnapshotTime,
+  sparkline,
+};
@@ -0,0 +1,280 @@
+/**
+ * Applying recommendations for Claude Code Context Command
+ * Turns recommendation actions into file changes, applies them with a backup and undoes the last run
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { SecureFileOperations } from './security.js';
+import { getProjectSlug } from './session-transcripts.js';
+
+// Relative to .claude; archived agents are out of .claude/agents, where Claude Code loads them, but kept
+export const AGENT_ARCHIVE_DIR = 'archive/agents';
+
+// Bump when a manifest field is removed, renamed or changes meaning
+const BACKUP_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+const asList = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+async function readText(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+}
+
+// Outermost directory of dir that does not exist yet, or null when dir exists
+async function firstMissingDir(dir) {
+  let missing = null;
+  for (let current = dir; !(await exists(current)); current = path.dirname(current)) {
+    missing = current;
+  }
+  return missing;
+}
+
+/**
+ * Directory holding a project's backups, one timestamped directory per applied run
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude
+ * @returns {string}
+ */
+export function getBackupRoot({ projectRoot, homeDir = os.homedir() }) {
+  return path.join(homeDir, '.claude', 'context-backups', getProjectSlug(projectRoot));
+}
+
+/**
+ * File changes for the recommendations that carry an action; nothing is written.
+ * Actions only apply to servers and agents with no calls in the scanned sessions.
+ *
+ * @param {Object[]} recommendations - results.optimization
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory
+ * @returns {Promise<{changes: Array<{recommendation: Object, summary: string}>, operations: Array}>}
+ *   operations are {type: 'write', path, content, previous} (previous is null for a new file) or {type: 'move', from, to}
+ */
+export async function planOptimization(recommendations, { projectRoot }) {
+  const claudeDir = path.join(projectRoot, '.claude');
+  const changes = [];
+  const operations = [];
+
+  // Project servers: opt out in the local settings, which are not checked in. Only servers never called in
+  // the scanned sessions are disabled by themselves, and never one an overlap recommendation says to keep
+  const kept = new Set(recommendations.map(({ keep }) => keep).filter(Boolean));
+  const servers = recommendations.filter(
+    ({ action }) => action?.type === 'disableMcpjsonServer' && action.calls === 0 && !kept.has(action.server)
+  );
+  if (servers.length > 0) {
+    const settingsPath = path.join(claudeDir, 'settings.local.json');
+    const previous = await readText(settingsPath);
+    let settings = {};
+    if (previous !== null) {
+      try {
+        settings = JSON.parse(previous);
+      } catch (error) {
+        throw new Error(`Cannot update .claude/settings.local.json: ${error.message}`);
+      }
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('Cannot update .claude/settings.local.json: not a JSON object');
+      }
+    }
+
+    const names = new Set(servers.map(({ action }) => action.server));
+    const enabled = asList(settings.enabledMcpjsonServers);
+    const disabled = asList(settings.disabledMcpjsonServers);
+    for (const recommendation of servers) {
+      const name = recommendation.action.server;
+      const steps = [`add "${name}" to disabledMcpjsonServers`];
+      if (enabled.includes(name)) {
+        steps.push('remove it from enabledMcpjsonServers');
+      }
+      if (!disabled.includes(name)) {
+        disabled.push(name);
+      }
+      changes.push({ recommendation, summary: `.claude/settings.local.json: ${steps.join(', ')}` });
+    }
+
+    settings.disabledMcpjsonServers = disabled;
+    if (settings.enabledMcpjsonServers !== undefined) {
+      settings.enabledMcpjsonServers = enabled.filter(name => !names.has(name));
+    }
+    operations.push({ type: 'write', path: settingsPath, content: `${JSON.stringify(settings, null, 2)}\n`, previous });
+  }
+
+  for (const recommendation of recommendations.filter(
+    ({ action }) => action?.type === 'archiveAgent' && action.calls === 0
+  )) {
+    const { file } = recommendation.action;
+    // Agent files sit directly in .claude/agents; anything else is not ours to move
+    if (path.basename(file) !== file) continue;
+    const from = path.join(claudeDir, 'agents', file);
+    const to = path.join(claudeDir, ...AGENT_ARCHIVE_DIR.split('/'), file);
+    if (await exists(to)) {
+      throw new Error(`Cannot archive agent ${file}: .claude/${AGENT_ARCHIVE_DIR}/${file} already exists`);
+    }
+    operations.push({ type: 'move', from, to });
+    changes.push({ recommendation, summary: `move .claude/agents/${file} to .claude/${AGENT_ARCHIVE_DIR}/${file}` });
+  }
+
+  return { changes, operations };
+}
+
+// Undo operations newest first: moves go back, written files get their backup or are removed
+async function restoreOperations(operations, backupDir, files) {
+  for (const operation of [...operations].reverse()) {
+    if (operation.type === 'move') {
+      await fs.mkdir(path.dirname(files.validateFilePath(operation.from)), { recursive: true });
+      await fs.rename(files.validateFilePath(operation.to), operation.from);
+      // Directories the move created go too, deepest first, while they are empty
+      if (operation.createdDir) {
+        const createdDir = files.validateFilePath(operation.createdDir);
+        for (let dir = path.dirname(operation.to); dir.startsWith(createdDir); dir = path.dirname(dir)) {
+          const removed = await fs.rmdir(dir).then(
+            () => true,
+            () => false
+          );
+          if (!removed) break;
+        }
+      }
+    } else if (operation.backup) {
+      await files.writeFile(operation.path, await fs.readFile(path.join(backupDir, operation.backup), 'utf8'));
+    } else {
+      await fs.rm(files.validateFilePath(operation.path), { force: true });
+    }
+  }
+}
+
+/**
+ * Apply a plan. The files it replaces are copied to a timestamped backup first, files are
+ * written atomically, and a run that fails halfway is rolled back.
+ *
+ * @param {Object} plan - From planOptimization()
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory; nothing outside it is changed
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude
+ * @param {Date} [options.now] - Backup time
+ * @returns {Promise<{backupDir: string, manifest: Object}|null>} null when there is nothing to apply
+ */
+export async function applyOptimization(plan, { projectRoot, homeDir = os.homedir(), now = new Date() }) {
+  if (plan.operations.length === 0) {
+    return null;
+  }
+
+  const backupDir = path.join(getBackupRoot({ projectRoot, homeDir }), now.toISOString().replace(/[:.]/g, '-'));
+  const backups = new SecureFileOperations([backupDir]);
+  const files = new SecureFileOperations([projectRoot]);
+  await fs.mkdir(path.join(backupDir, 'files'), { recursive: true });
+
+  const entries = [];
+  for (const [index, operation] of plan.operations.entries()) {
+    if (operation.type === 'move') {
+      const createdDir = await firstMissingDir(path.dirname(operation.to));
+      entries.push({ type: 'move', from: operation.from, to: operation.to, createdDir });
+      continue;
+    }
+    const backup = operation.previous === null ? null : `files/${index}`;
+    if (backup) {
+      await backups.writeFile(path.join(backupDir, backup), operation.previous);
+    }
+    // The hash tells undo whether the file was edited after this run
+    entries.push({ type: 'write', path: operation.path, backup, sha256: sha256(operation.content) });
+  }
+  const manifest = { version: BACKUP_VERSION, createdAt: now.toISOString(), projectRoot, operations: entries };
+  await backups.writeFile(path.join(backupDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const done = [];
+  try {
+    for (const [index, operation] of plan.operations.entries()) {
+      if (operation.type === 'move') {
+        await fs.mkdir(path.dirname(files.validateFilePath(operation.to)), { recursive: true });
+        await fs.rename(files.validateFilePath(operation.from), operation.to);
+      } else {
+        await files.writeFile(operation.path, operation.content);
+      }
+      done.push(entries[index]);
+    }
+  } catch (error) {
+    await restoreOperations(done, backupDir, files);
+    await fs.rm(backupDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return { backupDir, manifest };
+}
+
+/**
+ * Restore the state before the latest applied run and remove its backup, so the next
+ * undo goes one run further back. Files edited since the run are left alone.
+ *
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude
+ * @returns {Promise<{backupDir: string, manifest: Object}|null>} null when there is no backup
+ */
+export async function undoOptimization({ projectRoot, homeDir = os.homedir() }) {
+  const backupRoot = getBackupRoot({ projectRoot, homeDir });
+  let names;
+  try {
+    names = await fs.readdir(backupRoot);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  // ISO timestamps sort chronologically
+  const latest = names
+    .filter(name => /^\d{4}-\d{2}-\d{2}T/.test(name))
+    .sort()
+    .pop();
+  if (!latest) {
+    return null;
+  }
+
+  const backupDir = path.join(backupRoot, latest);
+  const manifest = JSON.parse(await fs.readFile(path.join(backupDir, MANIFEST_FILE), 'utf8'));
+  if (manifest.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version ${manifest.version} in ${backupDir}`);
+  }
+
+  const conflicts = [];
+  for (const operation of manifest.operations) {
+    if (operation.type === 'move') {
+      if (!(await exists(operation.to))) {
+        conflicts.push(`${operation.to} no longer exists`);
+      } else if (await exists(operation.from)) {
+        conflicts.push(`${operation.from} was recreated`);
+      }
+    } else {
+      const current = await readText(operation.path);
+      if (current === null || sha256(current) !== operation.sha256) {
+        conflicts.push(`${operation.path} was changed`);
+      }
+    }
+  }
+  if (conflicts.length > 0) {
+    throw new Error(`Cannot undo: ${conflicts.join('; ')}. The backup is in ${backupDir}`);
+  }
+
+  await restoreOperations(manifest.operations, backupDir, new SecureFileOperations([projectRoot]));
+  await fs.rm(backupDir, { recursive: true, force: true });
+  return { backupDir, manifest };
+}
+
+export default { AGENT_ARCHIVE_DIR, getBackupRoot, planOptimization, applyOptimization, undoOptimization };
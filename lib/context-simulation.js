@@ -0,0 +1,145 @@
+/**
+ * What-if simulation for Claude Code Context Command
+ * Applies hypothetical configuration changes to a copy of analyzer results, without touching any file
+ */
+
+import path from 'path';
+import { CONTEXT_CATEGORIES } from './context-grid.js';
+import { getServerTokens } from './mcp-registry.js';
+
+/**
+ * Free space left in the window once the categories and the auto-compact reserve are counted
+ * @param {number} total - Tokens used
+ * @param {{contextWindow: number, autoCompactReserve?: number}} model - Resolved model
+ * @returns {number}
+ */
+export function contextFreeSpace(total, model) {
+  return Math.max(0, model.contextWindow - total - (model.autoCompactReserve || 0));
+}
+
+// Remove every occurrence of a memory file, imported ones included, and shrink the files importing it
+function dropMemoryFile(files, target) {
+  let found = false;
+  let removed = 0;
+  const kept = [];
+  for (const file of files) {
+    if (file.path === target) {
+      found = true;
+      removed += file.total;
+      continue;
+    }
+    const nested = dropMemoryFile(file.imports || [], target);
+    found ||= nested.found;
+    removed += nested.removed;
+    kept.push(nested.found ? { ...file, imports: nested.files, total: file.total - nested.removed } : file);
+  }
+  return { files: kept, removed, found };
+}
+
+/**
+ * Apply what-if changes to a copy of analyzer results and re-aggregate the category totals.
+ * Every change must match the configuration; the problems are reported together.
+ *
+ * @param {Object} results - ContextAnalyzer.results after analyze()
+ * @param {Object} changes
+ * @param {string[]} [changes.disable] - Active MCP servers to turn off
+ * @param {string[]} [changes.enable] - MCP servers to turn on: inactive ones, or any server the registry knows
+ * @param {string[]} [changes.dropAgents] - Agents to remove, by name or file name
+ * @param {string[]} [changes.dropMemory] - Memory files to remove with their imports, relative to the project or "~/"
+ * @param {Object} [changes.model] - Resolved model to switch to (see resolveModel())
+ * @param {Object} options
+ * @param {Object} options.mcpRegistry - From loadMcpRegistry(), sizes enabled servers
+ * @param {string} options.projectRoot - Project directory
+ * @param {string} options.homeDir - Home directory "~/" stands for
+ * @returns {{results: Object, applied: Array<{change: string, name: string, tokens: number, note?: string}>}} tokens is the signed change
+ */
+export function simulateChanges(results, changes, { mcpRegistry, projectRoot, homeDir }) {
+  const breakdown = results.breakdown || {};
+  const servers = { ...(breakdown.mcpServers || {}) };
+  const tools = { ...(breakdown.mcpToolsDetailed || {}) };
+  const inactive = { ...(breakdown.mcpInactive || {}) };
+  const agents = { ...(breakdown.agents || {}) };
+  let memoryFiles = breakdown.memoryFiles || [];
+  const applied = [];
+  const problems = [];
+
+  for (const name of changes.disable || []) {
+    if (servers[name] === undefined) {
+      problems.push(`MCP server "${name}" is not active`);
+      continue;
+    }
+    applied.push({ change: 'disable', name, tokens: -servers[name] });
+    delete servers[name];
+    delete tools[name];
+  }
+
+  for (const name of changes.enable || []) {
+    if (servers[name] !== undefined) {
+      problems.push(`MCP server "${name}" is already active`);
+      continue;
+    }
+    const server = getServerTokens(mcpRegistry, name);
+    const notes = [
+      inactive[name] ? `currently ${inactive[name].reason}` : 'not configured',
+      ...(server.known ? [] : ['size estimated']),
+    ];
+    applied.push({ change: 'enable', name, tokens: server.total, note: notes.join(', ') });
+    servers[name] = server.total;
+    tools[name] = server.tools;
+    delete inactive[name];
+  }
+
+  for (const name of changes.dropAgents || []) {
+    const file = Object.keys(agents).find(key => key === name || key === `${name}.md` || agents[key].name === name);
+    if (!file) {
+      problems.push(`No agent named "${name}"`);
+      continue;
+    }
+    applied.push({ change: 'dropAgent', name: agents[file].name, tokens: -agents[file].mainTokens });
+    delete agents[file];
+  }
+
+  for (const name of changes.dropMemory || []) {
+    const target = name.startsWith('~/') ? path.join(homeDir, name.slice(2)) : path.resolve(projectRoot, name);
+    const { files, removed, found } = dropMemoryFile(memoryFiles, target);
+    if (!found) {
+      problems.push(`No memory file ${name} is loaded`);
+      continue;
+    }
+    applied.push({ change: 'dropMemory', name, tokens: -removed });
+    memoryFiles = files;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const sum = values => values.reduce((total, tokens) => total + tokens, 0);
+  const virtual = {
+    ...results,
+    breakdown: {
+      ...breakdown,
+      mcpServers: servers,
+      mcpToolsDetailed: tools,
+      mcpInactive: inactive,
+      agents,
+      memoryFiles,
+    },
+    model: changes.model ? { ...changes.model, source: 'simulated' } : results.model,
+  };
+  // Categories without a breakdown hold fallback estimates, which are kept as they are
+  if (changes.disable?.length || changes.enable?.length) {
+    virtual.mcpTools = sum(Object.values(servers));
+  }
+  if (changes.dropAgents?.length) {
+    virtual.customAgents = sum(Object.values(agents).map(agent => agent.mainTokens));
+  }
+  if (changes.dropMemory?.length) {
+    virtual.memoryFiles = sum(memoryFiles.map(file => file.total));
+  }
+  virtual.total = sum(CONTEXT_CATEGORIES.map(({ key }) => virtual[key] || 0));
+
+  return { results: virtual, applied };
+}
+
+export default { contextFreeSpace, simulateChanges };
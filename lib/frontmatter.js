@@ -0,0 +1,94 @@
+/**
+ * Markdown frontmatter parsing for Claude Code Context Command
+ * Reads the YAML subset used by agent and slash command files without external dependencies
+ */
+
+const FRONTMATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value === '') {
+    return '';
+  }
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+    const inner = value.slice(1, -1);
+    return value.startsWith('"') ? inner.replace(/\\"/g, '"').replace(/\\n/g, '\n') : inner.replace(/''/g, "'");
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value
+      .slice(1, -1)
+      .split(',')
+      .map(item => parseScalar(item))
+      .filter(item => item !== '');
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  // Trailing comments are only recognised after whitespace, as in YAML
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Parse the flat key/value YAML used in Claude Code frontmatter: scalars, quoted
+ * strings, inline and block lists, and folded (>) or literal (|) block scalars.
+ */
+export function parseYamlSubset(text) {
+  const data = {};
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim() || line.trimStart().startsWith('#') || /^\s/.test(line)) {
+      continue;
+    }
+
+    const match = line.match(/^([A-Za-z0-9_-]+)\s*:(.*)$/);
+    if (!match) {
+      continue;
+    }
+    const [, key, rest] = match;
+
+    // Collect the indented lines that belong to this key
+    const block = [];
+    while (i + 1 < lines.length && (lines[i + 1].trim() === '' || /^\s/.test(lines[i + 1]))) {
+      block.push(lines[++i]);
+    }
+    while (block.length > 0 && block[block.length - 1].trim() === '') {
+      block.pop();
+    }
+
+    const indicator = rest.trim();
+    if (indicator.startsWith('|') || indicator.startsWith('>')) {
+      const indent = Math.min(...block.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+      const content = block.map(l => l.slice(indent));
+      data[key] = indicator.startsWith('|') ? content.join('\n') : content.join(' ').replace(/\s+/g, ' ').trim();
+    } else if (indicator === '' && block.some(l => l.trim().startsWith('- '))) {
+      data[key] = block.filter(l => l.trim().startsWith('- ')).map(l => parseScalar(l.trim().slice(2)));
+    } else if (block.length > 0) {
+      // Plain multi-line scalar: continuation lines fold into one line
+      data[key] = parseScalar([rest, ...block].map(l => l.trim()).join(' '));
+    } else {
+      data[key] = parseScalar(rest);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Split a markdown file into frontmatter data and body
+ * @param {string} content - File content
+ * @returns {{data: Object, body: string, frontmatter: string}}
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { data: {}, body: content, frontmatter: '' };
+  }
+  return { data: parseYamlSubset(match[1]), body: content.slice(match[0].length), frontmatter: match[1] };
+}
+
+export default { parseFrontmatter, parseYamlSubset };
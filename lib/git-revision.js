@@ -0,0 +1,154 @@
+/**
+ * Git revisions for Claude Code Context Command
+ * Recreates a project's Claude Code configuration at a commit in a scratch directory, without a checkout
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { findImports, MAX_IMPORT_DEPTH } from './memory-discovery.js';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT = 15000;
+const MAX_GIT_OUTPUT = 32 * 1024 * 1024;
+
+const MEMORY_FILE_NAMES = ['CLAUDE.md', 'CLAUDE.local.md'];
+
+// Symlinks are stored as blobs holding the link target; gitlinks are submodule commits
+const REGULAR_FILE_MODES = new Set(['100644', '100755']);
+
+// execFile without a shell: the ref and paths are passed verbatim, never interpreted
+async function git(args, cwd, { encoding = 'utf8' } = {}) {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd,
+    encoding,
+    timeout: GIT_TIMEOUT,
+    maxBuffer: MAX_GIT_OUTPUT,
+  });
+  return stdout;
+}
+
+const toPosix = value => value.split(path.sep).join('/');
+
+/**
+ * Locate the repository holding a project and resolve a revision to its commit
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory inside a git work tree
+ * @param {string} options.ref - Branch, tag, commit or other revision expression
+ * @returns {Promise<{repoRoot: string, prefix: string, commit: string}>} prefix is the project's path in the repository
+ */
+export async function resolveRevision({ projectRoot, ref }) {
+  let repoRoot;
+  try {
+    repoRoot = (await git(['rev-parse', '--show-toplevel'], projectRoot)).trim();
+  } catch {
+    throw new Error(`Not a git repository: ${projectRoot}`);
+  }
+
+  let commit;
+  try {
+    commit = (await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], projectRoot)).trim();
+  } catch {
+    throw new Error(`Unknown git revision: ${ref}`);
+  }
+
+  const prefix = toPosix(path.relative(await fs.realpath(repoRoot), await fs.realpath(projectRoot)));
+  return { repoRoot, prefix, commit };
+}
+
+/**
+ * Repository paths that make up the project's configuration: .claude/, .mcp.json and
+ * the memory files of the project and of every directory above it up to the repository root
+ *
+ * @param {string} prefix - Project path in the repository ('' at the root)
+ * @returns {string[]}
+ */
+export function revisionConfigPaths(prefix) {
+  const segments = prefix ? prefix.split('/') : [];
+  const inDir = (dir, name) => (dir ? `${dir}/${name}` : name);
+  const parents = segments.flatMap((_, depth) => {
+    const dir = segments.slice(0, depth).join('/');
+    return MEMORY_FILE_NAMES.map(name => inDir(dir, name));
+  });
+  return [
+    ...parents,
+    inDir(prefix, '.claude'),
+    inDir(prefix, '.mcp.json'),
+    ...MEMORY_FILE_NAMES.map(name => inDir(prefix, name)),
+  ];
+}
+
+// Regular files at the given paths (directories are listed recursively)
+async function listRevisionFiles(repoRoot, commit, paths) {
+  const output = await git(
+    ['--literal-pathspecs', 'ls-tree', '-r', '-z', '--full-tree', commit, '--', ...paths],
+    repoRoot
+  );
+  return output
+    .split('\0')
+    .filter(Boolean)
+    .map(entry => {
+      const [meta, file] = entry.split('\t');
+      const [mode, type] = meta.split(' ');
+      return { mode, type, file };
+    })
+    .filter(({ mode, type }) => type === 'blob' && REGULAR_FILE_MODES.has(mode))
+    .map(({ file }) => file);
+}
+
+/**
+ * Write the project's configuration as of a revision into targetDir, mirroring the
+ * repository layout. Files @imported by memory files are fetched as well, so imports
+ * resolve as they would in a checkout.
+ *
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory inside a git work tree
+ * @param {string} options.ref - Revision to read
+ * @param {string} options.targetDir - Empty scratch directory
+ * @returns {Promise<{commit: string, repoRoot: string, projectRoot: string, files: string[]}>} projectRoot is the project inside targetDir
+ */
+export async function materializeRevision({ projectRoot, ref, targetDir }) {
+  const { repoRoot, prefix, commit } = await resolveRevision({ projectRoot, ref });
+  const virtualRoot = path.join(targetDir, ...prefix.split('/').filter(Boolean));
+  const written = new Set();
+
+  const writeBlob = async file => {
+    const content = await git(['show', `${commit}:${file}`], repoRoot, { encoding: 'buffer' });
+    const target = path.join(targetDir, ...file.split('/'));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+    written.add(file);
+    return content.toString('utf8');
+  };
+
+  const memoryFiles = [];
+  for (const file of await listRevisionFiles(repoRoot, commit, revisionConfigPaths(prefix))) {
+    const content = await writeBlob(file);
+    if (MEMORY_FILE_NAMES.includes(path.posix.basename(file))) {
+      memoryFiles.push({ file, content, depth: 1 });
+    }
+  }
+
+  // Follow @imports breadth-first; files missing at the revision or outside the repository
+  // are left for the analyzer to report
+  while (memoryFiles.length > 0) {
+    const { file, content, depth } = memoryFiles.shift();
+    if (depth > MAX_IMPORT_DEPTH) continue;
+    for (const reference of findImports(content)) {
+      if (reference.startsWith('~/') || path.posix.isAbsolute(reference)) continue;
+      const imported = path.posix.normalize(path.posix.join(path.posix.dirname(file), reference));
+      if (written.has(imported) || imported.startsWith('../')) continue;
+      const found = await listRevisionFiles(repoRoot, commit, [imported]).catch(() => []);
+      if (!found.includes(imported)) continue;
+      memoryFiles.push({ file: imported, content: await writeBlob(imported), depth: depth + 1 });
+    }
+  }
+
+  // An empty .claude/ keeps the analyzer from falling back to estimates when the revision has none
+  await fs.mkdir(path.join(virtualRoot, '.claude'), { recursive: true });
+  return { commit, repoRoot, projectRoot: virtualRoot, files: [...written].sort() };
+}
+
+export default { resolveRevision, revisionConfigPaths, materializeRevision };
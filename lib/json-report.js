@@ -0,0 +1,150 @@
+/**
+ * JSON report for Claude Code Context Command
+ * Serializes analyzer results into the versioned shape described by data/context-report.schema.json
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONTEXT_CATEGORIES } from './context-grid.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const REPORT_SCHEMA_PATH = path.join(__dirname, 'data', 'context-report.schema.json');
+
+// Bump when a field is removed, renamed or changes meaning; adding fields keeps the version
+export const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Read the tool version from a package.json, or "unknown" when it cannot be read
+ * @param {string} packagePath - package.json location
+ * @returns {Promise<string>}
+ */
+export async function readToolVersion(packagePath) {
+  try {
+    const { version } = JSON.parse(await fs.readFile(packagePath, 'utf8'));
+    return typeof version === 'string' ? version : 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+function percentOf(tokens, capacity) {
+  return capacity > 0 ? Number(((tokens / capacity) * 100).toFixed(1)) : 0;
+}
+
+function serializeImports(imports = []) {
+  return imports.map(node => ({
+    path: node.path,
+    tokens: node.tokens,
+    total: node.total,
+    missing: Boolean(node.missing),
+    imports: serializeImports(node.imports),
+  }));
+}
+
+/**
+ * Build the JSON report from ContextAnalyzer results.
+ * Maps keyed by name in the results become arrays so consumers get a stable order.
+ *
+ * @param {Object} results - ContextAnalyzer.results after analyze()
+ * @param {Object} [options]
+ * @param {string} [options.toolVersion] - Version of the analyzer that produced the results
+ * @param {Date} [options.generatedAt] - Report time
+ * @returns {Object}
+ */
+export function buildJsonReport(results, { toolVersion = 'unknown', generatedAt = new Date() } = {}) {
+  const breakdown = results.breakdown || {};
+  const model = results.model || {};
+  const capacity = model.contextWindow || 0;
+  const reserve = model.autoCompactReserve || 0;
+  const total = results.total || 0;
+
+  const categories = Object.fromEntries(
+    CONTEXT_CATEGORIES.map(({ key, label }) => [
+      key,
+      { label, tokens: results[key] || 0, percent: percentOf(results[key] || 0, capacity) },
+    ])
+  );
+
+  const servers = Object.entries(breakdown.mcpServers || {}).map(([name, tokens]) => ({
+    name,
+    scope: breakdown.mcpScopes?.[name] || null,
+    source: breakdown.mcpSources?.[name] || null,
+    tokens,
+    tools: (breakdown.mcpToolsDetailed?.[name] || []).map(tool => ({ name: tool.name, tokens: tool.tokens })),
+  }));
+
+  const inactive = Object.entries(breakdown.mcpInactive || {}).map(([name, info]) => ({
+    name,
+    scope: info.scope,
+    reason: info.reason,
+  }));
+
+  const overlaps = (breakdown.mcpOverlaps || []).map(overlap => ({
+    capability: overlap.capability,
+    label: overlap.label,
+    builtin: overlap.builtin,
+    servers: overlap.servers.map(({ name, tokens, tools }) => ({ name, tokens, tools })),
+  }));
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: 'claude-code-context', version: toolVersion },
+    generatedAt: generatedAt.toISOString(),
+    analyzedAt: results.analyzedAt || null,
+    durationMs: results.durationMs ?? null,
+    projectPath: results.projectPath || null,
+    revision: results.revision || null,
+    tokenizer: results.tokenizer || null,
+    model: {
+      id: model.id || null,
+      displayName: model.displayName || null,
+      known: Boolean(model.known),
+      source: model.source || null,
+    },
+    window: {
+      size: capacity,
+      autoCompactReserve: reserve,
+      used: total,
+      free: Math.max(0, capacity - total - reserve),
+      usedPercent: percentOf(total, capacity),
+    },
+    categories,
+    mcp: { servers, inactive, overlaps },
+    agents: Object.entries(breakdown.agents || {}).map(([file, agent]) => ({
+      file,
+      name: agent.name,
+      mainTokens: agent.mainTokens,
+      invocationTokens: agent.invocationTokens,
+    })),
+    slashCommands: (breakdown.slashCommands || []).map(command => ({
+      name: command.name,
+      scope: command.scope,
+      path: command.path,
+      description: command.description,
+      argumentHint: command.argumentHint,
+      allowedTools: command.allowedTools,
+      mainTokens: command.mainTokens,
+      invocationTokens: command.invocationTokens,
+    })),
+    memoryFiles: (breakdown.memoryFiles || []).map(file => ({
+      scope: file.scope,
+      path: file.path,
+      tokens: file.tokens,
+      total: file.total,
+      imports: serializeImports(file.imports),
+    })),
+    recommendations: (results.optimization || []).map(({ impact, title, description, savings, tokens, rule }) => ({
+      impact,
+      title,
+      description,
+      savings,
+      ...(tokens !== undefined && { tokens }),
+      ...(rule && { rule }),
+    })),
+    settingsSources: results.settingsSources || [],
+  };
+}
+
+export default { REPORT_SCHEMA_PATH, REPORT_SCHEMA_VERSION, readToolVersion, buildJsonReport };
@@ -0,0 +1,77 @@
+/**
+ * MCP capability overlaps for Claude Code Context Command
+ * Classifies server tools with the registry's capability taxonomy and finds servers paying twice for the same job
+ */
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Group a server's tools by capability. A tool's registry entry can name its own
+ * capability; other tools, measured ones the registry does not list included, take the server's.
+ *
+ * @param {Object} registry - From loadMcpRegistry()
+ * @param {string} serverName - Server name as configured in Claude Code
+ * @param {Array<{name: string, tokens: number}>} tools - The server's active tools
+ * @returns {Object<string, Array>} Tools per capability id; empty for servers the registry does not know
+ */
+export function classifyServerTools(registry, serverName, tools) {
+  const entry = registry.servers[serverName];
+  if (!entry) {
+    return {};
+  }
+
+  const known = new Map(entry.tools.map(tool => [tool.name, tool]));
+  const groups = {};
+  for (const tool of tools) {
+    const own = known.get(tool.name)?.capability;
+    const capability = own === undefined ? entry.capability : own;
+    if (!capability || !registry.capabilities?.[capability]) continue;
+    (groups[capability] ||= []).push(tool);
+  }
+  return groups;
+}
+
+/**
+ * Capabilities provided more than once: by several active servers, or by any server when
+ * Claude Code has built-in tools for them. Largest overlap first.
+ *
+ * @param {Object} registry - From loadMcpRegistry()
+ * @param {Object<string, Array>} toolsByServer - Active tools per server (breakdown.mcpToolsDetailed)
+ * @returns {Array<{capability: string, label: string, builtin: string[], servers: Array<{name: string, tokens: number, tools: string[], toolCount: number}>}>}
+ *   Each server lists the tools that provide the capability, out of toolCount active tools
+ */
+export function findCapabilityOverlaps(registry, toolsByServer) {
+  const providers = {};
+  for (const [server, tools] of Object.entries(toolsByServer)) {
+    for (const [capability, matched] of Object.entries(classifyServerTools(registry, server, tools))) {
+      (providers[capability] ||= []).push({
+        name: server,
+        tokens: sum(matched.map(tool => tool.tokens)),
+        tools: matched.map(tool => tool.name),
+        toolCount: tools.length,
+      });
+    }
+  }
+
+  return Object.entries(providers)
+    .map(([capability, servers]) => ({
+      capability,
+      label: registry.capabilities[capability].label || capability,
+      builtin: registry.capabilities[capability].builtin || [],
+      servers: servers.sort((a, b) => b.tokens - a.tokens),
+    }))
+    .filter(overlap => overlap.builtin.length > 0 || overlap.servers.length > 1)
+    .sort((a, b) => sum(b.servers.map(server => server.tokens)) - sum(a.servers.map(server => server.tokens)));
+}
+
+/**
+ * The server of an overlap worth keeping: the most called one, or the smallest when calls do not decide
+ * @param {Array<{name: string, tokens: number}>} servers - Servers of one overlap
+ * @param {Object<string, number>} [calls] - Calls per server in recent sessions
+ * @returns {{name: string, tokens: number}}
+ */
+export function pickServerToKeep(servers, calls = {}) {
+  return [...servers].sort((a, b) => (calls[b.name] || 0) - (calls[a.name] || 0) || a.tokens - b.tokens)[0];
+}
+
+export default { classifyServerTools, findCapabilityOverlaps, pickServerToKeep };
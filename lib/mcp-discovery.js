@@ -0,0 +1,111 @@
+/**
+ * MCP server discovery for Claude Code Context Command
+ * Resolves which MCP servers are active for a project across local, project and user scopes
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+
+export const SCOPE_LABELS = {
+  local: 'Local',
+  project: 'Project',
+  user: 'User',
+};
+
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Warning: Could not read ${path.basename(filePath)}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+const asList = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+/**
+ * Discover the MCP servers Claude Code will load for a project.
+ *
+ * Precedence for servers defined in several scopes is local > project > user.
+ * Project servers from .mcp.json load only once approved, either individually
+ * (enabledMcpjsonServers) or wholesale (enableAllProjectMcpServers), and never
+ * when listed in disabledMcpjsonServers.
+ *
+ * @param {Object} options
+ * @param {string} options.projectRoot - Directory containing .claude/ and .mcp.json
+ * @param {Object} [options.settings] - Effective Claude Code settings
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude.json
+ * @param {string} [options.projectKey] - Project path ~/.claude.json keys its state by, when
+ *   the configuration is read from elsewhere (defaults to projectRoot)
+ * @returns {Promise<{active: Array, inactive: Array}>}
+ */
+export async function discoverMcpServers({
+  projectRoot,
+  settings = {},
+  homeDir = os.homedir(),
+  projectKey = projectRoot,
+}) {
+  const claudeJsonPath = path.join(homeDir, '.claude.json');
+  const mcpJsonPath = path.join(projectRoot, '.mcp.json');
+
+  const [claudeJson, mcpJson] = await Promise.all([readJsonFile(claudeJsonPath), readJsonFile(mcpJsonPath)]);
+  const projectState = claudeJson?.projects?.[path.resolve(projectKey)] || {};
+
+  const enabled = new Set([...asList(settings.enabledMcpjsonServers), ...asList(projectState.enabledMcpjsonServers)]);
+  const disabled = new Set([
+    ...asList(settings.disabledMcpjsonServers),
+    ...asList(projectState.disabledMcpjsonServers),
+  ]);
+  const enableAll = settings.enableAllProjectMcpServers === true || projectState.enableAllProjectMcpServers === true;
+
+  const active = new Map();
+  const inactive = [];
+
+  const addServer = (name, scope, config, source) => {
+    if (!active.has(name)) {
+      active.set(name, { name, scope, config, source });
+    }
+  };
+
+  // Local scope: private servers for this project stored in ~/.claude.json
+  for (const [name, config] of Object.entries(projectState.mcpServers || {})) {
+    addServer(name, 'local', config, claudeJsonPath);
+  }
+
+  // Project scope: shared .mcp.json servers, gated by approval settings
+  const projectServers = mcpJson?.mcpServers || {};
+  for (const [name, config] of Object.entries(projectServers)) {
+    if (active.has(name)) {
+      continue;
+    } else if (disabled.has(name)) {
+      inactive.push({ name, scope: 'project', reason: 'disabled' });
+    } else if (enableAll || enabled.has(name)) {
+      addServer(name, 'project', config, mcpJsonPath);
+    } else {
+      inactive.push({ name, scope: 'project', reason: 'awaiting approval' });
+    }
+  }
+
+  // Approved names without a .mcp.json definition load nothing, whether the entry was
+  // removed or the file is missing altogether (stale approvals)
+  const userServers = claudeJson?.mcpServers || {};
+  for (const name of enabled) {
+    if (projectServers[name] || disabled.has(name) || active.has(name)) {
+      continue;
+    } else if (!userServers[name]) {
+      inactive.push({ name, scope: 'project', reason: 'not defined in .mcp.json' });
+    }
+  }
+
+  // User scope: servers available in every project
+  for (const [name, config] of Object.entries(userServers)) {
+    addServer(name, 'user', config, claudeJsonPath);
+  }
+
+  return { active: Array.from(active.values()), inactive };
+}
+
+export default { SCOPE_LABELS, discoverMcpServers };
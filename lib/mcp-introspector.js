@@ -0,0 +1,293 @@
+/**
+ * Live MCP server introspection for Claude Code Context Command
+ * Launches stdio MCP servers, performs the initialize handshake and measures tools/list
+ */
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { SecureFileOperations, IntegrityVerifier } from './security.js';
+import { getTokenizer } from './tokenizer.js';
+
+export const DEFAULT_CACHE_PATH = path.join(os.homedir(), '.claude', 'context-cache', 'mcp-tools.json');
+
+const PROTOCOL_VERSION = '2025-06-18';
+const CLIENT_INFO = { name: 'claude-code-context-command', version: '1.0.0' };
+
+/**
+ * Expand ${VAR} and ${VAR:-default} references the way Claude Code does for .mcp.json
+ */
+export function expandEnvVars(value, env = process.env) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (_match, name, fallback) => {
+    return env[name] !== undefined ? env[name] : fallback || '';
+  });
+}
+
+/**
+ * Measure and cache MCP tool definitions using allowlisted launchers only
+ */
+export class McpIntrospector {
+  constructor(options = {}) {
+    // Allowlist of launchers permitted to start stdio MCP servers
+    this.allowedCommands = new Map([
+      ['node', { timeout: 15000, maxBuffer: 4 * 1024 * 1024 }],
+      ['npx', { timeout: 60000, maxBuffer: 4 * 1024 * 1024 }],
+      ['bunx', { timeout: 60000, maxBuffer: 4 * 1024 * 1024 }],
+      ['uvx', { timeout: 60000, maxBuffer: 4 * 1024 * 1024 }],
+      ['uv', { timeout: 60000, maxBuffer: 4 * 1024 * 1024 }],
+      ['python', { timeout: 15000, maxBuffer: 4 * 1024 * 1024 }],
+      ['python3', { timeout: 15000, maxBuffer: 4 * 1024 * 1024 }],
+      ['deno', { timeout: 30000, maxBuffer: 4 * 1024 * 1024 }],
+      ['docker', { timeout: 60000, maxBuffer: 4 * 1024 * 1024 }],
+    ]);
+
+    this.tokenizer = options.tokenizer || getTokenizer();
+    this.cachePath = options.cachePath === undefined ? DEFAULT_CACHE_PATH : options.cachePath;
+    this.cacheTtl = options.cacheTtl || 24 * 60 * 60 * 1000; // 24 hours
+    this.timeoutOverride = options.timeout || null;
+    this.env = options.env || process.env;
+  }
+
+  validateServerConfig(serverName, config) {
+    if (!config || typeof config !== 'object') {
+      throw new Error(`No configuration found for MCP server: ${serverName}`);
+    }
+    if (config.type && config.type !== 'stdio') {
+      throw new Error(`Only stdio MCP servers can be measured (${serverName} uses ${config.type})`);
+    }
+    if (typeof config.command !== 'string' || config.command.length === 0) {
+      throw new Error(`MCP server ${serverName} has no command`);
+    }
+
+    const command = expandEnvVars(config.command, this.env);
+    const launcher = path.basename(command).replace(/\.(exe|cmd)$/i, '');
+    const limits = this.allowedCommands.get(launcher);
+    if (!limits) {
+      throw new Error(`Command not allowed: ${launcher}`);
+    }
+
+    const args = (config.args || []).map(arg => {
+      if (typeof arg !== 'string') {
+        throw new Error('Argument must be a string');
+      }
+      const expanded = expandEnvVars(arg, this.env);
+      if (expanded.includes('\0')) {
+        throw new Error('Argument contains null bytes');
+      }
+      return expanded;
+    });
+
+    const env = {};
+    for (const [key, value] of Object.entries(config.env || {})) {
+      env[key] = String(expandEnvVars(value, this.env));
+    }
+
+    return { command, args, env, limits };
+  }
+
+  /**
+   * Start a server, run initialize + tools/list and return the raw tool definitions
+   * @param {Object} [options]
+   * @param {number} [options.deadline] - Epoch ms the server's own timeout is cut short at
+   */
+  async listTools(serverName, config, { deadline = null } = {}) {
+    const { command, args, env, limits } = this.validateServerConfig(serverName, config);
+    const timeout = Math.min(this.timeoutOverride || limits.timeout, deadline ? deadline - Date.now() : Infinity);
+    if (timeout <= 0) {
+      throw new Error('Measurement time budget used up');
+    }
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let stdout = '';
+      let received = 0;
+      const tools = [];
+
+      // spawn without a shell: arguments are passed verbatim, never interpreted
+      const child = spawn(command, args, {
+        cwd: config.cwd,
+        env: { ...this.env, ...env },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        shell: false,
+      });
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        child.stdin.end();
+        child.kill();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const send = message => {
+        child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+      };
+
+      const requestTools = cursor => {
+        send({ id: 2, method: 'tools/list', params: cursor ? { cursor } : {} });
+      };
+
+      const handleMessage = message => {
+        if (message.id === 1) {
+          if (message.error) {
+            finish(new Error(`MCP initialize failed: ${message.error.message || 'unknown error'}`));
+            return;
+          }
+          send({ method: 'notifications/initialized' });
+          requestTools();
+        } else if (message.id === 2) {
+          if (message.error) {
+            finish(new Error(`MCP tools/list failed: ${message.error.message || 'unknown error'}`));
+            return;
+          }
+          tools.push(...(message.result?.tools || []));
+          if (message.result?.nextCursor) {
+            requestTools(message.result.nextCursor);
+          } else {
+            finish(null, tools);
+          }
+        }
+      };
+
+      child.stdout.on('data', data => {
+        received += data.length;
+        if (received > limits.maxBuffer) {
+          finish(new Error('Output buffer exceeded'));
+          return;
+        }
+
+        stdout += data;
+        let newline;
+        while ((newline = stdout.indexOf('\n')) !== -1) {
+          const line = stdout.slice(0, newline).trim();
+          stdout = stdout.slice(newline + 1);
+          if (!line) continue;
+          try {
+            handleMessage(JSON.parse(line));
+          } catch {
+            // Servers occasionally log non-protocol lines to stdout; ignore them
+          }
+        }
+      });
+
+      // Drain stderr so chatty servers cannot block on a full pipe
+      child.stderr.on('data', () => {});
+      // Writes after the server exits surface as EPIPE; the close handler reports the failure
+      child.stdin.on('error', () => {});
+
+      child.on('error', error => {
+        finish(new Error(`MCP server execution failed: ${error.message}`));
+      });
+
+      child.on('close', code => {
+        finish(new Error(`MCP server exited before listing tools (code ${code})`));
+      });
+
+      const timer = setTimeout(() => {
+        finish(new Error('MCP introspection timed out'));
+      }, timeout);
+
+      send({
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo: CLIENT_INFO },
+      });
+    });
+  }
+
+  /**
+   * Tokenize tool definitions as they are sent to the model
+   */
+  measureTools(serverName, tools) {
+    return tools.map(tool => {
+      const name = `mcp__${serverName}__${tool.name}`;
+      const definition = { name, description: tool.description || '', input_schema: tool.inputSchema || {} };
+      return { name, tokens: this.tokenizer.count(JSON.stringify(definition)) };
+    });
+  }
+
+  // The server's env is part of the key: tokens and flags can change the tools it lists. Values are
+  // expanded so a changed ${VAR} also re-measures; only the hash is written to the cache
+  cacheKey(config) {
+    const env = Object.entries(config.env || {})
+      .map(([key, value]) => [key, String(expandEnvVars(value, this.env))])
+      .sort(([a], [b]) => a.localeCompare(b));
+    return IntegrityVerifier.generateChecksum(
+      JSON.stringify({ command: config.command, args: config.args || [], env, tokenizer: this.tokenizer.name })
+    );
+  }
+
+  async readCache() {
+    if (!this.cachePath) return {};
+    try {
+      return JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async writeCache(cacheData) {
+    if (!this.cachePath) return;
+    const cacheDir = path.dirname(this.cachePath);
+    await fs.mkdir(cacheDir, { recursive: true });
+    const fileOps = new SecureFileOperations([cacheDir]);
+    await fileOps.writeFile(this.cachePath, JSON.stringify(cacheData, null, 2));
+  }
+
+  /**
+   * Measure one server, using the on-disk cache when it is still fresh
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Ignore the cache
+   * @param {number} [options.deadline] - Epoch ms after which no server is started; cached results still count
+   * @returns {Promise<{total: number, tools: Array, measuredAt: string, cached: boolean}>}
+   */
+  async measureServer(serverName, config, { refresh = false, deadline = null } = {}) {
+    const cacheData = await this.readCache();
+    const key = this.cacheKey(config);
+    const entry = cacheData[serverName];
+
+    if (!refresh && entry && entry.key === key && Date.now() - Date.parse(entry.measuredAt) < this.cacheTtl) {
+      return { total: entry.total, tools: entry.tools, measuredAt: entry.measuredAt, cached: true };
+    }
+
+    const tools = this.measureTools(serverName, await this.listTools(serverName, config, { deadline }));
+    const result = {
+      total: tools.reduce((sum, tool) => sum + tool.tokens, 0),
+      tools,
+      measuredAt: new Date().toISOString(),
+    };
+
+    cacheData[serverName] = { key, ...result };
+    await this.writeCache(cacheData);
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Measure several servers; failures are reported per server instead of thrown
+   * @param {Object} servers - Map of server name to .mcp.json server config
+   * @param {Object} [options] - As for measureServer(); one deadline bounds the whole run
+   */
+  async measureServers(servers, options = {}) {
+    const results = {};
+    // Sequential on purpose: starting many servers at once is expensive
+    for (const [serverName, config] of Object.entries(servers)) {
+      try {
+        results[serverName] = await this.measureServer(serverName, config, options);
+      } catch (error) {
+        results[serverName] = { error: error.message };
+      }
+    }
+    return results;
+  }
+}
+
+export default McpIntrospector;
@@ -0,0 +1,143 @@
+/**
+ * MCP server token registry for Claude Code Context Command
+ * Loads the bundled registry file and merges the user override file on top
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BUNDLED_REGISTRY_PATH = path.join(__dirname, 'data', 'mcp-registry.json');
+export const USER_REGISTRY_PATH = path.join(os.homedir(), '.claude', 'mcp-registry.json');
+
+const DEFAULT_UNKNOWN_SERVER_TOKENS = 2000;
+
+async function readRegistryFile(filePath, { optional = false } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (optional && error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read MCP registry: ${error.message}`);
+  }
+
+  const registry = JSON.parse(content);
+  if (!registry || typeof registry !== 'object' || typeof registry.servers !== 'object') {
+    throw new Error(`Invalid MCP registry: ${path.basename(filePath)} has no servers object`);
+  }
+  return registry;
+}
+
+function normalizeTools(tools = []) {
+  return tools
+    .filter(tool => tool && typeof tool.name === 'string')
+    .map(tool => ({
+      name: tool.name,
+      tokens: Math.max(0, Math.round(Number(tool.tokens) || 0)),
+      // A tool's own capability overrides the server's; null opts it out
+      ...(tool.capability !== undefined && { capability: tool.capability }),
+    }));
+}
+
+function normalizeServer(entry = {}) {
+  const tools = normalizeTools(entry.tools);
+  return {
+    ...entry,
+    version: entry.version || null,
+    source: entry.source || {},
+    capability: entry.capability || null,
+    tools,
+    total: tools.reduce((sum, tool) => sum + tool.tokens, 0),
+  };
+}
+
+/**
+ * Merge an override registry on top of a base registry.
+ * Server entries merge field by field; a provided tool list replaces the base list.
+ * Setting a server to null removes it. Capabilities are added or replaced by id.
+ */
+export function mergeRegistries(base, override) {
+  if (!override) {
+    return base;
+  }
+
+  const servers = { ...base.servers };
+  for (const [name, entry] of Object.entries(override.servers || {})) {
+    if (entry === null) {
+      delete servers[name];
+      continue;
+    }
+    servers[name] = normalizeServer({
+      ...(servers[name] || {}),
+      ...entry,
+      source: { ...(servers[name]?.source || {}), ...(entry.source || {}) },
+      tools: entry.tools || servers[name]?.tools || [],
+    });
+  }
+
+  return {
+    ...base,
+    defaults: { ...base.defaults, ...(override.defaults || {}) },
+    capabilities: { ...base.capabilities, ...(override.capabilities || {}) },
+    servers,
+    sources: [...(base.sources || []), ...(override.sources || [])],
+  };
+}
+
+/**
+ * Load the effective MCP registry (bundled file + user overrides)
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Bundled registry location
+ * @param {string|null} [options.overridePath] - User override file, null to skip
+ * @returns {Promise<Object>} Registry with normalized servers and computed totals
+ */
+export async function loadMcpRegistry(options = {}) {
+  const registryPath = options.registryPath || BUNDLED_REGISTRY_PATH;
+  const overridePath = options.overridePath === undefined ? USER_REGISTRY_PATH : options.overridePath;
+
+  const bundled = await readRegistryFile(registryPath);
+  const base = {
+    schemaVersion: bundled.schemaVersion,
+    version: bundled.version,
+    defaults: { unknownServerTokens: DEFAULT_UNKNOWN_SERVER_TOKENS, ...(bundled.defaults || {}) },
+    capabilities: bundled.capabilities || {},
+    servers: Object.fromEntries(Object.entries(bundled.servers).map(([name, entry]) => [name, normalizeServer(entry)])),
+    sources: [registryPath],
+  };
+
+  if (!overridePath) {
+    return base;
+  }
+
+  const override = await readRegistryFile(overridePath, { optional: true });
+  return override ? mergeRegistries(base, { ...override, sources: [overridePath] }) : base;
+}
+
+/**
+ * Resolve token data for one server, estimating unknown servers
+ * @param {Object} registry - Registry returned by loadMcpRegistry()
+ * @param {string} serverName - Server name as configured in Claude Code
+ * @returns {{total: number, tools: Array, known: boolean}}
+ */
+export function getServerTokens(registry, serverName) {
+  const entry = registry.servers[serverName];
+  if (entry) {
+    return { total: entry.total, tools: entry.tools, known: true };
+  }
+
+  const tokens = registry.defaults.unknownServerTokens;
+  return { total: tokens, tools: [{ name: `mcp__${serverName}__unknown`, tokens }], known: false };
+}
+
+export default {
+  BUNDLED_REGISTRY_PATH,
+  USER_REGISTRY_PATH,
+  loadMcpRegistry,
+  mergeRegistries,
+  getServerTokens,
+};
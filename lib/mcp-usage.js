@@ -0,0 +1,56 @@
+/**
+ * MCP server usage for Claude Code Context Command
+ * Matches tool calls from past sessions to the servers that define them
+ */
+
+/**
+ * Prefix Claude Code gives a server's tools (mcp__<server>__<tool>).
+ * Characters outside letters, digits, "_" and "-" in the server name become "_".
+ *
+ * @param {string} serverName - Server name from the MCP configuration
+ * @returns {string}
+ */
+export function mcpToolPrefix(serverName) {
+  return `mcp__${serverName.replace(/[^a-zA-Z0-9_-]/g, '_')}__`;
+}
+
+/**
+ * Calls per server, summed over its tools
+ * @param {Map<string, number>} toolCalls - Calls per tool name, from collectToolUsage()
+ * @param {string[]} serverNames - Configured server names
+ * @returns {Object<string, number>}
+ */
+export function countMcpServerCalls(toolCalls, serverNames) {
+  const calls = Object.fromEntries(serverNames.map(name => [name, 0]));
+  // Longest prefix first, so "github" does not claim the calls of a server named "github__enterprise"
+  const prefixes = serverNames
+    .map(name => ({ name, prefix: mcpToolPrefix(name) }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  for (const [toolName, count] of toolCalls) {
+    const match = prefixes.find(({ prefix }) => toolName.startsWith(prefix));
+    if (match) {
+      calls[match.name] += count;
+    }
+  }
+  return calls;
+}
+
+/**
+ * How to turn a server off without deleting what teammates share
+ * @param {string} name - Server name
+ * @param {string|null} scope - Scope the server was configured in
+ * @returns {string}
+ */
+export function disableInstruction(name, scope) {
+  if (scope === 'project') {
+    // .mcp.json is checked in; opt out locally instead of removing it for everyone
+    return `add "${name}" to disabledMcpjsonServers in .claude/settings.local.json`;
+  }
+  if (scope === 'local' || scope === 'user') {
+    return `run \`claude mcp remove ${name} -s ${scope}\``;
+  }
+  return `remove "${name}" from your MCP configuration`;
+}
+
+export default { mcpToolPrefix, countMcpServerCalls, disableInstruction };
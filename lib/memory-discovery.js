@@ -0,0 +1,178 @@
+/**
+ * Memory file discovery for Claude Code Context Command
+ * Finds every CLAUDE.md file Claude Code loads into context for a project
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+
+export const MEMORY_SCOPE_LABELS = {
+  user: 'User',
+  parent: 'Parent',
+  project: 'Project',
+  local: 'Local',
+};
+
+const MAX_PARENT_DEPTH = 50; // Prevent runaway walks on unusual filesystems
+
+// Claude Code follows @path imports at most five hops deep
+export const MAX_IMPORT_DEPTH = 5;
+
+/**
+ * Extract @path import references from memory file content.
+ * Imports inside fenced code blocks and inline code spans are ignored, as in Claude Code.
+ */
+export function findImports(content) {
+  const imports = [];
+  let inFence = false;
+
+  for (const line of content.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    const text = line.replace(/`[^`]*`/g, '');
+    for (const match of text.matchAll(/(?:^|\s)@([^\s`]+)/g)) {
+      // Trailing sentence punctuation is not part of the path
+      const reference = match[1].replace(/[.,;:!?)\]]+$/, '');
+      if (reference) {
+        imports.push(reference);
+      }
+    }
+  }
+
+  return imports;
+}
+
+function resolveImportPath(reference, fromFile, homeDir) {
+  if (reference.startsWith('~/')) {
+    return path.join(homeDir, reference.slice(2));
+  }
+  return path.resolve(path.dirname(fromFile), reference);
+}
+
+/**
+ * Recursively load the files a memory file imports.
+ * Missing files, cycles and imports beyond MAX_IMPORT_DEPTH are reported and skipped.
+ *
+ * @returns {Promise<Array<{path: string, content: string, imports: Array, missing?: boolean}>>}
+ */
+export async function resolveImports(filePath, content, { homeDir = os.homedir(), depth = 1, chain = [] } = {}) {
+  const imports = [];
+  const ancestors = [...chain, filePath];
+
+  for (const reference of findImports(content)) {
+    const importPath = resolveImportPath(reference, filePath, homeDir);
+
+    if (ancestors.includes(importPath)) {
+      console.warn(`Warning: Skipping circular import @${reference} in ${filePath}`);
+      continue;
+    }
+    if (depth > MAX_IMPORT_DEPTH) {
+      console.warn(`Warning: Skipping @${reference} in ${filePath}: exceeds ${MAX_IMPORT_DEPTH} import levels`);
+      continue;
+    }
+
+    let importContent;
+    try {
+      importContent = await fs.readFile(importPath, 'utf8');
+    } catch (error) {
+      const problem = error.code === 'ENOENT' ? 'not found' : error.message;
+      console.warn(`Warning: Imported file @${reference} in ${filePath}: ${problem}`);
+      imports.push({ path: importPath, content: '', imports: [], missing: true });
+      continue;
+    }
+
+    imports.push({
+      path: importPath,
+      content: importContent,
+      imports: await resolveImports(importPath, importContent, { homeDir, depth: depth + 1, chain: ancestors }),
+    });
+  }
+
+  return imports;
+}
+
+/**
+ * Candidate memory file locations in the order Claude Code loads them:
+ * user memory first, then parent directories from the outermost inwards,
+ * then the project and its private local file.
+ *
+ * A project copied out of its repository (a git revision) walks its parents up to
+ * stopDir, the root of the copy, then continues from the parents of outerRoot,
+ * the repository the copy stands in for.
+ */
+export function getMemoryFileCandidates({ projectRoot, homeDir = os.homedir(), stopDir, outerRoot }) {
+  const root = path.resolve(projectRoot);
+  const parents = [];
+
+  let stop = stopDir && path.resolve(stopDir);
+  let current = root;
+  for (let depth = 0; depth < MAX_PARENT_DEPTH; depth++) {
+    if (current === stop) {
+      if (!outerRoot) break;
+      current = path.resolve(outerRoot);
+      stop = null;
+    }
+    const next = path.dirname(current);
+    if (next === current) break;
+    current = next;
+    parents.unshift(
+      { scope: 'parent', path: path.join(current, 'CLAUDE.md') },
+      { scope: 'parent', path: path.join(current, 'CLAUDE.local.md') }
+    );
+  }
+
+  return [
+    { scope: 'user', path: path.join(homeDir, '.claude', 'CLAUDE.md') },
+    ...parents,
+    { scope: 'project', path: path.join(root, 'CLAUDE.md') },
+    { scope: 'project', path: path.join(root, '.claude', 'CLAUDE.md') },
+    { scope: 'local', path: path.join(root, 'CLAUDE.local.md') },
+  ];
+}
+
+/**
+ * Read every memory file that exists for a project.
+ *
+ * @param {Object} options
+ * @param {string} options.projectRoot - Directory containing .claude/
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude/CLAUDE.md
+ * @param {string} [options.stopDir] - Last parent directory to walk, for a copied project
+ * @param {string} [options.outerRoot] - Directory whose parents are walked after stopDir
+ * @returns {Promise<Array<{scope: string, path: string, content: string, imports: Array}>>}
+ */
+export async function discoverMemoryFiles(options) {
+  const homeDir = options.homeDir || os.homedir();
+  const seen = new Set();
+  const files = [];
+
+  for (const candidate of getMemoryFileCandidates(options)) {
+    // A project at the home directory shares ~/.claude/CLAUDE.md with user scope; count it once
+    if (seen.has(candidate.path)) continue;
+    seen.add(candidate.path);
+
+    try {
+      const content = await fs.readFile(candidate.path, 'utf8');
+      files.push({ ...candidate, content, imports: await resolveImports(candidate.path, content, { homeDir }) });
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        console.warn(`Warning: Could not read ${candidate.path}: ${error.message}`);
+      }
+    }
+  }
+
+  return files;
+}
+
+export default {
+  MEMORY_SCOPE_LABELS,
+  MAX_IMPORT_DEPTH,
+  findImports,
+  resolveImports,
+  getMemoryFileCandidates,
+  discoverMemoryFiles,
+};
@@ -0,0 +1,90 @@
+/**
+ * Model registry for Claude Code Context Command
+ * Resolves the active model's context window, display name and auto-compact reserve
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractOption } from './cli-options.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BUNDLED_MODELS_PATH = path.join(__dirname, 'data', 'models.json');
+
+// Suffix Claude Code uses to request the 1M token context window (e.g. "sonnet[1m]")
+const LONG_CONTEXT_SUFFIX = '[1m]';
+
+/**
+ * Load the bundled model registry
+ * @param {Object} [options]
+ * @param {string} [options.registryPath] - Registry file location
+ * @returns {Promise<Object>}
+ */
+export async function loadModelRegistry(options = {}) {
+  const registryPath = options.registryPath || BUNDLED_MODELS_PATH;
+  let registry;
+  try {
+    registry = JSON.parse(await fs.readFile(registryPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read model registry: ${error.message}`);
+  }
+  if (!registry || typeof registry.models !== 'object' || !registry.defaultModel) {
+    throw new Error(`Invalid model registry: ${path.basename(registryPath)} needs models and defaultModel`);
+  }
+  return registry;
+}
+
+function findModelEntry(registry, modelId) {
+  // Longest matching prefix wins so claude-opus-4-1 is not mistaken for claude-opus-4
+  const match = Object.keys(registry.models)
+    .filter(prefix => modelId === prefix || modelId.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? { key: match, entry: registry.models[match] } : null;
+}
+
+/**
+ * Resolve a model id or alias to its context limits.
+ * Unknown models keep their id as the display name and use the registry defaults.
+ *
+ * @param {Object} registry - Registry returned by loadModelRegistry()
+ * @param {string} [model] - Model id, alias or "[1m]"-suffixed variant; registry default when empty
+ * @returns {{id: string, displayName: string, contextWindow: number, autoCompactReserve: number, known: boolean}}
+ */
+export function resolveModel(registry, model) {
+  const requested = typeof model === 'string' && model.trim() ? model.trim() : registry.defaultModel;
+  const longContext = requested.toLowerCase().endsWith(LONG_CONTEXT_SUFFIX);
+  const baseName = longContext ? requested.slice(0, -LONG_CONTEXT_SUFFIX.length) : requested;
+  const id = registry.aliases?.[baseName.toLowerCase()] || baseName;
+
+  const defaults = registry.defaults || {};
+  const found = findModelEntry(registry, id);
+  const entry = found?.entry || {};
+
+  let contextWindow = entry.contextWindow || defaults.contextWindow;
+  let displayName = entry.displayName || id;
+  if (longContext && entry.longContextWindow) {
+    contextWindow = entry.longContextWindow;
+    displayName += ' (1M context)';
+  }
+
+  return {
+    id: longContext ? `${id}${LONG_CONTEXT_SUFFIX}` : id,
+    displayName,
+    contextWindow,
+    autoCompactReserve: entry.autoCompactReserve ?? defaults.autoCompactReserve ?? 0,
+    known: Boolean(found),
+  };
+}
+
+/**
+ * Pull a --model <id> or --model=<id> option out of CLI arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{model: string|null, args: string[]}} Model and the remaining arguments
+ */
+export function extractModelArgument(args) {
+  const { value, args: rest } = extractOption(args, 'model');
+  return { model: value, args: rest };
+}
+
+export default { BUNDLED_MODELS_PATH, loadModelRegistry, resolveModel, extractModelArgument };
@@ -0,0 +1,492 @@
+/**
+ * Recommendation rules for Claude Code Context Command
+ * Loads the bundled rules with user and project rule files on top and evaluates them against analyzer results
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { CONTEXT_CATEGORIES, formatTokenCount } from './context-grid.js';
+import { memoryFileName } from './context-budget.js';
+import { countMcpServerCalls, disableInstruction } from './mcp-usage.js';
+import { pickServerToKeep } from './mcp-capabilities.js';
+import { AGENT_ARCHIVE_DIR } from './context-optimizer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BUNDLED_RULES_PATH = path.join(__dirname, 'data', 'recommendation-rules.json');
+export const USER_RULES_PATH = path.join(os.homedir(), '.claude', 'context-rules.json');
+export const RULES_FILE = path.join('.claude', 'context-rules.json');
+
+const CATEGORY_KEYS = CONTEXT_CATEGORIES.map(({ key }) => key);
+
+// Facts every rule sees (see collectRuleFacts())
+const GLOBAL_FACTS = [
+  ...CATEGORY_KEYS,
+  'total',
+  'contextWindow',
+  'mcpServerCount',
+  'agentCount',
+  'memoryFileCount',
+  'averageMcpServerTokens',
+  'sessions',
+  'sessionLabel',
+  'archiveDir',
+];
+
+// Collections a rule can run once per item of ("forEach"), with the facts of each item
+export const RULE_COLLECTIONS = {
+  mcpServers: ['name', 'scope', 'tokens', 'calls', 'callLabel', 'instruction'],
+  agents: ['name', 'file', 'tokens', 'calls', 'callLabel'],
+  memoryFiles: ['path', 'scope', 'tokens'],
+  overlaps: ['capability', 'label', 'builtin', 'servers', 'serverCount', 'keep', 'tokens'],
+};
+
+// Actions optimize --apply knows how to carry out, with the fields each needs
+const ACTION_FIELDS = {
+  disableMcpjsonServer: ['server'],
+  archiveAgent: ['file'],
+};
+
+// Facts copied onto an action as they are, so optimize can check them before applying it
+const ACTION_FACTS = {
+  disableMcpjsonServer: ['calls'],
+  archiveAgent: ['calls'],
+};
+
+const OPERATORS = {
+  '==': (actual, expected) => actual === expected,
+  '!=': (actual, expected) => actual !== expected,
+  '>': (actual, expected) => actual > expected,
+  '>=': (actual, expected) => actual >= expected,
+  '<': (actual, expected) => actual < expected,
+  '<=': (actual, expected) => actual <= expected,
+};
+const ORDERING_OPERATORS = new Set(['>', '>=', '<', '<=']);
+
+const SEVERITIES = ['high', 'medium', 'low', 'auto'];
+const RULE_KEYS = ['id', 'enabled', 'forEach', 'params', 'when', 'severity', 'title', 'message', 'savings', 'action'];
+const RULE_ID = /^[a-z0-9][a-z0-9-]*$/;
+
+// {fact} or {fact|filter} in titles, messages and action fields
+const PLACEHOLDER = /\{(\w+)(?:\|(\w+))?\}/g;
+const FILTERS = {
+  tokens: value => formatTokenCount(Number(value) || 0),
+};
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isParam = value => typeof value === 'string' && value.startsWith('$');
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+// Problems with one rule; names are the facts and params it may refer to
+function validateRule(rule) {
+  const problems = [];
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    problems.push('"enabled" must be true or false');
+  }
+  if (rule.forEach !== undefined && !RULE_COLLECTIONS[rule.forEach]) {
+    problems.push(`"forEach" must be one of ${Object.keys(RULE_COLLECTIONS).join(', ')}`);
+  }
+
+  const facts = new Set([...GLOBAL_FACTS, ...(RULE_COLLECTIONS[rule.forEach] || [])]);
+  const params = isObject(rule.params) ? rule.params : {};
+  if (rule.params !== undefined && !isObject(rule.params)) {
+    problems.push('"params" must map names to values');
+  }
+  for (const [name, value] of Object.entries(params)) {
+    if (!['number', 'string', 'boolean'].includes(typeof value)) {
+      problems.push(`param "${name}" must be a number, string or boolean`);
+    } else if (facts.has(name)) {
+      problems.push(`param "${name}" has the name of a fact`);
+    }
+  }
+  const checkParam = (value, where) => {
+    if (isParam(value) && !(value.slice(1) in params)) problems.push(`${where} uses undeclared param "${value}"`);
+  };
+
+  const checkConditions = (conditions, where) => {
+    if (!Array.isArray(conditions)) {
+      problems.push(`"${where}" must be a list of conditions`);
+      return;
+    }
+    conditions.forEach((condition, index) => {
+      const at = `"${where}[${index}]"`;
+      if (!isObject(condition)) {
+        problems.push(`${at} must be an object with fact, op and value`);
+        return;
+      }
+      if (!facts.has(condition.fact)) problems.push(`${at} has unknown fact "${condition.fact}"`);
+      if (!OPERATORS[condition.op]) {
+        problems.push(`${at} has unknown op "${condition.op}" (expected ${Object.keys(OPERATORS).join(' ')})`);
+      }
+      const { value } = condition;
+      if (isParam(value)) {
+        checkParam(value, at);
+      } else if (ORDERING_OPERATORS.has(condition.op) && typeof value !== 'number') {
+        problems.push(`${at} compares with ${condition.op}, so its value must be a number or a param`);
+      } else if (!['number', 'string', 'boolean'].includes(typeof value) && value !== null) {
+        problems.push(`${at} needs a value`);
+      }
+    });
+  };
+
+  const checkTemplate = (template, where) => {
+    if (typeof template !== 'string') {
+      problems.push(`${where} must be a string`);
+      return;
+    }
+    for (const [, name, filter] of template.matchAll(PLACEHOLDER)) {
+      if (!facts.has(name) && !(name in params)) problems.push(`${where} uses unknown placeholder "{${name}}"`);
+      if (filter && !FILTERS[filter]) problems.push(`${where} uses unknown filter "|${filter}"`);
+    }
+  };
+
+  checkConditions(rule.when, 'when');
+  if (!SEVERITIES.includes(rule.severity)) {
+    problems.push(`"severity" must be one of ${SEVERITIES.join(', ')}`);
+  }
+  checkTemplate(rule.title, '"title"');
+  checkTemplate(rule.message, '"message"');
+
+  if (!isObject(rule.savings) || !facts.has(rule.savings.fact)) {
+    problems.push('"savings" must name the fact to count, like {"fact": "tokens"}');
+  } else {
+    for (const [key, operand] of Object.entries(rule.savings)) {
+      if (key === 'fact') continue;
+      if (key !== 'minus' && key !== 'times') {
+        problems.push(`"savings" has unknown key "${key}" (expected fact, minus, times)`);
+      } else if (isParam(operand)) {
+        checkParam(operand, `"savings.${key}"`);
+      } else if (typeof operand !== 'number' && !facts.has(operand)) {
+        problems.push(`"savings.${key}" must be a number, a param or a fact`);
+      }
+    }
+  }
+
+  if (rule.action !== undefined) {
+    const { type, when, ...fields } = isObject(rule.action) ? rule.action : {};
+    if (!ACTION_FIELDS[type]) {
+      problems.push(`"action.type" must be one of ${Object.keys(ACTION_FIELDS).join(', ')}`);
+    } else {
+      for (const field of ACTION_FIELDS[type]) {
+        checkTemplate(fields[field], `"action.${field}"`);
+      }
+      for (const field of Object.keys(fields).filter(field => !ACTION_FIELDS[type].includes(field))) {
+        problems.push(`"action" has unknown key "${field}"`);
+      }
+    }
+    if (when !== undefined) checkConditions(when, 'action.when');
+  }
+
+  return problems;
+}
+
+/**
+ * Put rule file entries on top of a rule list. An entry with the id of an existing rule
+ * changes only the fields it sets (params merge one by one); any other entry adds a rule.
+ *
+ * @param {Object[]} rules - Current rules
+ * @param {Object[]} entries - The "rules" list of a rule file
+ * @returns {{rules: Object[], problems: string[]}} Entries with problems are left out
+ */
+export function mergeRules(rules, entries) {
+  const merged = [...rules];
+  const problems = [];
+  entries.forEach((entry, index) => {
+    if (!isObject(entry) || typeof entry.id !== 'string' || !RULE_ID.test(entry.id)) {
+      problems.push(`rules[${index}] needs an "id" of lowercase letters, digits and "-"`);
+      return;
+    }
+    const position = merged.findIndex(rule => rule.id === entry.id);
+    const base = merged[position];
+    let rule = entry;
+    const entryProblems = [];
+    if (base) {
+      // Overrides re-threshold the params a rule has; a new name is most likely a typo
+      const known = Object.keys(base.params || {});
+      for (const name of Object.keys(isObject(entry.params) ? entry.params : {})) {
+        if (!known.includes(name)) {
+          entryProblems.push(`unknown param "${name}" (the rule has ${known.join(', ') || 'none'})`);
+        }
+      }
+      const params = isObject(entry.params) ? { ...base.params, ...entry.params } : (entry.params ?? base.params);
+      rule = { ...base, ...entry, params };
+    }
+    entryProblems.push(...validateRule(rule));
+    if (entryProblems.length > 0) {
+      problems.push(...entryProblems.map(problem => `rule "${entry.id}": ${problem}`));
+    } else if (base) {
+      merged[position] = rule;
+    } else {
+      merged.push(rule);
+    }
+  });
+  return { rules: merged, problems };
+}
+
+async function readRuleFile(filePath, { optional = false } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (optional && error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read rule file ${filePath}: ${error.message}`);
+  }
+
+  let file;
+  try {
+    file = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid rule file ${filePath}: ${error.message}`);
+  }
+  if (!isObject(file) || !Array.isArray(file.rules)) {
+    throw new Error(`Invalid rule file ${filePath}: expected an object with a "rules" list`);
+  }
+  return file.rules;
+}
+
+/**
+ * Load the effective rules: the bundled defaults, then the user's file, then the project's.
+ * A user or project file that cannot be read or has problems is skipped with a warning,
+ * keeping the other layers.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.rulesPath] - Bundled rules location
+ * @param {string|null} [options.userPath] - User rule file, null to skip
+ * @param {string|null} [options.projectPath] - Project rule file (.claude/context-rules.json), null to skip
+ * @returns {Promise<{rules: Object[], sources: string[]}>} sources lists the files that were applied
+ */
+export async function loadRecommendationRules(options = {}) {
+  const rulesPath = options.rulesPath || BUNDLED_RULES_PATH;
+  const userPath = options.userPath === undefined ? USER_RULES_PATH : options.userPath;
+
+  const mergeFile = async (rules, filePath, { optional }) => {
+    const entries = await readRuleFile(filePath, { optional });
+    if (!entries) {
+      return null;
+    }
+    const merged = mergeRules(rules, entries);
+    if (merged.problems.length > 0) {
+      throw new Error(`Invalid rule file ${filePath}: ${merged.problems.join('; ')}`);
+    }
+    return merged.rules;
+  };
+
+  let rules = await mergeFile([], rulesPath, { optional: false });
+  const sources = [rulesPath];
+  for (const filePath of [userPath, options.projectPath].filter(Boolean)) {
+    try {
+      const merged = await mergeFile(rules, filePath, { optional: true });
+      if (merged) {
+        rules = merged;
+        sources.push(filePath);
+      }
+    } catch (error) {
+      console.warn(`Warning: ${error.message}; skipping it`);
+    }
+  }
+  return { rules, sources };
+}
+
+// "github (3.1k tokens)", or "firecrawl (1 of 6 tools, 420 tokens)" when only some tools overlap
+const describeProvider = ({ name, tokens, tools, toolCount }) =>
+  tools.length < toolCount
+    ? `${name} (${tools.length} of ${toolCount} tools, ${formatTokenCount(tokens)} tokens)`
+    : `${name} (${formatTokenCount(tokens)} tokens)`;
+
+// Facts of an overlap. tokens is what the redundant servers cost: all of them next to built-in tools, all but
+// the kept one otherwise. Servers in covered are left out: a rule already recommends disabling them, so their
+// tokens count once and none of them is the one to keep
+function settleOverlap(overlap, covered = new Set()) {
+  const open = overlap.providers.filter(server => !covered.has(server.name));
+  const calls = Object.fromEntries(overlap.providers.map(server => [server.name, server.calls || 0]));
+  const keep = overlap.builtinTools.length > 0 || open.length === 0 ? null : pickServerToKeep(open, calls);
+  return {
+    ...overlap,
+    builtin: overlap.builtinTools.join(', '),
+    servers: overlap.providers.map(describeProvider).join(', '),
+    serverCount: overlap.providers.length,
+    keep: keep ? keep.name : 'the built-in tools',
+    keepServer: keep ? keep.name : null,
+    tokens: sum(open.map(server => server.tokens)) - (keep ? keep.tokens : 0),
+  };
+}
+
+const callLabel = (calls, verb) =>
+  calls === null ? 'no usage history' : calls === 0 ? `never ${verb}` : `${verb} ${calls}×`;
+
+/**
+ * Facts rules are evaluated against
+ * @param {Object} results - ContextAnalyzer.results after the categories are measured
+ * @param {Object|null} usage - From collectToolUsage(), null without session history
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory, for memory file names
+ * @returns {{facts: Object, items: Object<string, Object[]>}} items holds the collections, largest item first
+ */
+export function collectRuleFacts(results, usage, { projectRoot }) {
+  const breakdown = results.breakdown || {};
+  const servers = breakdown.mcpServers || {};
+  const agents = Object.entries(breakdown.agents || {});
+  const memoryFiles = breakdown.memoryFiles || [];
+  const sessions = usage?.sessions || 0;
+  const serverCalls = usage ? countMcpServerCalls(usage.toolCalls, Object.keys(servers)) : {};
+  const serverCount = Object.keys(servers).length;
+  const byTokens = (a, b) => b.tokens - a.tokens;
+
+  const facts = {
+    ...Object.fromEntries(CATEGORY_KEYS.map(key => [key, results[key] || 0])),
+    total: sum(CATEGORY_KEYS.map(key => results[key] || 0)),
+    contextWindow: results.model?.contextWindow || 0,
+    mcpServerCount: serverCount,
+    agentCount: agents.length,
+    memoryFileCount: memoryFiles.length,
+    averageMcpServerTokens: serverCount > 0 ? Math.round(sum(Object.values(servers)) / serverCount) : 0,
+    sessions,
+    sessionLabel: sessions === 1 ? 'the last session' : `the last ${sessions} sessions`,
+    archiveDir: AGENT_ARCHIVE_DIR,
+  };
+
+  const items = {
+    mcpServers: Object.entries(servers)
+      .map(([name, tokens]) => {
+        const scope = breakdown.mcpScopes?.[name] || null;
+        const calls = usage ? serverCalls[name] : null;
+        return {
+          name,
+          scope,
+          tokens,
+          calls,
+          callLabel: callLabel(calls, 'called'),
+          instruction: disableInstruction(name, scope),
+        };
+      })
+      .sort(byTokens),
+    agents: agents
+      .map(([file, agent]) => {
+        const calls = usage ? usage.agentCalls.get(agent.name) || 0 : null;
+        return { name: agent.name, file, tokens: agent.mainTokens, calls, callLabel: callLabel(calls, 'run') };
+      })
+      .sort(byTokens),
+    memoryFiles: memoryFiles
+      .map(file => ({ path: memoryFileName(file.path, projectRoot), scope: file.scope, tokens: file.total }))
+      .sort(byTokens),
+    overlaps: (breakdown.mcpOverlaps || []).map(overlap =>
+      settleOverlap({
+        capability: overlap.capability,
+        label: overlap.label,
+        builtinTools: overlap.builtin,
+        providers: overlap.servers.map(server => ({ ...server, calls: usage ? serverCalls[server.name] : null })),
+      })
+    ),
+  };
+
+  return { facts, items };
+}
+
+// Params are looked up by name in the same scope as facts, so "$minCalls" reads scope.minCalls
+function resolve(value, scope) {
+  return isParam(value) ? scope[value.slice(1)] : value;
+}
+
+function matches(conditions = [], scope) {
+  return conditions.every(({ fact, op, value }) => {
+    const actual = scope[fact];
+    const expected = resolve(value, scope);
+    if (ORDERING_OPERATORS.has(op) && (typeof actual !== 'number' || typeof expected !== 'number')) {
+      return false;
+    }
+    return OPERATORS[op](actual, expected);
+  });
+}
+
+function render(template, scope) {
+  return template.replace(PLACEHOLDER, (_, name, filter) =>
+    filter ? FILTERS[filter](scope[name]) : String(scope[name] ?? '')
+  );
+}
+
+// (fact - minus) × times, where minus and times are numbers, params or facts
+function computeSavings({ fact, minus = 0, times = 1 }, scope) {
+  const operand = value =>
+    typeof value === 'number' ? value : Number(scope[isParam(value) ? value.slice(1) : value]) || 0;
+  return Math.max(0, Math.round(((Number(scope[fact]) || 0) - operand(minus)) * operand(times)));
+}
+
+// "auto" grades by the share of the analyzed context the savings free
+function impactOf(severity, tokens, total) {
+  if (severity !== 'auto') {
+    return severity;
+  }
+  const share = total > 0 ? tokens / total : 0;
+  return share > 0.1 ? 'high' : share >= 0.03 ? 'medium' : 'low';
+}
+
+/**
+ * Recommendations from the enabled rules, in rule order
+ * @param {Object[]} rules - From loadRecommendationRules()
+ * @param {{facts: Object, items: Object}} context - From collectRuleFacts()
+ * @returns {Array<{impact: string, title: string, description: string, savings: string, tokens: number, rule: string, action?: Object, keep?: string}>}
+ *   An action marks what optimize --apply can do by itself; it carries the item's calls (null without usage history)
+ */
+export function evaluateRules(rules, { facts, items }) {
+  const enabled = rules.filter(rule => rule.enabled !== false);
+  // Servers a rule recommends disabling; overlaps leave them out (see settleOverlap)
+  const covered = new Set(
+    enabled
+      .filter(rule => rule.forEach === 'mcpServers' && rule.action?.type === 'disableMcpjsonServer')
+      .flatMap(rule =>
+        (items.mcpServers || []).filter(item => matches(rule.when, { ...facts, ...rule.params, ...item }))
+      )
+      .map(item => item.name)
+  );
+  const collections = { ...items, overlaps: (items.overlaps || []).map(overlap => settleOverlap(overlap, covered)) };
+
+  const recommendations = [];
+  for (const rule of enabled) {
+    for (const item of rule.forEach ? collections[rule.forEach] || [] : [{}]) {
+      const scope = { ...facts, ...rule.params, ...item };
+      if (!matches(rule.when, scope)) continue;
+
+      const tokens = computeSavings(rule.savings, scope);
+      const recommendation = {
+        impact: impactOf(rule.severity, tokens, facts.total),
+        title: render(rule.title, scope),
+        description: render(rule.message, scope),
+        savings: `${formatTokenCount(tokens)} tokens`,
+        tokens,
+        rule: rule.id,
+      };
+      if (rule.action && matches(rule.action.when, scope)) {
+        const { type } = rule.action;
+        recommendation.action = {
+          type,
+          ...Object.fromEntries(ACTION_FIELDS[type].map(field => [field, render(rule.action[field], scope)])),
+          ...Object.fromEntries(ACTION_FACTS[type].map(fact => [fact, scope[fact] ?? null])),
+        };
+      }
+      // The server an overlap recommendation says to keep, which optimize never disables
+      if (rule.forEach === 'overlaps' && scope.keepServer) {
+        recommendation.keep = scope.keepServer;
+      }
+      recommendations.push(recommendation);
+    }
+  }
+  return recommendations;
+}
+
+export default {
+  BUNDLED_RULES_PATH,
+  USER_RULES_PATH,
+  RULES_FILE,
+  RULE_COLLECTIONS,
+  mergeRules,
+  loadRecommendationRules,
+  collectRuleFacts,
+  evaluateRules,
+};
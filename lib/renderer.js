@@ -0,0 +1,152 @@
+/**
+ * Output rendering for Claude Code Context Command
+ * Per-category ANSI color themes, NO_COLOR/non-TTY detection and an ASCII glyph fallback
+ */
+
+/**
+ * Glyph sets. The ascii set maps every symbol the analyzers print to a single
+ * printable ASCII character so grid columns stay aligned.
+ */
+export const GLYPH_SETS = {
+  unicode: {
+    full: '⛁',
+    partial: '⛀',
+    free: '⛶',
+    reserve: '⛝',
+    corner: '⎿',
+    branch: '└',
+  },
+  ascii: {
+    full: '#',
+    partial: '+',
+    free: '.',
+    reserve: 'x',
+    corner: '|',
+    branch: '-',
+  },
+};
+
+// Remaining Unicode punctuation in analyzer text, replaced when rendering ASCII
+const ASCII_TRANSLITERATIONS = {
+  '•': '-',
+  '·': '-',
+  '→': '->',
+  '…': '...',
+  '⚡': '',
+  '📊': '',
+  // Sparkline levels, lowest to highest
+  '▁': '_',
+  '▂': '.',
+  '▃': ':',
+  '▄': '-',
+  '▅': '=',
+  '▆': '+',
+  '▇': '*',
+  '█': '#',
+};
+
+/**
+ * ANSI SGR codes per context category
+ */
+export const THEMES = {
+  default: {
+    systemPrompt: '90',
+    systemTools: '34',
+    mcpTools: '36',
+    customAgents: '35',
+    memoryFiles: '33',
+    slashCommands: '32',
+    free: '2',
+    reserve: '31',
+  },
+  'high-contrast': {
+    systemPrompt: '97',
+    systemTools: '94',
+    mcpTools: '96',
+    customAgents: '95',
+    memoryFiles: '93',
+    slashCommands: '92',
+    free: '37',
+    reserve: '91',
+  },
+  // Colorless even on a color terminal, e.g. for screenshots
+  mono: {},
+};
+
+/**
+ * Work out rendering options from the environment and the output stream.
+ * NO_COLOR (https://no-color.org) and non-TTY output disable color unless FORCE_COLOR is set;
+ * TERM=dumb also switches to ASCII glyphs.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables
+ * @param {Object} [options.stream] - Output stream, checked for isTTY
+ * @returns {{theme: string, glyphs: string, color: boolean}}
+ */
+export function resolveRenderOptions({ env = process.env, stream = process.stdout } = {}) {
+  const dumbTerminal = env.TERM === 'dumb';
+
+  let color;
+  if (env.FORCE_COLOR !== undefined && env.FORCE_COLOR !== '0' && env.FORCE_COLOR !== 'false') {
+    color = true;
+  } else if (env.NO_COLOR !== undefined && env.NO_COLOR !== '') {
+    color = false;
+  } else {
+    color = Boolean(stream?.isTTY) && !dumbTerminal;
+  }
+
+  const requestedGlyphs = (env.CLAUDE_CONTEXT_GLYPHS || '').toLowerCase();
+  const glyphs = GLYPH_SETS[requestedGlyphs] ? requestedGlyphs : dumbTerminal ? 'ascii' : 'unicode';
+
+  return { theme: env.CLAUDE_CONTEXT_THEME || 'default', glyphs, color };
+}
+
+export function stripAnsi(text) {
+  // eslint-disable-next-line no-control-regex
+  return text.replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Create a renderer used by the grid and the analyzers' text output
+ * @param {{theme?: string, glyphs?: string, color?: boolean}} [options]
+ */
+export function createRenderer({ theme = 'default', glyphs = 'unicode', color = false } = {}) {
+  let themeName = theme;
+  if (!THEMES[themeName]) {
+    console.warn(`Warning: Unknown theme "${theme}", using default (available: ${Object.keys(THEMES).join(', ')})`);
+    themeName = 'default';
+  }
+  const palette = THEMES[themeName];
+  const glyphSetName = GLYPH_SETS[glyphs] ? glyphs : 'unicode';
+  const glyphSet = GLYPH_SETS[glyphSetName];
+  const unicodeToAscii = Object.fromEntries(
+    Object.entries(GLYPH_SETS.unicode).map(([name, glyph]) => [glyph, GLYPH_SETS.ascii[name]])
+  );
+
+  return {
+    theme: themeName,
+    glyphSet: glyphSetName,
+    color,
+    glyphs: glyphSet,
+
+    // Color text by context category (systemPrompt, mcpTools, free, ...)
+    paint(category, text) {
+      const code = palette[category];
+      return color && code ? `\x1b[${code}m${text}\x1b[0m` : text;
+    },
+
+    // Final pass over analyzer output: transliterate symbols for the ASCII glyph set
+    text(output) {
+      if (glyphSetName !== 'ascii') {
+        return output;
+      }
+      let result = output;
+      for (const [symbol, replacement] of Object.entries({ ...unicodeToAscii, ...ASCII_TRANSLITERATIONS })) {
+        result = result.split(symbol).join(replacement);
+      }
+      return result;
+    },
+  };
+}
+
+export default { GLYPH_SETS, THEMES, resolveRenderOptions, stripAnsi, createRenderer };
@@ -0,0 +1,484 @@
+/**
+ * Report export for Claude Code Context Command
+ * Renders the JSON report as GitHub-flavored Markdown or a self-contained HTML page
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { SecureFileOperations } from './security.js';
+import { formatTokenCount, formatTokenDelta } from './context-grid.js';
+import { SCOPE_LABELS } from './mcp-discovery.js';
+import { MEMORY_SCOPE_LABELS } from './memory-discovery.js';
+import { COMMAND_SCOPE_LABELS } from './slash-commands.js';
+
+export const EXPORT_MODES = ['markdown', 'html'];
+
+// Chart colors follow the default terminal theme in lib/renderer.js
+const CHART_COLORS = {
+  systemPrompt: '#8b8f98',
+  systemTools: '#3b82f6',
+  mcpTools: '#06b6d4',
+  customAgents: '#d946ef',
+  memoryFiles: '#eab308',
+  slashCommands: '#22c55e',
+  free: '#e5e7eb',
+  reserve: '#ef4444',
+};
+
+const IMPACT_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Table cells cannot contain raw pipes or newlines; HTML is escaped so file content renders as text
+function escapeCell(value) {
+  return escapeHtml(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function code(value) {
+  return `<code>${escapeCell(value)}</code>`;
+}
+
+function table(headers, alignments, rows) {
+  const lines = [
+    `| ${headers.join(' | ')} |`,
+    `| ${alignments.map(align => (align === 'right' ? '---:' : '---')).join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`),
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Usage segments in window order, including free space and the auto-compact reserve
+ * @param {Object} report - Report from buildJsonReport()
+ * @returns {Array<{key: string, label: string, tokens: number, percent: number}>}
+ */
+export function usageSegments(report) {
+  const { size, free, autoCompactReserve } = report.window;
+  const percent = tokens => (size > 0 ? Number(((tokens / size) * 100).toFixed(1)) : 0);
+  const segments = Object.entries(report.categories).map(([key, category]) => ({ key, ...category }));
+  segments.push({ key: 'free', label: 'Free space', tokens: free, percent: percent(free) });
+  if (autoCompactReserve > 0) {
+    segments.push({
+      key: 'reserve',
+      label: 'Autocompact buffer',
+      tokens: autoCompactReserve,
+      percent: percent(autoCompactReserve),
+    });
+  }
+  return segments;
+}
+
+// Imports are shown relative to the project, as in the text output
+function importPath(report, filePath) {
+  const relative = report.projectPath ? path.relative(report.projectPath, filePath) : filePath;
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : filePath;
+}
+
+function flattenImports(imports, depth = 1) {
+  return imports.flatMap(node => [{ ...node, depth }, ...flattenImports(node.imports, depth + 1)]);
+}
+
+function reportHeader(report) {
+  const { model, window } = report;
+  return {
+    project: report.projectPath ? path.basename(report.projectPath) : 'unknown project',
+    revision: report.revision ? `${report.revision.ref} (${report.revision.commit.slice(0, 7)})` : null,
+    usage: `${formatTokenCount(window.used)} / ${formatTokenCount(window.size)} tokens (${window.usedPercent.toFixed(1)}%)`,
+    model: model.displayName || model.id || 'unknown model',
+    generated: `${report.generatedAt} by ${report.tool.name} ${report.tool.version}`,
+  };
+}
+
+/**
+ * Render the report as GitHub-flavored Markdown: a table per category and a
+ * collapsible tool list per MCP server, suitable for PR descriptions and wikis.
+ *
+ * @param {Object} report - Report from buildJsonReport()
+ * @returns {string}
+ */
+export function formatMarkdownReport(report) {
+  const header = reportHeader(report);
+  let output = `# Claude Code Context Report\n\n`;
+  const revision = header.revision ? ` · **Revision:** ${code(header.revision)}` : '';
+  output += `**Project:** ${code(header.project)}${revision} · **Model:** ${escapeCell(header.model)} · **Used:** ${header.usage}\n\n`;
+  output += `_Generated ${header.generated}_\n\n`;
+
+  output += `## Context usage\n\n`;
+  output += table(
+    ['Category', 'Tokens', 'Share of window'],
+    ['left', 'right', 'right'],
+    [
+      ...usageSegments(report).map(segment => [
+        segment.label,
+        formatTokenCount(segment.tokens),
+        `${segment.percent.toFixed(1)}%`,
+      ]),
+      ['**Total used**', `**${formatTokenCount(report.window.used)}**`, `**${report.window.usedPercent.toFixed(1)}%**`],
+    ]
+  );
+
+  output += `\n## MCP servers\n\n`;
+  const { servers, inactive } = report.mcp;
+  if (servers.length === 0) {
+    output += `_No active MCP servers_\n`;
+  } else {
+    const sorted = [...servers].sort((a, b) => b.tokens - a.tokens);
+    output += table(
+      ['Server', 'Scope', 'Source', 'Tools', 'Tokens'],
+      ['left', 'left', 'left', 'right', 'right'],
+      sorted.map(server => [
+        code(server.name),
+        SCOPE_LABELS[server.scope] || '-',
+        server.source || '-',
+        `${server.tools.length}`,
+        formatTokenCount(server.tokens),
+      ])
+    );
+    for (const server of sorted.filter(entry => entry.tools.length > 0)) {
+      output += `\n<details>\n<summary>${code(server.name)} tools (${server.tools.length})</summary>\n\n`;
+      output += table(
+        ['Tool', 'Tokens'],
+        ['left', 'right'],
+        [...server.tools]
+          .sort((a, b) => b.tokens - a.tokens)
+          .map(tool => [code(tool.name), formatTokenCount(tool.tokens)])
+      );
+      output += `\n</details>\n`;
+    }
+  }
+  if (inactive.length > 0) {
+    output += `\nInactive: ${inactive.map(server => `${code(server.name)} (${escapeCell(server.reason)})`).join(', ')}\n`;
+  }
+
+  output += `\n## Custom agents\n\n`;
+  if (report.agents.length === 0) {
+    output += `_No custom agents_\n`;
+  } else {
+    output += table(
+      ['Agent', 'File', 'Main context', 'On invocation'],
+      ['left', 'left', 'right', 'right'],
+      [...report.agents]
+        .sort((a, b) => b.mainTokens - a.mainTokens)
+        .map(agent => [
+          escapeCell(agent.name),
+          code(agent.file),
+          formatTokenCount(agent.mainTokens),
+          formatTokenCount(agent.invocationTokens),
+        ])
+    );
+  }
+
+  output += `\n## Slash commands\n\n`;
+  if (report.slashCommands.length === 0) {
+    output += `_No custom slash commands_\n`;
+  } else {
+    output += table(
+      ['Command', 'Scope', 'Description', 'Main context', 'On invocation'],
+      ['left', 'left', 'left', 'right', 'right'],
+      [...report.slashCommands]
+        .sort((a, b) => b.mainTokens - a.mainTokens)
+        .map(command => [
+          code(`/${command.name}`),
+          COMMAND_SCOPE_LABELS[command.scope] || command.scope,
+          escapeCell(command.description),
+          formatTokenCount(command.mainTokens),
+          formatTokenCount(command.invocationTokens),
+        ])
+    );
+  }
+
+  output += `\n## Memory files\n\n`;
+  if (report.memoryFiles.length === 0) {
+    output += `_No CLAUDE.md files found_\n`;
+  } else {
+    const rows = [];
+    for (const file of report.memoryFiles) {
+      rows.push([
+        code(file.path),
+        MEMORY_SCOPE_LABELS[file.scope] || file.scope,
+        formatTokenCount(file.tokens),
+        formatTokenCount(file.total),
+      ]);
+      for (const node of flattenImports(file.imports)) {
+        const indent = '&nbsp;&nbsp;'.repeat(node.depth);
+        rows.push([
+          `${indent}↳ ${code(`@${importPath(report, node.path)}`)}${node.missing ? ' (not found)' : ''}`,
+          'Import',
+          formatTokenCount(node.tokens),
+          formatTokenCount(node.total),
+        ]);
+      }
+    }
+    output += table(['File', 'Scope', 'Tokens', 'With imports'], ['left', 'left', 'right', 'right'], rows);
+  }
+
+  if (report.recommendations.length > 0) {
+    output += `\n## Recommendations\n\n`;
+    for (const rec of report.recommendations) {
+      output += `- **${IMPACT_LABELS[rec.impact] || rec.impact}** · **${escapeCell(rec.title)}**: ${escapeCell(rec.description)} (${escapeCell(rec.savings)})\n`;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Stacked bar of the context window as inline SVG
+ * @param {Object} report - Report from buildJsonReport()
+ * @returns {string}
+ */
+export function renderUsageChart(report, { width = 720, height = 32 } = {}) {
+  const { size } = report.window;
+  let x = 0;
+  const rects = usageSegments(report)
+    .filter(segment => segment.tokens > 0 && size > 0)
+    .map(segment => {
+      const segmentWidth = Math.min(width - x, (segment.tokens / size) * width);
+      const rect = `<rect x="${x.toFixed(2)}" y="0" width="${segmentWidth.toFixed(2)}" height="${height}" fill="${CHART_COLORS[segment.key]}"><title>${escapeHtml(segment.label)}: ${formatTokenCount(segment.tokens)} tokens (${segment.percent.toFixed(1)}%)</title></rect>`;
+      x += segmentWidth;
+      return rect;
+    });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Context window usage" viewBox="0 0 ${width} ${height}" width="100%" preserveAspectRatio="none">${rects.join('')}</svg>`;
+}
+
+function htmlTable(headers, rows, numericColumns = []) {
+  const cell = (tag, value, i) => `<${tag}${numericColumns.includes(i) ? ' class="num"' : ''}>${value}</${tag}>`;
+  return `<table><thead><tr>${headers.map((h, i) => cell('th', escapeHtml(h), i)).join('')}</tr></thead><tbody>${rows
+    .map(row => `<tr>${row.map((value, i) => cell('td', value, i)).join('')}</tr>`)
+    .join('')}</tbody></table>`;
+}
+
+/**
+ * Render the report as a single offline HTML page: inline CSS, an inline SVG chart
+ * and no external resources.
+ *
+ * @param {Object} report - Report from buildJsonReport()
+ * @returns {string}
+ */
+export function formatHtmlReport(report) {
+  const header = reportHeader(report);
+  const sections = [];
+
+  const legend = usageSegments(report)
+    .map(
+      segment =>
+        `<li><span class="swatch" style="background:${CHART_COLORS[segment.key]}"></span>${escapeHtml(segment.label)}: ${formatTokenCount(segment.tokens)} tokens (${segment.percent.toFixed(1)}%)</li>`
+    )
+    .join('');
+  sections.push(
+    `<section><h2>Context usage</h2>${renderUsageChart(report)}<ul class="legend">${legend}</ul></section>`
+  );
+
+  const servers = [...report.mcp.servers].sort((a, b) => b.tokens - a.tokens);
+  let mcp = '<section><h2>MCP servers</h2>';
+  if (servers.length === 0) {
+    mcp += '<p class="empty">No active MCP servers</p>';
+  }
+  for (const server of servers) {
+    const meta = [SCOPE_LABELS[server.scope], server.source].filter(Boolean).join(' · ');
+    mcp += `<details><summary><code>${escapeHtml(server.name)}</code> ${formatTokenCount(server.tokens)} tokens <span class="meta">${escapeHtml(meta)} · ${server.tools.length} tool${server.tools.length === 1 ? '' : 's'}</span></summary>`;
+    mcp += htmlTable(
+      ['Tool', 'Tokens'],
+      [...server.tools]
+        .sort((a, b) => b.tokens - a.tokens)
+        .map(tool => [`<code>${escapeHtml(tool.name)}</code>`, formatTokenCount(tool.tokens)]),
+      [1]
+    );
+    mcp += '</details>';
+  }
+  if (report.mcp.inactive.length > 0) {
+    mcp += `<p class="meta">Inactive: ${report.mcp.inactive.map(server => `${escapeHtml(server.name)} (${escapeHtml(server.reason)})`).join(', ')}</p>`;
+  }
+  sections.push(`${mcp}</section>`);
+
+  if (report.agents.length > 0) {
+    sections.push(
+      `<section><h2>Custom agents</h2>${htmlTable(
+        ['Agent', 'File', 'Main context', 'On invocation'],
+        [...report.agents]
+          .sort((a, b) => b.mainTokens - a.mainTokens)
+          .map(agent => [
+            escapeHtml(agent.name),
+            `<code>${escapeHtml(agent.file)}</code>`,
+            formatTokenCount(agent.mainTokens),
+            formatTokenCount(agent.invocationTokens),
+          ]),
+        [2, 3]
+      )}</section>`
+    );
+  }
+
+  if (report.slashCommands.length > 0) {
+    sections.push(
+      `<section><h2>Slash commands</h2>${htmlTable(
+        ['Command', 'Scope', 'Description', 'Main context', 'On invocation'],
+        [...report.slashCommands]
+          .sort((a, b) => b.mainTokens - a.mainTokens)
+          .map(command => [
+            `<code>/${escapeHtml(command.name)}</code>`,
+            escapeHtml(COMMAND_SCOPE_LABELS[command.scope] || command.scope),
+            escapeHtml(command.description),
+            formatTokenCount(command.mainTokens),
+            formatTokenCount(command.invocationTokens),
+          ]),
+        [3, 4]
+      )}</section>`
+    );
+  }
+
+  if (report.memoryFiles.length > 0) {
+    const rows = [];
+    for (const file of report.memoryFiles) {
+      rows.push([
+        `<code>${escapeHtml(file.path)}</code>`,
+        escapeHtml(MEMORY_SCOPE_LABELS[file.scope] || file.scope),
+        formatTokenCount(file.tokens),
+        formatTokenCount(file.total),
+      ]);
+      for (const node of flattenImports(file.imports)) {
+        rows.push([
+          `<span style="padding-left:${node.depth * 1.5}em">↳ <code>@${escapeHtml(importPath(report, node.path))}</code>${node.missing ? ' (not found)' : ''}</span>`,
+          'Import',
+          formatTokenCount(node.tokens),
+          formatTokenCount(node.total),
+        ]);
+      }
+    }
+    sections.push(
+      `<section><h2>Memory files</h2>${htmlTable(['File', 'Scope', 'Tokens', 'With imports'], rows, [2, 3])}</section>`
+    );
+  }
+
+  if (report.recommendations.length > 0) {
+    const items = report.recommendations
+      .map(
+        rec =>
+          `<li><strong>${escapeHtml(IMPACT_LABELS[rec.impact] || rec.impact)} · ${escapeHtml(rec.title)}</strong>: ${escapeHtml(rec.description)} (${escapeHtml(rec.savings)})</li>`
+      )
+      .join('');
+    sections.push(`<section><h2>Recommendations</h2><ul>${items}</ul></section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Claude Code Context Report · ${escapeHtml(header.project)}</title>
+<style>
+body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.15rem; border-bottom: 1px solid #d0d7de; padding-bottom: 0.25rem; margin-top: 2rem; }
+code { font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; background: #f6f8fa; padding: 0.1em 0.3em; border-radius: 4px; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; }
+th, td { text-align: left; padding: 0.3rem 0.6rem; border-bottom: 1px solid #eaeef2; }
+.num { text-align: right; white-space: nowrap; }
+.meta, .empty { color: #656d76; }
+.legend { list-style: none; padding: 0; columns: 2; }
+.swatch { display: inline-block; width: 0.8em; height: 0.8em; margin-right: 0.4em; border-radius: 2px; vertical-align: -0.05em; }
+details { margin: 0.4rem 0; }
+summary { cursor: pointer; }
+svg { border-radius: 4px; display: block; margin: 0.75rem 0; }
+</style>
+</head>
+<body>
+<h1>Claude Code Context Report</h1>
+<p><strong>Project:</strong> <code>${escapeHtml(header.project)}</code>${header.revision ? ` · <strong>Revision:</strong> <code>${escapeHtml(header.revision)}</code>` : ''} · <strong>Model:</strong> ${escapeHtml(header.model)} · <strong>Used:</strong> ${escapeHtml(header.usage)}</p>
+<p class="meta">Generated ${escapeHtml(header.generated)}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+const DIFF_STATUS_LABELS = { added: 'added', removed: 'removed', changed: 'changed' };
+
+/**
+ * Render a diff report as a Markdown summary for a PR description: per-category
+ * deltas, then the servers, tools, agents and memory files that changed.
+ *
+ * @param {Object} diff - Report from buildDiffReport() (lib/context-diff.js)
+ * @param {Object} [options]
+ * @param {string} [options.projectRoot] - Memory file paths are shown relative to it
+ * @returns {string}
+ */
+export function formatDiffMarkdown(diff, { projectRoot = null } = {}) {
+  const { total } = diff;
+  const percent =
+    total.from > 0 ? ` (${total.delta >= 0 ? '+' : '-'}${Math.abs((total.delta / total.from) * 100).toFixed(1)}%)` : '';
+  let output = `## Context footprint: ${code(diff.from.label)} → ${code(diff.to.label)}\n\n`;
+  output += `**Total:** ${formatTokenCount(total.from)} → ${formatTokenCount(total.to)} tokens, **${formatTokenDelta(total.delta)}**${percent}\n\n`;
+  if (diff.model) {
+    output += `**Model:** ${code(diff.model.from || 'unknown')} → ${code(diff.model.to || 'unknown')}\n\n`;
+  }
+
+  output += table(
+    ['Category', 'Before', 'After', 'Change'],
+    ['left', 'right', 'right', 'right'],
+    Object.values(diff.categories).map(category => [
+      category.label,
+      formatTokenCount(category.from),
+      formatTokenCount(category.to),
+      formatTokenDelta(category.delta),
+    ])
+  );
+
+  const displayName = (name, isPath) => (isPath ? importPath({ projectPath: projectRoot }, name) : name);
+  const sections = [
+    ['MCP servers', diff.mcpServers, false],
+    ['MCP tools', diff.mcpTools, false],
+    ['Custom agents', diff.agents, false],
+    ['Memory files', diff.memoryFiles, true],
+  ].filter(([, entries]) => entries?.length);
+
+  if (sections.length === 0) {
+    output += total.delta === 0 ? `\n_No changes to the context footprint_\n` : '';
+  }
+  for (const [title, entries, isPath] of sections) {
+    output += `\n**${title}**\n\n`;
+    for (const entry of entries) {
+      const tokens =
+        entry.status === 'changed'
+          ? `${formatTokenCount(entry.from)} → ${formatTokenCount(entry.to)}`
+          : formatTokenCount(entry.to ?? entry.from);
+      output += `- ${code(displayName(entry.name, isPath))} ${DIFF_STATUS_LABELS[entry.status]}: ${formatTokenDelta(entry.delta)} tokens (${tokens})\n`;
+    }
+  }
+
+  output += `\n_Generated ${diff.generatedAt} by ${diff.tool.name} ${diff.tool.version}_\n`;
+  return output;
+}
+
+/**
+ * Write an exported report, creating missing directories.
+ * The destination must be inside one of the allowed directories.
+ * @param {string} filePath - Destination file
+ * @param {string} content - Report content
+ * @param {string[]} allowedPaths - Directories reports may be written to
+ * @returns {Promise<string>} Resolved path written
+ */
+export async function writeReportFile(filePath, content, allowedPaths) {
+  const files = new SecureFileOperations(allowedPaths);
+  // Validate before creating missing parent directories
+  const destination = files.validateFilePath(filePath);
+  await fs.mkdir(path.dirname(destination), { recursive: true });
+  return files.writeFile(destination, content);
+}
+
+export default {
+  EXPORT_MODES,
+  usageSegments,
+  formatMarkdownReport,
+  renderUsageChart,
+  formatHtmlReport,
+  formatDiffMarkdown,
+  writeReportFile,
+};
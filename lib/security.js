@@ -23,7 +23,7 @@ export class InputValidator {
     }
     
     // Allowlist of valid modes
-    const allowedModes = ['compact', 'summary', 'standard', 'detailed'];
+    const allowedModes = ['compact', 'summary', 'standard', 'detailed', 'measure', 'settings', 'json', 'markdown', 'html', 'session', 'history', 'diff', 'check', 'simulate', 'optimize'];
     if (!allowedModes.includes(mode)) {
       throw new Error(`Invalid mode: ${mode}`);
     }
@@ -31,6 +31,71 @@ export class InputValidator {
     return mode;
   }
   
+  static validateModelId(modelId) {
+    if (typeof modelId !== 'string') {
+      throw new Error('Model must be a string');
+    }
+    
+    // Model ids and aliases only use letters, digits, dots, dashes and the [1m] suffix
+    if (!/^[a-zA-Z0-9._-]{1,100}(\[1m\])?$/.test(modelId)) {
+      throw new Error('Model contains invalid characters');
+    }
+    
+    return modelId;
+  }
+  
+  static validateSessionId(sessionId) {
+    if (typeof sessionId !== 'string') {
+      throw new Error('Session must be a string');
+    }
+    
+    // Session ids are UUIDs; a unique prefix is also accepted
+    if (!/^[a-zA-Z0-9-]{1,100}$/.test(sessionId)) {
+      throw new Error('Session contains invalid characters');
+    }
+    
+    return sessionId;
+  }
+  
+  static validateName(name) {
+    if (typeof name !== 'string') {
+      throw new Error('Name must be a string');
+    }
+    
+    // MCP server and agent names; never an option
+    if (!/^[a-zA-Z0-9@._][a-zA-Z0-9@._:/-]{0,99}$/.test(name)) {
+      throw new Error('Name contains invalid characters');
+    }
+    
+    return name;
+  }
+  
+  static validateGitRef(ref) {
+    if (typeof ref !== 'string') {
+      throw new Error('Revision must be a string');
+    }
+    
+    // Branches, tags, commits and suffixes like HEAD~2 or main@{1}; never an option or a range
+    if (!/^[a-zA-Z0-9@][a-zA-Z0-9._/~^@{}-]{0,199}$/.test(ref) || ref.includes('..')) {
+      throw new Error('Revision contains invalid characters');
+    }
+    
+    return ref;
+  }
+  
+  static validateCount(value, label = 'Count') {
+    if (typeof value !== 'string') {
+      throw new Error(`${label} must be a string`);
+    }
+    
+    // Plain positive whole numbers; no signs, exponents or options
+    if (!/^[1-9][0-9]{0,5}$/.test(value)) {
+      throw new Error(`${label} must be a positive whole number`);
+    }
+    
+    return Number(value);
+  }
+  
   static validatePath(userPath) {
     if (typeof userPath !== 'string') {
       throw new Error('Path must be a string');
@@ -83,6 +148,13 @@ export class SafeCommandExecutor {
         baseArgs: ['10s', 'node'],
         timeout: 10000,
         maxBuffer: 1024 * 1024
+      }],
+      // Live MCP measurement starts every stdio server, so it gets a longer budget
+      ['timeout-measure', {
+        cmd: 'timeout',
+        baseArgs: ['120s', 'node'],
+        timeout: 120000,
+        maxBuffer: 1024 * 1024
       }]
     ]);
   }
@@ -142,7 +214,11 @@ export class SafeCommandExecutor {
         if (code === 0) {
           resolve({ stdout, stderr });
         } else {
-          reject(new Error(`Command failed with code ${code}: ${stderr}`));
+          const error = new Error(`Command failed with code ${code}: ${stderr}`);
+          // The budget gate exits 1 with a report; callers need both to pass them on
+          error.exitCode = code;
+          error.stdout = stdout;
+          reject(error);
         }
       });
       
@@ -240,11 +316,10 @@ export class SecureFileOperations {
   
   async writeFile(filePath, content, options = {}) {
     const validPath = this.validateFilePath(filePath);
+    // Atomic write using temporary file
+    const tempPath = `${validPath}.tmp.${Date.now()}`;
     
     try {
-      // Atomic write using temporary file
-      const tempPath = `${validPath}.tmp.${Date.now()}`;
-      
       await fs.writeFile(tempPath, content, options.encoding || 'utf8');
       await fs.rename(tempPath, validPath);
       
@@ -252,7 +327,7 @@ export class SecureFileOperations {
     } catch (error) {
       // Clean up temp file if it exists
       try {
-        await fs.unlink(`${validPath}.tmp.${Date.now()}`);
+        await fs.unlink(tempPath);
       } catch {}
       
       throw new Error(`Failed to write file: ${error.message}`);
@@ -0,0 +1,411 @@
+/**
+ * Session transcript analysis for Claude Code Context Command
+ * Reads ~/.claude/projects/<slug>/*.jsonl transcripts and totals the real API usage
+ */
+
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import readline from 'readline';
+
+/**
+ * Claude Code names a project's transcript directory after its path with every
+ * character other than letters and digits replaced by "-" (/work/my.app -> -work-my-app)
+ */
+export function getProjectSlug(projectRoot) {
+  return path.resolve(projectRoot).replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+export function getTranscriptDir({ projectRoot, homeDir = os.homedir() }) {
+  return path.join(homeDir, '.claude', 'projects', getProjectSlug(projectRoot));
+}
+
+/**
+ * List the project's sessions, most recently active first
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude/projects
+ * @returns {Promise<Array<{id: string, path: string, modified: Date, size: number}>>}
+ */
+export async function listSessions({ projectRoot, homeDir = os.homedir() }) {
+  const dir = getTranscriptDir({ projectRoot, homeDir });
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Warning: Could not read transcripts in ${dir}: ${error.message}`);
+    }
+    return [];
+  }
+
+  const sessions = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith('.jsonl')) continue;
+    const filePath = path.join(dir, entry.name);
+    try {
+      const stats = await fs.stat(filePath);
+      sessions.push({
+        id: entry.name.slice(0, -'.jsonl'.length),
+        path: filePath,
+        modified: stats.mtime,
+        size: stats.size,
+      });
+    } catch (error) {
+      console.warn(`Warning: Could not read transcript ${filePath}: ${error.message}`);
+    }
+  }
+  return sessions.sort((a, b) => b.modified - a.modified);
+}
+
+// Tool results listed individually in the "largest results" view
+const LARGEST_RESULT_COUNT = 5;
+
+// Input fields that best identify a tool call, in order of preference
+const CALL_SUMMARY_FIELDS = ['file_path', 'path', 'notebook_path', 'command', 'pattern', 'url', 'query', 'description'];
+
+function emptyUsage() {
+  return { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
+}
+
+function readUsage(usage = {}) {
+  return {
+    input: usage.input_tokens || 0,
+    output: usage.output_tokens || 0,
+    cacheCreation: usage.cache_creation_input_tokens || 0,
+    cacheRead: usage.cache_read_input_tokens || 0,
+  };
+}
+
+function addUsage(total, usage) {
+  for (const key of Object.keys(total)) {
+    total[key] += usage[key];
+  }
+}
+
+/**
+ * Short description of a tool call from its input, e.g. the file read or command run
+ */
+export function summarizeToolCall(input) {
+  if (!input || typeof input !== 'object') {
+    return '';
+  }
+  const field = CALL_SUMMARY_FIELDS.find(key => typeof input[key] === 'string' && input[key]);
+  const value = field ? input[field] : Object.values(input).find(item => typeof item === 'string' && item) || '';
+  const singleLine = value.replace(/\s+/g, ' ').trim();
+  return singleLine.length > 60 ? `${singleLine.slice(0, 57)}...` : singleLine;
+}
+
+// Text that a tool_result puts into context; images are not counted
+function toolResultText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(block => block?.type === 'text' && typeof block.text === 'string')
+      .map(block => block.text)
+      .join('\n');
+  }
+  return '';
+}
+
+function summarizeToolResults(calls) {
+  const byTool = new Map();
+  for (const call of calls) {
+    const tool = byTool.get(call.name) || { name: call.name, calls: 0, totalTokens: 0, maxTokens: 0 };
+    tool.calls++;
+    tool.totalTokens += call.tokens;
+    tool.maxTokens = Math.max(tool.maxTokens, call.tokens);
+    byTool.set(call.name, tool);
+  }
+  return {
+    calls: calls.length,
+    totalTokens: calls.reduce((sum, call) => sum + call.tokens, 0),
+    tools: [...byTool.values()].sort((a, b) => b.totalTokens - a.totalTokens),
+    largest: [...calls].sort((a, b) => b.tokens - a.tokens).slice(0, LARGEST_RESULT_COUNT),
+  };
+}
+
+// Line-by-line state shared by parseTranscript() and readTranscript()
+function createTranscriptParser(tokenizer) {
+  const summary = {
+    sessionId: null,
+    startedAt: null,
+    lastActivityAt: null,
+    model: null,
+    messages: { userPrompts: 0, toolResults: 0, assistant: 0, sidechain: 0 },
+    compactions: 0,
+    usage: emptyUsage(),
+    sidechainUsage: emptyUsage(),
+    lastUsage: null,
+    toolResults: null,
+    invalidLines: 0,
+  };
+  const seenReplies = new Set();
+  const toolUses = new Map();
+  const toolCalls = [];
+
+  return {
+    addLine(line) {
+      if (!line.trim()) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        summary.invalidLines++;
+        return;
+      }
+
+      summary.sessionId = summary.sessionId || entry.sessionId || null;
+      if (entry.timestamp) {
+        summary.startedAt = summary.startedAt || entry.timestamp;
+        summary.lastActivityAt = entry.timestamp;
+      }
+      if (entry.type === 'system' && entry.subtype === 'compact_boundary') {
+        summary.compactions++;
+        return;
+      }
+
+      const message = entry.message;
+      if (!message || (entry.type !== 'user' && entry.type !== 'assistant')) return;
+
+      if (entry.isSidechain) {
+        if (entry.type === 'assistant' && message.usage) {
+          const replyId = message.id || entry.uuid;
+          if (!seenReplies.has(replyId)) {
+            seenReplies.add(replyId);
+            summary.messages.sidechain++;
+            addUsage(summary.sidechainUsage, readUsage(message.usage));
+          }
+        }
+        return;
+      }
+
+      const blocks = Array.isArray(message.content) ? message.content : [];
+      if (entry.type === 'user') {
+        if (tokenizer) {
+          for (const block of blocks.filter(item => item?.type === 'tool_result')) {
+            const use = toolUses.get(block.tool_use_id) || { name: 'unknown', summary: '' };
+            toolCalls.push({
+              name: use.name,
+              summary: use.summary,
+              tokens: tokenizer.count(toolResultText(block.content)),
+              timestamp: entry.timestamp || null,
+            });
+          }
+        }
+        if (blocks.length > 0 && blocks.every(block => block.type === 'tool_result')) {
+          summary.messages.toolResults += blocks.length;
+        } else if (!entry.isMeta) {
+          summary.messages.userPrompts++;
+        }
+        return;
+      }
+
+      for (const block of blocks.filter(item => item?.type === 'tool_use')) {
+        toolUses.set(block.id, { name: block.name, summary: summarizeToolCall(block.input) });
+      }
+
+      // Assistant reply; "<synthetic>" replies are written locally and were never billed
+      if (!message.usage || message.model === '<synthetic>') return;
+      const replyId = message.id || entry.uuid;
+      const usage = readUsage(message.usage);
+      if (!seenReplies.has(replyId)) {
+        seenReplies.add(replyId);
+        summary.messages.assistant++;
+        addUsage(summary.usage, usage);
+      }
+      summary.model = message.model || summary.model;
+      summary.lastUsage = usage;
+    },
+    finish() {
+      summary.toolResults = tokenizer ? summarizeToolResults(toolCalls) : null;
+      return summary;
+    },
+  };
+}
+
+/**
+ * Summarize a JSONL transcript.
+ * Streaming writes one line per content block, each repeating the reply's usage, so
+ * assistant replies are counted once per message id. Subagent (sidechain) traffic is
+ * totalled separately because it never enters the main conversation's window.
+ *
+ * With a tokenizer, tool_result payloads in the main conversation are measured and
+ * attributed to the tool_use that requested them (summary.toolResults).
+ *
+ * @param {string} content - Transcript file content
+ * @param {Object} [options]
+ * @param {Object} [options.tokenizer] - Tokenizer from lib/tokenizer.js
+ * @returns {Object} Message counts, usage totals and the latest main-chain reply
+ */
+export function parseTranscript(content, { tokenizer = null } = {}) {
+  const parser = createTranscriptParser(tokenizer);
+  for (const line of content.split('\n')) {
+    parser.addLine(line);
+  }
+  return parser.finish();
+}
+
+/**
+ * Summarize a transcript file as parseTranscript() does. The file is streamed line
+ * by line, so long sessions are read without holding the whole transcript in memory.
+ *
+ * @param {string} filePath - Path to the .jsonl transcript
+ * @param {Object} [options]
+ * @param {Object} [options.tokenizer] - Tokenizer from lib/tokenizer.js
+ * @returns {Promise<Object>} Same summary as parseTranscript()
+ */
+export async function readTranscript(filePath, { tokenizer = null } = {}) {
+  const parser = createTranscriptParser(tokenizer);
+  const lines = readline.createInterface({ input: createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    parser.addLine(line);
+  }
+  return parser.finish();
+}
+
+/**
+ * Tokens in the main conversation's window after the latest reply: everything the
+ * model read (fresh, cache-written and cache-read input) plus what it wrote.
+ */
+export function currentContextTokens(lastUsage) {
+  if (!lastUsage) {
+    return 0;
+  }
+  return lastUsage.input + lastUsage.cacheCreation + lastUsage.cacheRead + lastUsage.output;
+}
+
+/**
+ * Find and summarize a session for the project: the most recently active one, or
+ * the session whose id starts with sessionId.
+ *
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude/projects
+ * @param {string} [options.sessionId] - Full id or unique prefix of the session to analyze
+ * @param {Object} [options.tokenizer] - Tokenizer used to measure tool results
+ * @returns {Promise<Object|null>} Summary with id, path, sessionCount and latest; null without transcripts
+ */
+export async function analyzeSession({ projectRoot, homeDir = os.homedir(), sessionId = null, tokenizer = null }) {
+  const sessions = await listSessions({ projectRoot, homeDir });
+  if (sessions.length === 0) {
+    return null;
+  }
+
+  let session = sessions[0];
+  if (sessionId) {
+    const matches = sessions.filter(candidate => candidate.id.startsWith(sessionId));
+    if (matches.length === 0) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    if (matches.length > 1 && !matches.some(candidate => candidate.id === sessionId)) {
+      throw new Error(`Session id is ambiguous: ${sessionId} matches ${matches.length} sessions`);
+    }
+    session = matches.find(candidate => candidate.id === sessionId) || matches[0];
+  }
+
+  const summary = await readTranscript(session.path, { tokenizer });
+  if (summary.invalidLines > 0) {
+    console.warn(`Warning: Skipped ${summary.invalidLines} unreadable lines in ${session.path}`);
+  }
+  return {
+    ...summary,
+    id: session.id,
+    path: session.path,
+    modified: session.modified.toISOString(),
+    sessionCount: sessions.length,
+    latest: session === sessions[0],
+    contextTokens: currentContextTokens(summary.lastUsage),
+  };
+}
+
+// Tool calls by name, plus subagent runs by agent type (the subagent_type of Task calls).
+// The transcript is streamed line by line, so its size does not bound memory
+async function scanToolUses(filePath) {
+  const tools = new Map();
+  const agents = new Map();
+  const seenCalls = new Set();
+  const lines = readline.createInterface({ input: createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.includes('"tool_use"')) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const blocks = Array.isArray(entry.message?.content) ? entry.message.content : [];
+    for (const block of blocks) {
+      if (block?.type !== 'tool_use' || typeof block.name !== 'string' || seenCalls.has(block.id)) continue;
+      if (block.id) seenCalls.add(block.id);
+      tools.set(block.name, (tools.get(block.name) || 0) + 1);
+      const agentType = block.input?.subagent_type;
+      if (typeof agentType === 'string') {
+        agents.set(agentType, (agents.get(agentType) || 0) + 1);
+      }
+    }
+  }
+  return { tools, agents };
+}
+
+/**
+ * Tool calls across the project's recent sessions
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude/projects
+ * @param {number} [options.maxSessions] - Most recent sessions to scan
+ * @param {number} [options.maxAgeDays] - Ignore sessions last active longer ago than this
+ * @param {Date} [options.now] - Reference time for maxAgeDays
+ * @returns {Promise<{sessions: number, oldest: string|null, toolCalls: Map<string, number>, agentCalls: Map<string, number>}>}
+ */
+export async function collectToolUsage({
+  projectRoot,
+  homeDir = os.homedir(),
+  maxSessions = 20,
+  maxAgeDays = 30,
+  now = new Date(),
+}) {
+  const cutoff = now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const sessions = (await listSessions({ projectRoot, homeDir }))
+    .filter(session => session.modified.getTime() >= cutoff)
+    .slice(0, maxSessions);
+
+  const toolCalls = new Map();
+  const agentCalls = new Map();
+  const add = (totals, counts) => {
+    for (const [name, count] of counts) {
+      totals.set(name, (totals.get(name) || 0) + count);
+    }
+  };
+  for (const session of sessions) {
+    try {
+      const { tools, agents } = await scanToolUses(session.path);
+      add(toolCalls, tools);
+      add(agentCalls, agents);
+    } catch (error) {
+      console.warn(`Warning: Could not read transcript ${session.path}: ${error.message}`);
+    }
+  }
+
+  return {
+    sessions: sessions.length,
+    oldest: sessions.length > 0 ? sessions[sessions.length - 1].modified.toISOString() : null,
+    toolCalls,
+    agentCalls,
+  };
+}
+
+export default {
+  getProjectSlug,
+  getTranscriptDir,
+  listSessions,
+  summarizeToolCall,
+  parseTranscript,
+  readTranscript,
+  currentContextTokens,
+  analyzeSession,
+  collectToolUsage,
+};
@@ -0,0 +1,134 @@
+/**
+ * Settings hierarchy resolution for Claude Code Context Command
+ * Merges managed, user, project and local settings the way Claude Code does
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+
+/**
+ * Settings scopes in ascending precedence: later entries override earlier ones
+ */
+export const SETTINGS_SCOPES = ['user', 'project', 'local', 'managed'];
+
+export const SETTINGS_SCOPE_LABELS = {
+  user: 'User',
+  project: 'Project',
+  local: 'Local',
+  managed: 'Managed',
+};
+
+/**
+ * Location of the enterprise-managed settings file for a platform
+ */
+export function getManagedSettingsPath(platform = process.platform) {
+  if (platform === 'darwin') {
+    return '/Library/Application Support/ClaudeCode/managed-settings.json';
+  }
+  if (platform === 'win32') {
+    return 'C:\\ProgramData\\ClaudeCode\\managed-settings.json';
+  }
+  return '/etc/claude-code/managed-settings.json';
+}
+
+/**
+ * Settings files for each scope, in ascending precedence
+ */
+export function getSettingsPaths({ projectRoot, homeDir = os.homedir(), managedPath = getManagedSettingsPath() }) {
+  return [
+    { scope: 'user', path: path.join(homeDir, '.claude', 'settings.json') },
+    { scope: 'project', path: path.join(projectRoot, '.claude', 'settings.json') },
+    { scope: 'local', path: path.join(projectRoot, '.claude', 'settings.local.json') },
+    { scope: 'managed', path: managedPath },
+  ];
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Permission rule lists accumulate across scopes instead of replacing each other
+const isAccumulatingKey = keyPath => keyPath.startsWith('permissions.');
+
+function mergeInto(target, source, provenance, origin, prefix = '') {
+  for (const [key, value] of Object.entries(source)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+        delete provenance[keyPath];
+      }
+      mergeInto(target[key], value, provenance, origin, keyPath);
+      continue;
+    }
+
+    const previous = provenance[keyPath];
+    if (Array.isArray(value) && Array.isArray(target[key]) && isAccumulatingKey(keyPath)) {
+      target[key] = Array.from(new Set([...target[key], ...value]));
+      provenance[keyPath] = { ...previous, scopes: [...previous.scopes, origin.scope] };
+    } else {
+      // A scalar replacing a nested object drops the provenance of its children
+      for (const childPath of Object.keys(provenance)) {
+        if (childPath.startsWith(`${keyPath}.`)) {
+          delete provenance[childPath];
+        }
+      }
+      target[key] = value;
+      provenance[keyPath] = {
+        scope: origin.scope,
+        path: origin.path,
+        scopes: [origin.scope],
+        overridden: previous ? [...previous.overridden, ...previous.scopes] : [],
+      };
+    }
+  }
+}
+
+/**
+ * Load every settings file and merge them with Claude Code precedence
+ * (managed > local > project > user).
+ *
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project directory containing .claude/
+ * @param {string} [options.homeDir] - Home directory containing ~/.claude/settings.json
+ * @param {string} [options.managedPath] - Enterprise managed settings file
+ * @returns {Promise<{effective: Object, provenance: Object, sources: Array}>}
+ */
+export async function resolveSettings(options) {
+  const effective = {};
+  const provenance = {};
+  const sources = [];
+
+  for (const origin of getSettingsPaths(options)) {
+    let settings;
+    try {
+      settings = JSON.parse(await fs.readFile(origin.path, 'utf8'));
+    } catch (error) {
+      const status = error.code === 'ENOENT' ? 'missing' : 'invalid';
+      if (status === 'invalid') {
+        console.warn(`Warning: Could not read ${SETTINGS_SCOPE_LABELS[origin.scope]} settings: ${error.message}`);
+      }
+      sources.push({ ...origin, status });
+      continue;
+    }
+
+    if (!isPlainObject(settings)) {
+      console.warn(`Warning: ${SETTINGS_SCOPE_LABELS[origin.scope]} settings must be a JSON object`);
+      sources.push({ ...origin, status: 'invalid' });
+      continue;
+    }
+
+    mergeInto(effective, settings, provenance, origin);
+    sources.push({ ...origin, status: 'loaded' });
+  }
+
+  return { effective, provenance, sources };
+}
+
+export default {
+  SETTINGS_SCOPES,
+  SETTINGS_SCOPE_LABELS,
+  getManagedSettingsPath,
+  getSettingsPaths,
+  resolveSettings,
+};
@@ -0,0 +1,150 @@
+/**
+ * Custom slash command discovery for Claude Code Context Command
+ * Finds project and user commands and measures what they cost the main context
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { parseFrontmatter } from './frontmatter.js';
+
+export const COMMAND_SCOPE_LABELS = {
+  project: 'Project',
+  user: 'User',
+};
+
+const MAX_NAMESPACE_DEPTH = 5; // Subdirectories become command namespaces
+
+/**
+ * Split an allowed-tools value ("Bash(git add:*), Read" or a YAML list) into tool rules.
+ * Commas inside parentheses belong to the rule, not the list.
+ */
+export function parseAllowedTools(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return [];
+  }
+
+  const tools = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+    if (char === ',' && depth === 0) {
+      tools.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  tools.push(current.trim());
+  return tools.filter(Boolean);
+}
+
+// Unquoted hints such as `[message]` read as YAML lists; restore the brackets users wrote
+function formatArgumentHint(value) {
+  if (Array.isArray(value)) {
+    return `[${value.join(', ')}]`;
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Parse a commands/*.md file. Without a description, Claude Code falls back to the
+ * first line of the body.
+ */
+export function parseSlashCommand(content, name) {
+  const { data, body } = parseFrontmatter(content);
+  const firstLine = body
+    .split('\n')
+    .map(line => line.replace(/^#+\s*/, '').trim())
+    .find(Boolean);
+
+  return {
+    name,
+    description: typeof data.description === 'string' && data.description ? data.description : firstLine || '',
+    allowedTools: parseAllowedTools(data['allowed-tools']),
+    argumentHint: formatArgumentHint(data['argument-hint']),
+    body,
+  };
+}
+
+async function listCommandFiles(dir, namespace = [], depth = 0) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+      console.warn(`Warning: Could not read commands directory ${dir}: ${error.message}`);
+    }
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.isDirectory() && depth < MAX_NAMESPACE_DEPTH) {
+      files.push(...(await listCommandFiles(path.join(dir, entry.name), [...namespace, entry.name], depth + 1)));
+    } else if (entry.isFile() && entry.name.endsWith('.md')) {
+      files.push({ path: path.join(dir, entry.name), name: [...namespace, entry.name.slice(0, -3)].join(':') });
+    }
+  }
+  return files;
+}
+
+/**
+ * Discover custom slash commands from .claude/commands and ~/.claude/commands.
+ *
+ * @param {Object} options
+ * @param {string} options.projectRoot - Directory containing .claude/
+ * @param {string} [options.homeDir] - Home directory holding ~/.claude/commands
+ * @returns {Promise<Array<{name, scope, path, description, allowedTools, argumentHint, body}>>}
+ */
+export async function discoverSlashCommands({ projectRoot, homeDir = os.homedir() }) {
+  const locations = [
+    { scope: 'project', dir: path.join(projectRoot, '.claude', 'commands') },
+    { scope: 'user', dir: path.join(homeDir, '.claude', 'commands') },
+  ];
+
+  const commands = [];
+  const seenDirs = new Set();
+  for (const { scope, dir } of locations) {
+    // A project at the home directory would otherwise list its commands twice
+    if (seenDirs.has(dir)) continue;
+    seenDirs.add(dir);
+
+    for (const file of await listCommandFiles(dir)) {
+      try {
+        const content = await fs.readFile(file.path, 'utf8');
+        commands.push({ ...parseSlashCommand(content, file.name), scope, path: file.path });
+      } catch (error) {
+        console.warn(`Warning: Could not read slash command ${file.path}: ${error.message}`);
+      }
+    }
+  }
+  return commands;
+}
+
+/**
+ * Token cost of one command. The name, argument hint and description are listed to
+ * the main session; the body is only expanded into context when the command runs.
+ *
+ * @returns {{mainTokens: number, invocationTokens: number}}
+ */
+export function measureSlashCommand(command, tokenizer) {
+  const hint = command.argumentHint ? ` ${command.argumentHint}` : '';
+  return {
+    mainTokens: tokenizer.count(`- /${command.name}${hint}: ${command.description}`),
+    invocationTokens: tokenizer.count(command.body),
+  };
+}
+
+export default {
+  COMMAND_SCOPE_LABELS,
+  parseAllowedTools,
+  parseSlashCommand,
+  discoverSlashCommands,
+  measureSlashCommand,
+};
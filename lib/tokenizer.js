@@ -0,0 +1,282 @@
+/**
+ * Offline tokenizer for Claude Code Context Command
+ * Provides pluggable token counting backed by a bundled BPE-style vocabulary
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_VOCAB_PATH = path.join(__dirname, 'data', 'tokenizer-vocab.json');
+
+// GPT-2 style pre-tokenization: contractions, words, numbers, symbol runs, whitespace
+const PRETOKENIZE_PATTERN = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+const CAMEL_CASE_PATTERN = /[A-Z]?[a-z]+|[A-Z]+(?![a-z])|[^A-Za-z]+/g;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Legacy character-count heuristic (1 token ≈ 4 characters)
+ */
+export class HeuristicTokenizer {
+  constructor() {
+    this.name = 'heuristic';
+  }
+
+  count(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / 4);
+  }
+}
+
+/**
+ * Greedy longest-match tokenizer over a BPE-style vocabulary
+ */
+export class BpeTokenizer {
+  constructor(family, definition) {
+    this.name = family;
+    this.unknownRunLength = definition.unknownRunLength || 3;
+    this.spacesPerToken = definition.spacesPerToken || 8;
+    this.newlinesPerToken = definition.newlinesPerToken || 2;
+    this.digitsPerToken = definition.digitsPerToken || 3;
+    this.maxPieceLength = definition.maxPieceLength || 16;
+    this.minPieceLength = definition.minPieceLength || 3;
+    this.shortWordLength = definition.shortWordLength || 5;
+    this.words = new Set(definition.words || []);
+    this.subwords = new Set([...(definition.words || []), ...(definition.subwords || [])]);
+    this.symbols = new Set(definition.symbols || []);
+    this.maxSymbolLength = Math.max(1, ...Array.from(this.symbols, s => s.length));
+  }
+
+  count(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    for (const [piece] of String(text).matchAll(PRETOKENIZE_PATTERN)) {
+      tokens += this.countPiece(piece);
+    }
+    return tokens;
+  }
+
+  countPiece(piece) {
+    const body = piece.startsWith(' ') && piece.length > 1 ? piece.slice(1) : piece;
+
+    if (/^\s+$/.test(body)) {
+      return this.countWhitespace(body);
+    }
+    if (/^\p{N}+$/u.test(body)) {
+      return Math.ceil(body.length / this.digitsPerToken);
+    }
+    if (/^\p{L}+$/u.test(body)) {
+      return this.countWord(body);
+    }
+    if (body.startsWith("'")) {
+      return 1;
+    }
+    return this.countSymbols(body);
+  }
+
+  countWhitespace(whitespace) {
+    const newlines = (whitespace.match(/\n/g) || []).length;
+    const spaces = whitespace.length - newlines;
+    return Math.ceil(newlines / this.newlinesPerToken) + Math.ceil(spaces / this.spacesPerToken);
+  }
+
+  countWord(word) {
+    if (!/^[A-Za-z]+$/.test(word)) {
+      return this.countNonAsciiWord(word);
+    }
+
+    // Split camelCase and PascalCase identifiers the way code is usually tokenized
+    const parts = word.match(CAMEL_CASE_PATTERN) || [word];
+    return parts.reduce((sum, part) => sum + this.countAsciiPart(part), 0);
+  }
+
+  countAsciiPart(part) {
+    const lower = part.toLowerCase();
+    if (this.words.has(lower)) {
+      // Upper-case acronyms are rarely single vocabulary entries
+      return part.length > 3 && part === part.toUpperCase() ? 2 : 1;
+    }
+    if (lower.length <= this.shortWordLength) {
+      // Short fragments almost always have a dedicated vocabulary entry
+      return 1;
+    }
+
+    let tokens = 0;
+    let unknownRun = 0;
+    let position = 0;
+
+    while (position < lower.length) {
+      let matched = 0;
+      const longest = Math.min(this.maxPieceLength, lower.length - position);
+      for (let length = longest; length >= this.minPieceLength; length--) {
+        if (this.subwords.has(lower.slice(position, position + length))) {
+          matched = length;
+          break;
+        }
+      }
+
+      if (matched > 0) {
+        tokens += Math.ceil(unknownRun / this.unknownRunLength) + 1;
+        unknownRun = 0;
+        position += matched;
+      } else {
+        unknownRun++;
+        position++;
+      }
+    }
+
+    return tokens + Math.ceil(unknownRun / this.unknownRunLength);
+  }
+
+  countNonAsciiWord(word) {
+    let tokens = 0;
+    let otherRun = 0;
+
+    for (const char of word) {
+      if (CJK_PATTERN.test(char)) {
+        tokens += 1;
+      } else if (/[A-Za-z]/.test(char.normalize('NFD').charAt(0))) {
+        // Accented Latin letters cost roughly one extra token per accent
+        tokens += 1;
+      } else {
+        otherRun++;
+      }
+    }
+
+    // Cyrillic, Greek and similar scripts average about two characters per token
+    return tokens + Math.ceil(otherRun / 2);
+  }
+
+  countSymbols(symbols) {
+    let tokens = 0;
+    let position = 0;
+    const chars = Array.from(symbols);
+
+    while (position < chars.length) {
+      const char = chars[position];
+
+      if (char.codePointAt(0) > 0x7f) {
+        // Emoji and other non-ASCII symbols are split into byte-level pieces
+        const bytes = Buffer.byteLength(char, 'utf8');
+        tokens += Math.ceil(bytes / 2);
+        position++;
+        continue;
+      }
+
+      let matched = 1;
+      const longest = Math.min(this.maxSymbolLength, chars.length - position);
+      for (let length = longest; length >= 2; length--) {
+        if (this.symbols.has(chars.slice(position, position + length).join(''))) {
+          matched = length;
+          break;
+        }
+      }
+
+      tokens++;
+      position += matched;
+    }
+
+    return tokens;
+  }
+}
+
+let vocabularyCache = null;
+const tokenizerFactories = new Map([['heuristic', () => new HeuristicTokenizer()]]);
+const tokenizerInstances = new Map();
+
+/**
+ * Load the bundled vocabulary file (read once per process)
+ * @returns {Object} Parsed vocabulary definition
+ */
+export function loadVocabulary(vocabPath = DEFAULT_VOCAB_PATH) {
+  if (vocabPath === DEFAULT_VOCAB_PATH && vocabularyCache) {
+    return vocabularyCache;
+  }
+
+  const vocabulary = JSON.parse(readFileSync(vocabPath, 'utf8'));
+  if (!vocabulary.families || typeof vocabulary.families !== 'object') {
+    throw new Error('Invalid tokenizer vocabulary: missing families');
+  }
+
+  if (vocabPath === DEFAULT_VOCAB_PATH) {
+    vocabularyCache = vocabulary;
+  }
+  return vocabulary;
+}
+
+/**
+ * Register a custom tokenizer for a model family
+ * @param {string} family - Family name used by getTokenizer()
+ * @param {Function} factory - Returns an object with a count(text) method
+ */
+export function registerTokenizer(family, factory) {
+  if (typeof family !== 'string' || !/^[a-zA-Z0-9._-]+$/.test(family)) {
+    throw new Error('Tokenizer family must be a simple identifier');
+  }
+  if (typeof factory !== 'function') {
+    throw new Error('Tokenizer factory must be a function');
+  }
+
+  tokenizerFactories.set(family, factory);
+  tokenizerInstances.delete(family);
+}
+
+/**
+ * Map a model identifier to the tokenizer family that serves it
+ * @param {string} model - Model id, e.g. "claude-sonnet-4-20250514"
+ * @returns {string} Tokenizer family name
+ */
+export function resolveTokenizerFamily(model) {
+  const vocabulary = loadVocabulary();
+  if (typeof model === 'string') {
+    for (const [prefix, family] of Object.entries(vocabulary.models || {})) {
+      if (model.startsWith(prefix)) {
+        return family;
+      }
+    }
+  }
+  return vocabulary.defaultFamily;
+}
+
+/**
+ * Get a tokenizer for a model family, falling back to the default family
+ * @param {string} [family] - Tokenizer family name
+ * @returns {{name: string, count: Function}} Tokenizer instance
+ */
+export function getTokenizer(family) {
+  const vocabulary = loadVocabulary();
+  let selected = family || vocabulary.defaultFamily;
+
+  if (!tokenizerFactories.has(selected) && !vocabulary.families[selected]) {
+    selected = vocabulary.defaultFamily;
+  }
+
+  if (!tokenizerInstances.has(selected)) {
+    const factory = tokenizerFactories.get(selected);
+    tokenizerInstances.set(selected, factory ? factory() : new BpeTokenizer(selected, vocabulary.families[selected]));
+  }
+
+  return tokenizerInstances.get(selected);
+}
+
+/**
+ * Count tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @param {string} [family] - Tokenizer family name
+ * @returns {number} Token count
+ */
+export function countTokens(text, family) {
+  return getTokenizer(family).count(text);
+}
+
+export default {
+  BpeTokenizer,
+  HeuristicTokenizer,
+  loadVocabulary,
+  registerTokenizer,
+  resolveTokenizerFamily,
+  getTokenizer,
+  countTokens,
+};
@@ -6,9 +6,37 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
-import { SecureErrorHandler } from '../lib/security.js';
-
-const estimateTokens = text => Math.ceil(text.length / 4);
+import os from 'os';
+import { SecureErrorHandler, InputValidator } from '../lib/security.js';
+import { getTokenizer, resolveTokenizerFamily } from '../lib/tokenizer.js';
+import { loadMcpRegistry, getServerTokens } from '../lib/mcp-registry.js';
+import { discoverMcpServers, SCOPE_LABELS } from '../lib/mcp-discovery.js';
+import { resolveSettings } from '../lib/settings-resolver.js';
+import { discoverMemoryFiles, MEMORY_SCOPE_LABELS } from '../lib/memory-discovery.js';
+import { measureAgentCost } from '../lib/agent-cost.js';
+import { discoverSlashCommands, measureSlashCommand, COMMAND_SCOPE_LABELS } from '../lib/slash-commands.js';
+import { loadModelRegistry, resolveModel, extractModelArgument } from '../lib/model-registry.js';
+import { formatContextUsage, formatTokenCount } from '../lib/context-grid.js';
+import { createRenderer, resolveRenderOptions } from '../lib/renderer.js';
+import { writeReportFile } from '../lib/report-export.js';
+import { extractOption } from '../lib/cli-options.js';
+import { appendSnapshot, createSnapshot, isHistoryEnabled } from '../lib/context-history.js';
+import { findCapabilityOverlaps } from '../lib/mcp-capabilities.js';
+import { collectRuleFacts, evaluateRules, loadRecommendationRules, RULES_FILE } from '../lib/recommendation-rules.js';
+
+const IMPACT_HEADINGS = [
+  ['high', 'High Impact (>10% token reduction)'],
+  ['medium', 'Medium Impact (3-10% token reduction)'],
+  ['low', 'Low Impact (<3% token reduction)'],
+];
+
+// Picked in analyze() once the active model is known
+let tokenizer;
+const estimateTokens = text => tokenizer.count(text);
+
+// Memory file tokens including everything it pulls in through @imports
+const countWithImports = file =>
+  estimateTokens(file.content) + file.imports.reduce((sum, child) => sum + countWithImports(child), 0);
 
 // Find .claude directory with security protection
 async function findClaudeDirectory() {
@@ -59,205 +87,40 @@ async function analyze() {
   const systemPrompt = 8500;
   const systemTools = 15200;
 
-  // Read enabled MCP servers
+  // Get mode, optional --model and --output from command line args, default to compact for /context
+  const cli = extractModelArgument(process.argv.slice(2));
+  const { value: outputPath, args } = extractOption(cli.args, 'output');
+  const mode = args[0] || 'compact';
+
+  // Read active MCP servers
   let mcpTools = 0; // Start with 0
   let mcpToolsDetailed = {};
+  const mcpScopes = {};
+  let mcpOverlaps = [];
+  let settings = {};
 
   try {
-    const settingsPath = path.join(claudeDir, 'settings.local.json');
-    const settingsContent = await fs.readFile(settingsPath, 'utf8');
-    const settings = JSON.parse(settingsContent);
-    const enabledServers = settings.enabledMcpjsonServers || [];
-
-    // MCP server token estimates
-    const mcpServers = {
-      fetch: { total: 643, tools: [{ name: 'mcp__fetch__fetch', tokens: 643 }] },
-      'sequential-thinking': {
-        total: 1300,
-        tools: [{ name: 'mcp__sequential-thinking__sequentialthinking', tokens: 1300 }],
-      },
-      puppeteer: {
-        total: 3415,
-        tools: [
-          { name: 'mcp__puppeteer__puppeteer_navigate', tokens: 490 },
-          { name: 'mcp__puppeteer__puppeteer_screenshot', tokens: 506 },
-          { name: 'mcp__puppeteer__puppeteer_click', tokens: 395 },
-          { name: 'mcp__puppeteer__puppeteer_fill', tokens: 414 },
-          { name: 'mcp__puppeteer__puppeteer_select', tokens: 419 },
-          { name: 'mcp__puppeteer__puppeteer_hover', tokens: 396 },
-          { name: 'mcp__puppeteer__puppeteer_evaluate', tokens: 393 },
-        ],
-      },
-      'mcp-playwright': {
-        total: 12456,
-        tools: [
-          { name: 'mcp__mcp-playwright__start_codegen_session', tokens: 498 },
-          { name: 'mcp__mcp-playwright__playwright_navigate', tokens: 557 },
-          { name: 'mcp__mcp-playwright__playwright_screenshot', tokens: 573 },
-          { name: 'mcp__mcp-playwright__playwright_click', tokens: 395 },
-          { name: 'mcp__mcp-playwright__playwright_fill', tokens: 413 },
-          { name: 'mcp__mcp-playwright__playwright_evaluate', tokens: 392 },
-          { name: 'mcp__mcp-playwright__playwright_console_logs', tokens: 509 },
-          { name: 'mcp__mcp-playwright__playwright_get_visible_text', tokens: 380 },
-          { name: 'mcp__mcp-playwright__playwright_get_visible_html', tokens: 613 },
-          { name: 'mcp__mcp-playwright__playwright_close', tokens: 374 },
-          { name: 'mcp__mcp-playwright__playwright_get', tokens: 393 },
-          { name: 'mcp__mcp-playwright__playwright_post', tokens: 470 },
-          { name: 'mcp__mcp-playwright__playwright_put', tokens: 417 },
-          { name: 'mcp__mcp-playwright__playwright_delete', tokens: 393 },
-          { name: 'mcp__mcp-playwright__playwright_expect_response', tokens: 457 },
-          { name: 'mcp__mcp-playwright__playwright_assert_response', tokens: 455 },
-          { name: 'mcp__mcp-playwright__playwright_custom_user_agent', tokens: 405 },
-          { name: 'mcp__mcp-playwright__playwright_go_back', tokens: 374 },
-          { name: 'mcp__mcp-playwright__playwright_go_forward', tokens: 374 },
-          { name: 'mcp__mcp-playwright__playwright_drag', tokens: 425 },
-          { name: 'mcp__mcp-playwright__playwright_press_key', tokens: 433 },
-          { name: 'mcp__mcp-playwright__playwright_save_as_pdf', tokens: 541 },
-          { name: 'mcp__mcp-playwright__playwright_click_and_switch_tab', tokens: 405 },
-        ],
-      },
-      everything: {
-        total: 2167,
-        tools: [
-          { name: 'mcp__everything__echo', tokens: 198 },
-          { name: 'mcp__everything__add', tokens: 156 },
-          { name: 'mcp__everything__longRunningOperation', tokens: 387 },
-          { name: 'mcp__everything__printEnv', tokens: 167 },
-          { name: 'mcp__everything__sampleLLM', tokens: 298 },
-          { name: 'mcp__everything__getTinyImage', tokens: 134 },
-          { name: 'mcp__everything__annotatedMessage', tokens: 445 },
-          { name: 'mcp__everything__getResourceReference', tokens: 382 },
-        ],
-      },
-      'github-official': {
-        total: 12456,
-        tools: [
-          { name: 'mcp__github-official__create_or_update_file', tokens: 570 },
-          { name: 'mcp__github-official__search_repositories', tokens: 474 },
-          { name: 'mcp__github-official__create_repository', tokens: 477 },
-          { name: 'mcp__github-official__get_file_contents', tokens: 492 },
-          { name: 'mcp__github-official__push_files', tokens: 574 },
-          { name: 'mcp__github-official__create_issue', tokens: 498 },
-          { name: 'mcp__github-official__create_pull_request', tokens: 596 },
-          { name: 'mcp__github-official__fork_repository', tokens: 471 },
-          { name: 'mcp__github-official__create_branch', tokens: 497 },
-          { name: 'mcp__github-official__list_commits', tokens: 458 },
-          { name: 'mcp__github-official__list_issues', tokens: 541 },
-          { name: 'mcp__github-official__update_issue', tokens: 531 },
-          { name: 'mcp__github-official__add_issue_comment', tokens: 455 },
-          { name: 'mcp__github-official__search_code', tokens: 469 },
-          { name: 'mcp__github-official__search_issues', tokens: 533 },
-          { name: 'mcp__github-official__search_users', tokens: 490 },
-          { name: 'mcp__github-official__get_issue', tokens: 443 },
-          { name: 'mcp__github-official__get_pull_request', tokens: 468 },
-          { name: 'mcp__github-official__list_pull_requests', tokens: 632 },
-          { name: 'mcp__github-official__create_pull_request_review', tokens: 804 },
-          { name: 'mcp__github-official__merge_pull_request', tokens: 550 },
-          { name: 'mcp__github-official__get_pull_request_files', tokens: 473 },
-          { name: 'mcp__github-official__get_pull_request_status', tokens: 475 },
-          { name: 'mcp__github-official__update_pull_request_branch', tokens: 505 },
-          { name: 'mcp__github-official__get_pull_request_comments', tokens: 471 },
-          { name: 'mcp__github-official__get_pull_request_reviews', tokens: 470 },
-        ],
-      },
-      'mcp-filesystem': {
-        total: 4234,
-        tools: [
-          { name: 'mcp__mcp-filesystem__read_file', tokens: 456 },
-          { name: 'mcp__mcp-filesystem__read_multiple_files', tokens: 523 },
-          { name: 'mcp__mcp-filesystem__write_file', tokens: 398 },
-          { name: 'mcp__mcp-filesystem__edit_file', tokens: 623 },
-          { name: 'mcp__mcp-filesystem__create_directory', tokens: 367 },
-          { name: 'mcp__mcp-filesystem__list_directory', tokens: 423 },
-          { name: 'mcp__mcp-filesystem__directory_tree', tokens: 445 },
-          { name: 'mcp__mcp-filesystem__move_file', tokens: 298 },
-          { name: 'mcp__mcp-filesystem__search_files', tokens: 387 },
-          { name: 'mcp__mcp-filesystem__get_file_info', tokens: 334 },
-        ],
-      },
-      'context7-mcp': {
-        total: 1023,
-        tools: [
-          { name: 'mcp__context7-mcp__resolve-library-id', tokens: 567 },
-          { name: 'mcp__context7-mcp__get-library-docs', tokens: 456 },
-        ],
-      },
-      'brave-search': {
-        total: 823,
-        tools: [
-          { name: 'mcp__brave-search__brave_web_search', tokens: 434 },
-          { name: 'mcp__brave-search__brave_local_search', tokens: 389 },
-        ],
-      },
-      'deep-code-reasoning': {
-        total: 4267,
-        tools: [
-          { name: 'mcp__deep-code-reasoning__escalate_analysis', tokens: 678 },
-          { name: 'mcp__deep-code-reasoning__trace_execution_path', tokens: 534 },
-          { name: 'mcp__deep-code-reasoning__hypothesis_test', tokens: 456 },
-          { name: 'mcp__deep-code-reasoning__cross_system_impact', tokens: 523 },
-          { name: 'mcp__deep-code-reasoning__performance_bottleneck', tokens: 445 },
-          { name: 'mcp__deep-code-reasoning__start_conversation', tokens: 389 },
-          { name: 'mcp__deep-code-reasoning__continue_conversation', tokens: 334 },
-          { name: 'mcp__deep-code-reasoning__finalize_conversation', tokens: 267 },
-        ],
-      },
-      supabase: {
-        total: 14567,
-        tools: [
-          { name: 'mcp__supabase__list_organizations', tokens: 298 },
-          { name: 'mcp__supabase__get_organization', tokens: 267 },
-          { name: 'mcp__supabase__list_projects', tokens: 234 },
-          { name: 'mcp__supabase__create_project', tokens: 567 },
-          { name: 'mcp__supabase__execute_sql', tokens: 445 },
-          { name: 'mcp__supabase__search_docs', tokens: 1234 },
-          { name: 'mcp__supabase__deploy_edge_function', tokens: 623 },
-        ],
-      },
-      'perplexity-mcp': { total: 345, tools: [{ name: 'mcp__perplexity-mcp__perplexity_search_web', tokens: 345 }] },
-      firecrawl: {
-        total: 6756,
-        tools: [
-          { name: 'mcp__firecrawl__firecrawl_scrape', tokens: 1534 },
-          { name: 'mcp__firecrawl__firecrawl_crawl', tokens: 1634 },
-          { name: 'mcp__firecrawl__firecrawl_search', tokens: 1298 },
-        ],
-      },
-      'awesome-ui-component-library Docs': {
-        total: 1234,
-        tools: [
-          { name: 'mcp__awesome-ui-component-library_Docs__fetch_awesome_docs', tokens: 334 },
-          { name: 'mcp__awesome-ui-component-library_Docs__search_repo_docs', tokens: 387 },
-          { name: 'mcp__awesome-ui-component-library_Docs__search_repo_code', tokens: 298 },
-          { name: 'mcp__awesome-ui-component-library_Docs__fetch_generic_url_content', tokens: 215 },
-        ],
-      },
-      'BMAD-METHOD DOCS': {
-        total: 1456,
-        tools: [
-          { name: 'mcp__BMAD-METHOD_Docs__fetch_BMAD_METHOD_documentation', tokens: 423 },
-          { name: 'mcp__BMAD-METHOD_Docs__search_BMAD_METHOD_documentation', tokens: 456 },
-          { name: 'mcp__BMAD-METHOD_Docs__search_BMAD_METHOD_code', tokens: 387 },
-          { name: 'mcp__BMAD-METHOD_Docs__fetch_generic_url_content', tokens: 190 },
-        ],
-      },
-    };
+    // Effective settings across managed, user, project and local scopes
+    ({ effective: settings } = await resolveSettings({ projectRoot: path.dirname(claudeDir) }));
+
+    // Servers from ~/.claude.json (local/user scope) and approved .mcp.json entries
+    const { active } = await discoverMcpServers({ projectRoot: path.dirname(claudeDir), settings });
+
+    // Shared registry (bundled file + ~/.claude/mcp-registry.json overrides)
+    const registry = await loadMcpRegistry();
 
     let total = 0;
     mcpToolsDetailed = {};
 
-    enabledServers.forEach(server => {
-      if (mcpServers[server]) {
-        total += mcpServers[server].total;
-        mcpToolsDetailed[server] = mcpServers[server].tools;
-      } else {
-        // Default for unknown servers
-        total += 2000;
-        mcpToolsDetailed[server] = [{ name: `mcp__${server}__unknown`, tokens: 2000 }];
-      }
+    active.forEach(({ name: server, scope }) => {
+      const serverData = getServerTokens(registry, server);
+      total += serverData.total;
+      mcpToolsDetailed[server] = serverData.tools;
+      mcpScopes[server] = scope;
     });
 
     mcpTools = total;
+    mcpOverlaps = findCapabilityOverlaps(registry, mcpToolsDetailed);
   } catch (error) {
     // Use defaults if settings can't be read
     mcpTools = 120000;
@@ -271,9 +134,19 @@ async function analyze() {
     };
   }
 
-  // Read agent files
+  // Context window of the active model (--model, then the "model" setting)
+  const model = resolveModel(
+    await loadModelRegistry(),
+    cli.model ? InputValidator.validateModelId(cli.model) : settings.model
+  );
+  // Its tokenizer family counts agents, commands and memory unless CLAUDE_CONTEXT_TOKENIZER overrides it
+  tokenizer = getTokenizer(process.env.CLAUDE_CONTEXT_TOKENIZER || resolveTokenizerFamily(model.id));
+
+  // Read agent files: name/description sit in the main context, the body loads on invocation
   let customAgents = 0;
   let agentBreakdown = {};
+  const agentInvocation = {};
+  const agentNames = {};
 
   try {
     const agentsDir = path.join(claudeDir, 'agents');
@@ -284,9 +157,11 @@ async function analyze() {
       if (file.endsWith('.md')) {
         try {
           const content = await fs.readFile(path.join(agentsDir, file), 'utf8');
-          const tokens = estimateTokens(content);
-          customAgents += tokens;
-          agentBreakdown[file] = tokens;
+          const cost = measureAgentCost(content, file, tokenizer);
+          customAgents += cost.mainTokens;
+          agentBreakdown[file] = cost.mainTokens;
+          agentInvocation[file] = cost.invocationTokens;
+          agentNames[file] = cost.name;
         } catch {
           agentBreakdown[file] = 100; // Fallback
           customAgents += 100;
@@ -297,37 +172,47 @@ async function analyze() {
     customAgents = 4500; // Fallback
   }
 
-  // Read memory files
+  // Read memory files (user, parent directory, project and local CLAUDE.md) and their @imports
   let memoryFiles = 0;
+  let memoryBreakdown = [];
   try {
-    const claudeMd = await fs.readFile(path.join(claudeDir, 'CLAUDE.md'), 'utf8');
-    memoryFiles = estimateTokens(claudeMd);
+    const files = await discoverMemoryFiles({ projectRoot: path.dirname(claudeDir) });
+    memoryBreakdown = files.map(file => ({
+      scopeKey: file.scope,
+      scope: MEMORY_SCOPE_LABELS[file.scope],
+      path: file.path,
+      tokens: countWithImports(file),
+    }));
+    memoryFiles = memoryBreakdown.reduce((sum, file) => sum + file.tokens, 0);
   } catch {
     memoryFiles = 13200; // Fallback
   }
 
-  const total = systemPrompt + systemTools + mcpTools + customAgents + memoryFiles;
-  const maxTokens = 200000;
-  const usage = Math.round((total / maxTokens) * 100);
-  const freeSpace = maxTokens - total;
-
-  // Format tokens
-  const formatTokens = tokens => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : `${tokens}`);
-
-  // Get mode from command line args, default to compact for /context
-  const mode = process.argv[2] || 'compact';
-
-  // Generate output based on mode
-  let output = `  ⎿  ⛁ ⛁ ⛁ ⛁ ⛀ ⛁ ⛁ ⛁ ⛁ ⛁ \n`;
-  output += `     ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁   Context Usage\n`;
-  output += `     ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁   claude-sonnet-4 • ${formatTokens(total)}/${formatTokens(maxTokens)} tokens (${usage}%)\n`;
-  output += `     ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ \n`;
-  output += `     ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁   ⛁ System prompt: ${formatTokens(systemPrompt)} tokens (${((systemPrompt / total) * 100).toFixed(1)}%)\n`;
-  output += `     ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁   ⛁ System tools: ${formatTokens(systemTools)} tokens (${((systemTools / total) * 100).toFixed(1)}%)\n`;
-  output += `     ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁   ⛁ MCP tools: ${formatTokens(mcpTools)} tokens (${((mcpTools / total) * 100).toFixed(1)}%)\n`;
-  output += `     ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁   ⛁ Custom agents: ${formatTokens(customAgents)} tokens (${((customAgents / total) * 100).toFixed(1)}%)\n`;
-  output += `     ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛀ ⛶ ⛶   ⛁ Memory files: ${formatTokens(memoryFiles)} tokens (${((memoryFiles / total) * 100).toFixed(1)}%)\n`;
-  output += `     ⛶ ⛶ ⛶ ⛶ ⛶ ⛶ ⛶ ⛶ ⛶ ⛶   ⛶ Free space: ${formatTokens(freeSpace)} (${((freeSpace / maxTokens) * 100).toFixed(1)}%)\n\n`;
+  // Read custom slash commands: the listing is in the main context, bodies expand on use
+  let slashCommands = 0;
+  let commandBreakdown = [];
+  try {
+    const commands = await discoverSlashCommands({ projectRoot: path.dirname(claudeDir) });
+    commandBreakdown = commands.map(command => ({
+      name: command.name,
+      scope: COMMAND_SCOPE_LABELS[command.scope],
+      ...measureSlashCommand(command, tokenizer),
+    }));
+    slashCommands = commandBreakdown.reduce((sum, command) => sum + command.mainTokens, 0);
+  } catch {
+    slashCommands = 0;
+  }
+
+  // Colors follow NO_COLOR/FORCE_COLOR and the terminal; TERM=dumb falls back to ASCII glyphs
+  const renderer = createRenderer(resolveRenderOptions({ stream: outputPath ? null : process.stdout }));
+
+  // Generate output based on mode: proportional grid of the model's context window
+  let output = formatContextUsage({
+    totals: { systemPrompt, systemTools, mcpTools, customAgents, memoryFiles, slashCommands },
+    model,
+    renderer,
+  });
+  output += `\n`;
 
   // Add detailed breakdown only for 'detailed' or 'standard' mode
   if (mode === 'detailed' || mode === 'standard') {
@@ -348,8 +233,9 @@ async function analyze() {
 
       for (let i = 0; i < maxServers; i++) {
         const [serverName, serverTotal] = sortedServers[i];
-        const serverTokenStr = formatTokens(serverTotal);
-        output += `     └ ${serverName} server: ${serverTokenStr} total tokens\n`;
+        const serverTokenStr = formatTokenCount(serverTotal);
+        const scopeLabel = mcpScopes[serverName] ? ` (${SCOPE_LABELS[mcpScopes[serverName]]})` : '';
+        output += `     └ ${serverName} server${scopeLabel}: ${serverTokenStr} total tokens\n`;
 
         // Show individual tools for this server, sorted by tokens (descending)
         const tools = mcpToolsDetailed[serverName];
@@ -360,7 +246,7 @@ async function analyze() {
 
         for (let j = 0; j < maxTools; j++) {
           const tool = sortedTools[j];
-          const tokenStr = formatTokens(tool.tokens);
+          const tokenStr = formatTokenCount(tool.tokens);
           output += `       └ ${tool.name}: ${tokenStr} tokens\n`;
         }
       }
@@ -381,7 +267,7 @@ async function analyze() {
         .slice(0, 3);
 
       for (const [serverName, serverTotal] of sortedServers) {
-        const serverTokenStr = formatTokens(serverTotal);
+        const serverTokenStr = formatTokenCount(serverTotal);
         output += `     └ ${serverName}: ${serverTokenStr} tokens\n`;
       }
       output += `\n`;
@@ -399,40 +285,150 @@ async function analyze() {
       for (let i = 0; i < maxAgents; i++) {
         const [file, tokens] = sortedAgents[i];
         const agentName = file.replace('.md', '');
-        const tokenStr = formatTokens(tokens);
-        output += `     └ ${agentName} (Project): ${tokenStr} tokens\n`;
+        const tokenStr = formatTokenCount(tokens);
+        const invocationStr =
+          agentInvocation[file] !== undefined ? ` · ${formatTokenCount(agentInvocation[file])} on invocation` : '';
+        output += `     └ ${agentName} (Project): ${tokenStr} tokens${invocationStr}\n`;
       }
       output += `\n`;
     } else {
       // Compact mode - show only top 3 agents
       output += `     Top agents: `;
       const topAgents = sortedAgents.slice(0, 3);
-      output += topAgents.map(([file, tokens]) => `${file.replace('.md', '')} (${formatTokens(tokens)})`).join(', ');
+      output += topAgents
+        .map(([file, tokens]) => `${file.replace('.md', '')} (${formatTokenCount(tokens)})`)
+        .join(', ');
       output += `\n\n`;
     }
   }
 
+  // Add slash commands - listed individually in standard/detailed modes
+  if (commandBreakdown.length > 0) {
+    const sortedCommands = [...commandBreakdown].sort((a, b) => b.mainTokens - a.mainTokens);
+
+    if (mode === 'detailed' || mode === 'standard') {
+      output += `     Slash commands · /help\n`;
+      const maxCommands = mode === 'detailed' ? sortedCommands.length : Math.min(5, sortedCommands.length);
+
+      for (const command of sortedCommands.slice(0, maxCommands)) {
+        output += `     └ /${command.name} (${command.scope}): ${formatTokenCount(command.mainTokens)} tokens · ${formatTokenCount(command.invocationTokens)} on invocation\n`;
+      }
+      output += `\n`;
+    } else {
+      output += `     Commands: ${sortedCommands.length} (${formatTokenCount(slashCommands)} tokens)\n\n`;
+    }
+  }
+
   // Add memory files - compact by default
   if (mode === 'detailed' || mode === 'standard') {
     output += `     Memory files · /memory\n`;
-    output += `     └ Project (${claudeDir}/CLAUDE.md): ${formatTokens(memoryFiles)} tokens\n\n`;
+    if (memoryBreakdown.length === 0) {
+      output += `     └ No CLAUDE.md files found\n`;
+    }
+    for (const file of memoryBreakdown) {
+      output += `     └ ${file.scope} (${file.path}): ${formatTokenCount(file.tokens)} tokens\n`;
+    }
+    output += `\n`;
   } else {
-    output += `     Memory: ${formatTokens(memoryFiles)} tokens from CLAUDE.md\n\n     Use 'standard' or 'detailed' for more info\n\n`;
+    const fileCount = `${memoryBreakdown.length} memory file${memoryBreakdown.length === 1 ? '' : 's'}`;
+    output += `     Memory: ${formatTokenCount(memoryFiles)} tokens from ${fileCount}\n\n     Use 'standard' or 'detailed' for more info\n\n`;
+  }
+
+  // Add recommendations only for standard/detailed modes. They come from the same rules as
+  // context-analyzer.js; this fast path reads no session history, so rules needing it stay quiet
+  if (mode === 'detailed' || mode === 'standard') {
+    const projectRoot = path.dirname(claudeDir);
+    const results = {
+      systemPrompt,
+      systemTools,
+      mcpTools,
+      customAgents,
+      memoryFiles,
+      slashCommands,
+      model,
+      breakdown: {
+        mcpServers: Object.fromEntries(
+          Object.entries(mcpToolsDetailed).map(([server, tools]) => [
+            server,
+            tools.reduce((sum, tool) => sum + tool.tokens, 0),
+          ])
+        ),
+        mcpScopes,
+        mcpOverlaps,
+        agents: Object.fromEntries(
+          Object.entries(agentBreakdown).map(([file, tokens]) => [
+            file,
+            { name: agentNames[file] || path.basename(file, '.md'), mainTokens: tokens },
+          ])
+        ),
+        memoryFiles: memoryBreakdown.map(file => ({ path: file.path, scope: file.scopeKey, total: file.tokens })),
+      },
+    };
+    try {
+      const { rules } = await loadRecommendationRules({ projectPath: path.join(projectRoot, RULES_FILE) });
+      const recommendations = evaluateRules(rules, collectRuleFacts(results, null, { projectRoot }));
+      if (recommendations.length > 0) {
+        output += `Optimization Recommendations:\n\n`;
+        for (const [impact, heading] of IMPACT_HEADINGS) {
+          const group = recommendations.filter(rec => rec.impact === impact);
+          if (group.length === 0) continue;
+          output += `${heading}:\n`;
+          for (const rec of group) {
+            output += `- **${rec.title}**: ${rec.description} (${rec.savings})\n`;
+          }
+          output += `\n`;
+        }
+      }
+    } catch (error) {
+      console.warn(`Warning: Could not evaluate recommendation rules: ${error.message}`);
+    }
+  }
+
+  // Keep this run in the project's history for /context history
+  if (isHistoryEnabled()) {
+    const snapshot = createSnapshot({
+      totals: { systemPrompt, systemTools, mcpTools, customAgents, memoryFiles, slashCommands },
+      model,
+      mcpServers: Object.fromEntries(
+        Object.entries(mcpToolsDetailed).map(([server, tools]) => [
+          server,
+          tools.reduce((sum, tool) => sum + tool.tokens, 0),
+        ])
+      ),
+      mcpTools: Object.fromEntries(
+        Object.entries(mcpToolsDetailed).map(([server, tools]) => [
+          server,
+          Object.fromEntries(tools.map(tool => [tool.name, tool.tokens])),
+        ])
+      ),
+      agents: agentBreakdown,
+      memoryFiles: Object.fromEntries(memoryBreakdown.map(file => [file.path, file.tokens])),
+      mode,
+    });
+    await appendSnapshot(snapshot, { projectRoot: path.dirname(claudeDir) }).catch(error => {
+      console.warn(`Warning: Could not record context history: ${error.message}`);
+    });
   }
 
-  // Add recommendations only for standard/detailed modes
-  if ((mode === 'detailed' || mode === 'standard') && mcpTools > 100000) {
-    output += `Optimization Recommendations:\n\n`;
-    output += `High Impact (>10% token reduction):\n`;
-    output += `- **Consolidate MCP Servers**: Consider disabling unused MCP servers (20-40k tokens)\n`;
+  if (outputPath) {
+    // Reports may be written inside the project or the home directory
+    const written = await writeReportFile(InputValidator.validatePath(outputPath), renderer.text(output), [
+      path.dirname(claudeDir),
+      os.homedir(),
+    ]);
+    console.log(`Report written to ${written}`);
+    return;
   }
 
   // Force output to display immediately by using process.stdout directly
-  process.stdout.write(output);
+  process.stdout.write(renderer.text(output));
   // Force flush stdout to ensure immediate display
   if (process.stdout.isTTY === false) {
     process.stdout.write('');
   }
 }
 
-analyze().catch(console.error);
+analyze().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -8,20 +8,70 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
 // Import using both strategies to ensure CI compatibility
 import { InputValidator, SecureErrorHandler } from '../lib/security.js';
 import securityDefaults from '../lib/security.js';
-
-// Rough token estimation (1 token ≈ 4 characters for English text)
-const estimateTokens = text => Math.ceil(text.length / 4);
-
-// Progress bar generator using proper Unicode characters (removed as unused)
+import { getTokenizer, resolveTokenizerFamily } from '../lib/tokenizer.js';
+import { loadMcpRegistry, getServerTokens } from '../lib/mcp-registry.js';
+import { findCapabilityOverlaps } from '../lib/mcp-capabilities.js';
+import { McpIntrospector } from '../lib/mcp-introspector.js';
+import { discoverMcpServers, SCOPE_LABELS } from '../lib/mcp-discovery.js';
+import { resolveSettings, SETTINGS_SCOPE_LABELS } from '../lib/settings-resolver.js';
+import { discoverMemoryFiles, MEMORY_SCOPE_LABELS } from '../lib/memory-discovery.js';
+import { measureAgentCost } from '../lib/agent-cost.js';
+import { discoverSlashCommands, measureSlashCommand, COMMAND_SCOPE_LABELS } from '../lib/slash-commands.js';
+import { loadModelRegistry, resolveModel, extractModelArgument } from '../lib/model-registry.js';
+import { formatContextUsage, formatTokenCount, formatTokenDelta, CONTEXT_CATEGORIES } from '../lib/context-grid.js';
+import { createRenderer, resolveRenderOptions } from '../lib/renderer.js';
+import { buildJsonReport, readToolVersion } from '../lib/json-report.js';
+import { formatMarkdownReport, formatHtmlReport, formatDiffMarkdown, writeReportFile } from '../lib/report-export.js';
+import { extractFlag, extractOption, extractOptions } from '../lib/cli-options.js';
+import { analyzeSession, getTranscriptDir, collectToolUsage } from '../lib/session-transcripts.js';
+import {
+  appendSnapshot,
+  compareSnapshots,
+  formatSnapshotTime,
+  getHistoryPath,
+  isHistoryEnabled,
+  readHistory,
+  snapshotFromResults,
+  sparkline,
+} from '../lib/context-history.js';
+import { buildDiffReport, parseDiffRef, DIFF_FORMATS } from '../lib/context-diff.js';
+import { materializeRevision } from '../lib/git-revision.js';
+import { BUDGET_FILE, CHECK_FORMATS, CHECK_KIND_LABELS, checkBudget, loadBudget } from '../lib/context-budget.js';
+import { contextFreeSpace, simulateChanges } from '../lib/context-simulation.js';
+import { applyOptimization, planOptimization, undoOptimization } from '../lib/context-optimizer.js';
+import { collectRuleFacts, evaluateRules, loadRecommendationRules, RULES_FILE } from '../lib/recommendation-rules.js';
+
+const PACKAGE_JSON_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'package.json');
+// Live measurement shares one budget across servers, leaving the rest of the 120s measure cap for the other steps
+const MEASURE_BUDGET_MS = 90000;
+
+// Rewrite paths under one directory to another, in keys and values, e.g. scratch copy -> project
+const relocatePaths = (value, from, to) => {
+  if (typeof value === 'string') {
+    return value === from || value.startsWith(`${from}${path.sep}`) ? `${to}${value.slice(from.length)}` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => relocatePaths(item, from, to));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [relocatePaths(key, from, to), relocatePaths(item, from, to)])
+    );
+  }
+  return value;
+};
 
 // Cache for performance optimization with better memory management
 const cache = {
   mcpTools: null,
   customAgents: null,
   memoryFiles: null,
+  slashCommands: null,
   timestamp: null,
   projectPath: null,
   ttl: 300000, // 5 minutes cache for better performance
@@ -54,6 +104,7 @@ const cleanupCache = () => {
     cache.mcpTools = null;
     cache.customAgents = null;
     cache.memoryFiles = null;
+    cache.slashCommands = null;
     cache.timestamp = null;
     cache.projectPath = null;
   }
@@ -145,22 +196,46 @@ async function findClaudeDirectory(startPath = process.cwd()) {
 }
 
 class ContextAnalyzer {
-  constructor(claudeDir = null) {
+  constructor(claudeDir = null, options = {}) {
     this.claudeDir = claudeDir ? path.resolve(claudeDir) : null;
     this.projectRoot = claudeDir ? path.dirname(this.claudeDir) : null;
+    this.options = options;
+    this.homeDir = options.homeDir || os.homedir();
+    this.settings = { effective: {}, provenance: {}, sources: [] };
+    this.model = null;
+    this.toolVersion = 'unknown';
+    this.session = null;
+    this.history = [];
+    this.diff = null;
+    // Set while analyzing a git revision: { ref, commit, projectRoot } with the working tree's root
+    this.revision = null;
+    // Parent directory walk for memory files of a revision copy: { stopDir, outerRoot }
+    this.memoryWalk = null;
+    // Offline tokenizer (see lib/tokenizer.js): options.tokenizer, else the active model's family once initialize() resolves it
+    this.tokenizer = getTokenizer(options.tokenizer);
+    // Colors and glyph set; plain Unicode unless the caller passes resolved render options
+    this.renderer = createRenderer(options.render);
     this.results = {
       systemPrompt: 0,
       systemTools: 0,
       mcpTools: 0,
       customAgents: 0,
       memoryFiles: 0,
+      slashCommands: 0,
       total: 0,
       breakdown: {},
       optimization: [],
       projectPath: this.projectRoot,
+      tokenizer: this.tokenizer.name,
     };
   }
 
+  // Project path Claude Code keys its state by (~/.claude.json, transcripts); while a revision
+  // is analyzed, projectRoot points at the scratch copy instead
+  get stateRoot() {
+    return this.revision ? this.revision.projectRoot : this.projectRoot;
+  }
+
   async initialize() {
     // Clean up cache before starting
     cleanupCache();
@@ -176,6 +251,24 @@ class ContextAnalyzer {
       this.projectRoot = path.dirname(this.claudeDir);
       this.results.projectPath = this.projectRoot;
     }
+
+    // Effective settings (managed > local > project > user) shared by every analysis step
+    this.settings = await resolveSettings({ projectRoot: this.projectRoot, homeDir: this.homeDir });
+    this.results.settingsSources = this.settings.sources.map(({ scope, path: filePath, status }) => ({
+      scope,
+      path: filePath,
+      status,
+    }));
+
+    // Active model: --model argument, then the "model" setting, then the registry default
+    const modelSource = this.options.model ? 'argument' : this.settings.effective.model ? 'settings' : 'default';
+    this.model = resolveModel(await loadModelRegistry(), this.options.model || this.settings.effective.model);
+    this.results.model = { ...this.model, source: modelSource };
+    if (!this.options.tokenizer) {
+      this.tokenizer = getTokenizer(resolveTokenizerFamily(this.model.id));
+      this.results.tokenizer = this.tokenizer.name;
+    }
+    this.toolVersion = await readToolVersion(PACKAGE_JSON_PATH);
   }
 
   async analyzeSystemPrompt() {
@@ -189,306 +282,72 @@ class ContextAnalyzer {
   }
 
   async analyzeMcpTools() {
-    // Use cache if available
-    if (isCacheValid(this.projectRoot) && cache.mcpTools) {
+    // Use cache if available (live measurement always re-checks its own cache)
+    if (!this.options.measure && isCacheValid(this.projectRoot) && cache.mcpTools) {
       this.results.mcpTools = cache.mcpTools.total;
       this.results.breakdown.mcpServers = cache.mcpTools.breakdown;
       this.results.breakdown.mcpToolsDetailed = cache.mcpTools.detailed;
+      this.results.breakdown.mcpSources = cache.mcpTools.sources;
+      this.results.breakdown.mcpScopes = cache.mcpTools.scopes;
+      this.results.breakdown.mcpInactive = cache.mcpTools.inactive;
+      this.results.breakdown.mcpOverlaps = cache.mcpTools.overlaps;
       return;
     }
 
     try {
-      // Try local settings first, then fall back to global
-      let settingsPath = path.join(this.claudeDir, 'settings.local.json');
-      let settings;
+      const settings = this.settings.effective;
+
+      // Active servers across local (~/.claude.json project), project (.mcp.json) and user scopes
+      const { active, inactive } = await discoverMcpServers({
+        projectRoot: this.projectRoot,
+        settings,
+        homeDir: this.homeDir,
+        projectKey: this.stateRoot,
+      });
 
-      try {
-        settings = JSON.parse(await fs.readFile(settingsPath, 'utf8'));
-      } catch (error) {
-        // Fall back to global settings
-        settingsPath = path.join(process.env.HOME, '.claude', 'settings.local.json');
-        settings = JSON.parse(await fs.readFile(settingsPath, 'utf8'));
-      }
+      // Shared registry (bundled file + ~/.claude/mcp-registry.json overrides)
+      const registry = await loadMcpRegistry();
 
-      const enabledServers = settings.enabledMcpjsonServers || [];
-
-      // Comprehensive MCP tool database with exact token counts
-      const mcpToolsData = {
-        fetch: {
-          total: 643,
-          tools: [{ name: 'mcp__fetch__fetch', tokens: 643 }],
-        },
-        'sequential-thinking': {
-          total: 1300,
-          tools: [{ name: 'mcp__sequential-thinking__sequentialthinking', tokens: 1300 }],
-        },
-        'byterover-mcp': {
-          total: 968,
-          tools: [
-            { name: 'mcp__byterover-mcp__byterover-retrieve-knowledge', tokens: 456 },
-            { name: 'mcp__byterover-mcp__byterover-store-knowledge', tokens: 512 },
-          ],
-        },
-        puppeteer: {
-          total: 1815,
-          tools: [
-            { name: 'mcp__puppeteer__puppeteer_navigate', tokens: 432 },
-            { name: 'mcp__puppeteer__puppeteer_screenshot', tokens: 398 },
-            { name: 'mcp__puppeteer__puppeteer_click', tokens: 287 },
-            { name: 'mcp__puppeteer__puppeteer_fill', tokens: 298 },
-            { name: 'mcp__puppeteer__puppeteer_select', tokens: 210 },
-            { name: 'mcp__puppeteer__puppeteer_hover', tokens: 190 },
-          ],
-        },
-        'mcp-playwright': {
-          total: 15234,
-          tools: [
-            { name: 'mcp__mcp-playwright__start_codegen_session', tokens: 567 },
-            { name: 'mcp__mcp-playwright__playwright_navigate', tokens: 456 },
-            { name: 'mcp__mcp-playwright__playwright_screenshot', tokens: 623 },
-            { name: 'mcp__mcp-playwright__playwright_click', tokens: 298 },
-            { name: 'mcp__mcp-playwright__playwright_fill', tokens: 289 },
-            { name: 'mcp__mcp-playwright__playwright_evaluate', tokens: 334 },
-            { name: 'mcp__mcp-playwright__playwright_console_logs', tokens: 445 },
-            { name: 'mcp__mcp-playwright__playwright_get_visible_text', tokens: 234 },
-            { name: 'mcp__mcp-playwright__playwright_get_visible_html', tokens: 523 },
-            { name: 'mcp__mcp-playwright__playwright_upload_file', tokens: 387 },
-            { name: 'mcp__mcp-playwright__playwright_drag', tokens: 298 },
-            { name: 'mcp__mcp-playwright__playwright_press_key', tokens: 267 },
-            { name: 'mcp__mcp-playwright__playwright_save_as_pdf', tokens: 445 },
-            { name: 'mcp__mcp-playwright__playwright_get', tokens: 198 },
-            { name: 'mcp__mcp-playwright__playwright_post', tokens: 234 },
-            { name: 'mcp__mcp-playwright__playwright_put', tokens: 187 },
-            { name: 'mcp__mcp-playwright__playwright_delete', tokens: 156 },
-            { name: 'mcp__mcp-playwright__playwright_expect_response', tokens: 387 },
-            { name: 'mcp__mcp-playwright__playwright_assert_response', tokens: 334 },
-            { name: 'mcp__mcp-playwright__playwright_close', tokens: 123 },
-          ],
-        },
-        everything: {
-          total: 2167,
-          tools: [
-            { name: 'mcp__everything__echo', tokens: 198 },
-            { name: 'mcp__everything__add', tokens: 156 },
-            { name: 'mcp__everything__longRunningOperation', tokens: 387 },
-            { name: 'mcp__everything__printEnv', tokens: 167 },
-            { name: 'mcp__everything__sampleLLM', tokens: 298 },
-            { name: 'mcp__everything__getTinyImage', tokens: 134 },
-            { name: 'mcp__everything__annotatedMessage', tokens: 445 },
-            { name: 'mcp__everything__getResourceReference', tokens: 382 },
-          ],
-        },
-        'github-official': {
-          total: 12456,
-          tools: [
-            { name: 'mcp__github-official__create_or_update_file', tokens: 567 },
-            { name: 'mcp__github-official__search_repositories', tokens: 434 },
-            { name: 'mcp__github-official__create_repository', tokens: 398 },
-            { name: 'mcp__github-official__get_file_contents', tokens: 445 },
-            { name: 'mcp__github-official__push_files', tokens: 512 },
-            { name: 'mcp__github-official__create_issue', tokens: 389 },
-            { name: 'mcp__github-official__create_pull_request', tokens: 623 },
-            { name: 'mcp__github-official__fork_repository', tokens: 334 },
-            { name: 'mcp__github-official__create_branch', tokens: 387 },
-            { name: 'mcp__github-official__list_commits', tokens: 298 },
-            { name: 'mcp__github-official__list_issues', tokens: 456 },
-            { name: 'mcp__github-official__update_issue', tokens: 423 },
-            { name: 'mcp__github-official__add_issue_comment', tokens: 287 },
-            { name: 'mcp__github-official__search_code', tokens: 345 },
-            { name: 'mcp__github-official__search_issues', tokens: 367 },
-            { name: 'mcp__github-official__search_users', tokens: 298 },
-            { name: 'mcp__github-official__get_issue', tokens: 234 },
-            { name: 'mcp__github-official__get_pull_request', tokens: 267 },
-            { name: 'mcp__github-official__list_pull_requests', tokens: 489 },
-            { name: 'mcp__github-official__create_pull_request_review', tokens: 678 },
-            { name: 'mcp__github-official__merge_pull_request', tokens: 456 },
-            { name: 'mcp__github-official__get_pull_request_files', tokens: 334 },
-            { name: 'mcp__github-official__get_pull_request_status', tokens: 298 },
-            { name: 'mcp__github-official__update_pull_request_branch', tokens: 387 },
-            { name: 'mcp__github-official__get_pull_request_comments', tokens: 345 },
-            { name: 'mcp__github-official__get_pull_request_reviews', tokens: 323 },
-          ],
-        },
-        'mcp-filesystem': {
-          total: 4234,
-          tools: [
-            { name: 'mcp__mcp-filesystem__read_file', tokens: 456 },
-            { name: 'mcp__mcp-filesystem__read_multiple_files', tokens: 523 },
-            { name: 'mcp__mcp-filesystem__write_file', tokens: 398 },
-            { name: 'mcp__mcp-filesystem__edit_file', tokens: 623 },
-            { name: 'mcp__mcp-filesystem__create_directory', tokens: 367 },
-            { name: 'mcp__mcp-filesystem__list_directory', tokens: 423 },
-            { name: 'mcp__mcp-filesystem__list_directory_with_sizes', tokens: 489 },
-            { name: 'mcp__mcp-filesystem__directory_tree', tokens: 445 },
-            { name: 'mcp__mcp-filesystem__move_file', tokens: 298 },
-            { name: 'mcp__mcp-filesystem__search_files', tokens: 387 },
-            { name: 'mcp__mcp-filesystem__get_file_info', tokens: 334 },
-            { name: 'mcp__mcp-filesystem__list_allowed_directories', tokens: 191 },
-          ],
-        },
-        'context7-mcp': {
-          total: 1023,
-          tools: [
-            { name: 'mcp__context7-mcp__resolve-library-id', tokens: 567 },
-            { name: 'mcp__context7-mcp__get-library-docs', tokens: 456 },
-          ],
-        },
-        'brave-search': {
-          total: 823,
-          tools: [
-            { name: 'mcp__brave-search__brave_web_search', tokens: 434 },
-            { name: 'mcp__brave-search__brave_local_search', tokens: 389 },
-          ],
-        },
-        'deep-code-reasoning': {
-          total: 4267,
-          tools: [
-            { name: 'mcp__deep-code-reasoning__escalate_analysis', tokens: 678 },
-            { name: 'mcp__deep-code-reasoning__trace_execution_path', tokens: 534 },
-            { name: 'mcp__deep-code-reasoning__hypothesis_test', tokens: 456 },
-            { name: 'mcp__deep-code-reasoning__cross_system_impact', tokens: 523 },
-            { name: 'mcp__deep-code-reasoning__performance_bottleneck', tokens: 445 },
-            { name: 'mcp__deep-code-reasoning__start_conversation', tokens: 389 },
-            { name: 'mcp__deep-code-reasoning__continue_conversation', tokens: 334 },
-            { name: 'mcp__deep-code-reasoning__finalize_conversation', tokens: 267 },
-            { name: 'mcp__deep-code-reasoning__get_conversation_status', tokens: 234 },
-            { name: 'mcp__deep-code-reasoning__run_hypothesis_tournament', tokens: 407 },
-          ],
-        },
-        supabase: {
-          total: 14567,
-          tools: [
-            { name: 'mcp__supabase__list_organizations', tokens: 298 },
-            { name: 'mcp__supabase__get_organization', tokens: 267 },
-            { name: 'mcp__supabase__list_projects', tokens: 234 },
-            { name: 'mcp__supabase__get_project', tokens: 198 },
-            { name: 'mcp__supabase__get_cost', tokens: 345 },
-            { name: 'mcp__supabase__confirm_cost', tokens: 367 },
-            { name: 'mcp__supabase__create_project', tokens: 567 },
-            { name: 'mcp__supabase__pause_project', tokens: 189 },
-            { name: 'mcp__supabase__restore_project', tokens: 198 },
-            { name: 'mcp__supabase__create_branch', tokens: 434 },
-            { name: 'mcp__supabase__list_branches', tokens: 334 },
-            { name: 'mcp__supabase__delete_branch', tokens: 187 },
-            { name: 'mcp__supabase__merge_branch', tokens: 198 },
-            { name: 'mcp__supabase__reset_branch', tokens: 267 },
-            { name: 'mcp__supabase__rebase_branch', tokens: 234 },
-            { name: 'mcp__supabase__list_tables', tokens: 389 },
-            { name: 'mcp__supabase__list_extensions', tokens: 267 },
-            { name: 'mcp__supabase__list_migrations', tokens: 298 },
-            { name: 'mcp__supabase__apply_migration', tokens: 456 },
-            { name: 'mcp__supabase__execute_sql', tokens: 445 },
-            { name: 'mcp__supabase__get_logs', tokens: 387 },
-            { name: 'mcp__supabase__get_advisors', tokens: 423 },
-            { name: 'mcp__supabase__get_project_url', tokens: 178 },
-            { name: 'mcp__supabase__get_anon_key', tokens: 167 },
-            { name: 'mcp__supabase__generate_typescript_types', tokens: 298 },
-            { name: 'mcp__supabase__search_docs', tokens: 1234 },
-            { name: 'mcp__supabase__list_edge_functions', tokens: 234 },
-            { name: 'mcp__supabase__deploy_edge_function', tokens: 623 },
-          ],
-        },
-        'zen-mcp-server': {
-          total: 20456,
-          tools: [
-            { name: 'mcp__zen__chat', tokens: 1234 },
-            { name: 'mcp__zen__thinkdeep', tokens: 1456 },
-            { name: 'mcp__zen__planner', tokens: 1123 },
-            { name: 'mcp__zen__consensus', tokens: 1089 },
-            { name: 'mcp__zen__codereview', tokens: 1345 },
-            { name: 'mcp__zen__precommit', tokens: 1234 },
-            { name: 'mcp__zen__debug', tokens: 1456 },
-            { name: 'mcp__zen__secaudit', tokens: 1289 },
-            { name: 'mcp__zen__docgen', tokens: 1123 },
-            { name: 'mcp__zen__analyze', tokens: 1234 },
-            { name: 'mcp__zen__refactor', tokens: 1089 },
-            { name: 'mcp__zen__tracer', tokens: 1345 },
-            { name: 'mcp__zen__testgen', tokens: 1234 },
-            { name: 'mcp__zen__challenge', tokens: 389 },
-            { name: 'mcp__zen__listmodels', tokens: 234 },
-            { name: 'mcp__zen__version', tokens: 156 },
-          ],
-        },
-        'claude-flow_Docs': {
-          total: 1234,
-          tools: [
-            { name: 'mcp__claude-flow_Docs__fetch_claude_flow_documentation', tokens: 298 },
-            { name: 'mcp__claude-flow_Docs__search_claude_flow_documentation', tokens: 345 },
-            { name: 'mcp__claude-flow_Docs__search_claude_flow_code', tokens: 367 },
-            { name: 'mcp__claude-flow_Docs__fetch_generic_url_content', tokens: 224 },
-          ],
-        },
-        'perplexity-mcp': {
-          total: 345,
-          tools: [{ name: 'mcp__perplexity-mcp__perplexity_search_web', tokens: 345 }],
-        },
-        'Prisma-Local': {
-          total: 1123,
-          tools: [
-            { name: 'mcp__Prisma-Local__migrate-status', tokens: 367 },
-            { name: 'mcp__Prisma-Local__migrate-dev', tokens: 423 },
-            { name: 'mcp__Prisma-Local__migrate-reset', tokens: 333 },
-          ],
-        },
-        firecrawl: {
-          total: 6756,
-          tools: [
-            { name: 'mcp__firecrawl__firecrawl_scrape', tokens: 1534 },
-            { name: 'mcp__firecrawl__firecrawl_map', tokens: 738 },
-            { name: 'mcp__firecrawl__firecrawl_crawl', tokens: 1634 },
-            { name: 'mcp__firecrawl__firecrawl_check_crawl_status', tokens: 507 },
-            { name: 'mcp__firecrawl__firecrawl_search', tokens: 1298 },
-            { name: 'mcp__firecrawl__firecrawl_extract', tokens: 1045 },
-          ],
-        },
-        'BMAD-METHOD DOCS': {
-          total: 1456,
-          tools: [
-            { name: 'mcp__BMAD-METHOD_Docs__fetch_BMAD_METHOD_documentation', tokens: 423 },
-            { name: 'mcp__BMAD-METHOD_Docs__search_BMAD_METHOD_documentation', tokens: 456 },
-            { name: 'mcp__BMAD-METHOD_Docs__search_BMAD_METHOD_code', tokens: 387 },
-            { name: 'mcp__BMAD-METHOD_Docs__fetch_generic_url_content', tokens: 190 },
-          ],
-        },
-        'awesome-ui-component-library Docs': {
-          total: 1234,
-          tools: [
-            { name: 'mcp__awesome-ui-component-library_Docs__fetch_awesome_docs', tokens: 334 },
-            { name: 'mcp__awesome-ui-component-library_Docs__search_repo_docs', tokens: 387 },
-            { name: 'mcp__awesome-ui-component-library_Docs__search_repo_code', tokens: 298 },
-            { name: 'mcp__awesome-ui-component-library_Docs__fetch_generic_url_content', tokens: 215 },
-          ],
-        },
-      };
+      const measured = this.options.measure ? await this.measureMcpServers(active) : {};
 
       let mcpTotal = 0;
       const breakdown = {};
       const detailed = {};
-
-      for (const server of enabledServers) {
-        if (mcpToolsData[server]) {
-          const serverData = mcpToolsData[server];
-          mcpTotal += serverData.total;
-          breakdown[server] = serverData.total;
-          detailed[server] = serverData.tools;
-        } else {
-          // Default estimate for unknown servers
-          const tokens = 2000;
-          mcpTotal += tokens;
-          breakdown[server] = tokens;
-          detailed[server] = [{ name: `mcp__${server}__unknown`, tokens }];
-        }
+      const sources = {};
+      const scopes = {};
+
+      for (const { name: server, scope } of active) {
+        const serverData =
+          measured[server] && !measured[server].error ? measured[server] : getServerTokens(registry, server);
+        mcpTotal += serverData.total;
+        breakdown[server] = serverData.total;
+        detailed[server] = serverData.tools;
+        sources[server] =
+          measured[server] && !measured[server].error ? 'measured' : serverData.known ? 'registry' : 'estimated';
+        scopes[server] = scope;
       }
 
+      const inactiveServers = Object.fromEntries(inactive.map(({ name, scope, reason }) => [name, { scope, reason }]));
+      // Servers sharing a capability with each other or with built-in tools (registry taxonomy)
+      const overlaps = findCapabilityOverlaps(registry, detailed);
+
       this.results.mcpTools = mcpTotal;
       this.results.breakdown.mcpServers = breakdown;
       this.results.breakdown.mcpToolsDetailed = detailed;
+      this.results.breakdown.mcpSources = sources;
+      this.results.breakdown.mcpScopes = scopes;
+      this.results.breakdown.mcpInactive = inactiveServers;
+      this.results.breakdown.mcpOverlaps = overlaps;
 
       // Cache the results
       cache.mcpTools = {
         total: mcpTotal,
         breakdown,
         detailed,
+        sources,
+        scopes,
+        inactive: inactiveServers,
+        overlaps,
       };
       cache.timestamp = Date.now();
       cache.projectPath = this.projectRoot;
@@ -498,11 +357,39 @@ class ContextAnalyzer {
     }
   }
 
+  /**
+   * Launch active stdio servers and measure their tools/list output
+   * @param {Array} activeServers - Servers returned by discoverMcpServers()
+   * @returns {Promise<Object>} Per-server measurement or { error }
+   */
+  async measureMcpServers(activeServers) {
+    const servers = {};
+    for (const { name, config } of activeServers) {
+      if (config) {
+        servers[name] = { cwd: this.projectRoot, ...config };
+      }
+    }
+
+    const introspector = new McpIntrospector({ tokenizer: this.tokenizer });
+    const measured = await introspector.measureServers(servers, {
+      refresh: this.options.refresh,
+      deadline: Date.now() + MEASURE_BUDGET_MS,
+    });
+
+    for (const [server, result] of Object.entries(measured)) {
+      if (result.error) {
+        console.warn(`Warning: Could not measure MCP server ${server}: ${result.error}; using the registry estimate`);
+      }
+    }
+    return measured;
+  }
+
   async analyzeCustomAgents() {
     // Use cache if available
     if (isCacheValid(this.projectRoot) && cache.customAgents) {
       this.results.customAgents = cache.customAgents.total;
       this.results.breakdown.agents = cache.customAgents.breakdown;
+      this.results.breakdown.agentInvocationTokens = cache.customAgents.invocationTokens;
       return;
     }
 
@@ -515,14 +402,23 @@ class ContextAnalyzer {
       } catch (error) {
         this.results.customAgents = 0;
         this.results.breakdown.agents = {};
+        this.results.breakdown.agentInvocationTokens = 0;
         return;
       }
 
       const agentFiles = await fs.readdir(agentsDir);
 
+      // Main-context cost (name/description) counts toward the total; the body only loads on invocation
       let totalTokens = 0;
+      let invocationTokens = 0;
       const agentBreakdown = {};
 
+      const addAgent = (file, cost) => {
+        totalTokens += cost.mainTokens;
+        invocationTokens += cost.invocationTokens;
+        agentBreakdown[file] = cost;
+      };
+
       // Process files in batches to prevent timeout
       const batchSize = 5;
       for (let i = 0; i < agentFiles.length; i += batchSize) {
@@ -536,9 +432,7 @@ class ContextAnalyzer {
               try {
                 // Use file cache to prevent re-reading
                 if (isFileCacheValid(filePath)) {
-                  const cachedData = cache.fileCache.get(filePath);
-                  totalTokens += cachedData.tokens;
-                  agentBreakdown[file] = cachedData.tokens;
+                  addAgent(file, cache.fileCache.get(filePath).cost);
                   return;
                 }
 
@@ -548,21 +442,18 @@ class ContextAnalyzer {
                   new Promise((_, reject) => setTimeout(() => reject(new Error('File read timeout')), 5000)),
                 ]);
 
-                const tokens = estimateTokens(content);
-                totalTokens += tokens;
-                agentBreakdown[file] = tokens;
+                const cost = measureAgentCost(content, file, this.tokenizer);
+                addAgent(file, cost);
 
                 // Cache the file result
                 cache.fileCache.set(filePath, {
-                  tokens,
+                  cost,
                   timestamp: Date.now(),
                 });
               } catch (error) {
                 console.warn(`Warning: Could not read agent file ${file}: ${error.message}`);
                 // Use fallback estimate for unreadable files
-                const fallbackTokens = 1000;
-                totalTokens += fallbackTokens;
-                agentBreakdown[file] = fallbackTokens;
+                addAgent(file, { name: file.replace('.md', ''), mainTokens: 100, invocationTokens: 1000 });
               }
             }
           })
@@ -576,11 +467,13 @@ class ContextAnalyzer {
 
       this.results.customAgents = totalTokens;
       this.results.breakdown.agents = agentBreakdown;
+      this.results.breakdown.agentInvocationTokens = invocationTokens;
 
       // Cache the results
       cache.customAgents = {
         total: totalTokens,
         breakdown: agentBreakdown,
+        invocationTokens,
       };
     } catch (error) {
       console.error('Error analyzing agents:', error.message);
@@ -591,80 +484,140 @@ class ContextAnalyzer {
   async analyzeMemoryFiles() {
     // Use cache if available
     if (isCacheValid(this.projectRoot) && cache.memoryFiles) {
-      this.results.memoryFiles = cache.memoryFiles;
+      this.results.memoryFiles = cache.memoryFiles.total;
+      this.results.breakdown.memoryFiles = cache.memoryFiles.files;
       return;
     }
 
     try {
-      const claudeMdPath = path.join(this.claudeDir, 'CLAUDE.md');
-
-      // Use file cache to prevent re-reading
-      if (isFileCacheValid(claudeMdPath)) {
-        const cachedData = cache.fileCache.get(claudeMdPath);
-        this.results.memoryFiles = cachedData.tokens;
-        cache.memoryFiles = cachedData.tokens;
-        return;
-      }
-
-      // Read file with timeout protection
-      const content = await Promise.race([
-        fs.readFile(claudeMdPath, 'utf8'),
+      // User, parent directory, project and local CLAUDE.md files
+      const memoryFiles = await Promise.race([
+        discoverMemoryFiles({ projectRoot: this.projectRoot, homeDir: this.homeDir, ...this.memoryWalk }),
         new Promise((_, reject) => setTimeout(() => reject(new Error('Memory file read timeout')), 3000)),
       ]);
 
-      const tokens = estimateTokens(content);
-      this.results.memoryFiles = tokens;
+      const files = memoryFiles.map(file => ({ scope: file.scope, ...this.countMemoryTokens(file) }));
+      const totalTokens = files.reduce((sum, file) => sum + file.total, 0);
 
-      // Cache the result in both caches
-      cache.memoryFiles = tokens;
-      cache.fileCache.set(claudeMdPath, {
-        tokens,
-        timestamp: Date.now(),
-      });
+      this.results.memoryFiles = totalTokens;
+      this.results.breakdown.memoryFiles = files;
+
+      // Cache the results
+      cache.memoryFiles = {
+        total: totalTokens,
+        files,
+      };
     } catch (error) {
-      console.warn(`Warning: Could not read CLAUDE.md: ${error.message}`);
+      console.warn(`Warning: Could not read memory files: ${error.message}`);
       this.results.memoryFiles = 2700; // Fallback estimate
     }
   }
 
-  async generateOptimizationRecommendations() {
-    const { mcpTools, customAgents } = this.results;
-    const recommendations = [];
-
-    // High impact recommendations
-    if (mcpTools > 100000) {
-      recommendations.push({
-        impact: 'high',
-        title: 'Consolidate MCP Servers',
-        description: 'Consider disabling unused MCP servers or merging similar functionality',
-        savings: '20-40k tokens',
-      });
+  /**
+   * Token count for a memory file and, recursively, the files it @imports
+   * @returns {{path: string, tokens: number, total: number, imports: Array, missing?: boolean}}
+   */
+  countMemoryTokens({ path: filePath, content, imports, missing }) {
+    // Use file cache to prevent re-tokenizing
+    let tokens;
+    if (isFileCacheValid(filePath)) {
+      tokens = cache.fileCache.get(filePath).tokens;
+    } else {
+      tokens = this.tokenizer.count(content);
+      if (!missing) {
+        cache.fileCache.set(filePath, {
+          tokens,
+          timestamp: Date.now(),
+        });
+      }
     }
 
-    if (customAgents > 10000) {
-      recommendations.push({
-        impact: 'high',
-        title: 'Optimize Agent Architecture',
-        description: 'Combine overlapping agent responsibilities to reduce redundancy',
-        savings: '3-6k tokens',
-      });
+    const children = imports.map(child => this.countMemoryTokens(child));
+    const total = tokens + children.reduce((sum, child) => sum + child.total, 0);
+    return { path: filePath, tokens, total, imports: children, ...(missing && { missing }) };
+  }
+
+  async analyzeSlashCommands() {
+    // Use cache if available
+    if (isCacheValid(this.projectRoot) && cache.slashCommands) {
+      this.results.slashCommands = cache.slashCommands.total;
+      this.results.breakdown.slashCommands = cache.slashCommands.commands;
+      return;
     }
 
-    // Medium impact recommendations
-    if (Object.keys(this.results.breakdown.mcpServers || {}).length > 15) {
-      recommendations.push({
-        impact: 'medium',
-        title: 'Selective MCP Loading',
-        description: 'Implement on-demand loading for MCP servers',
-        savings: '5-15k tokens',
+    try {
+      // Project (.claude/commands) and user (~/.claude/commands) commands
+      const discovered = await discoverSlashCommands({ projectRoot: this.projectRoot, homeDir: this.homeDir });
+
+      const commands = discovered.map(command => {
+        // Use file cache to prevent re-tokenizing
+        let cost;
+        if (isFileCacheValid(command.path)) {
+          cost = cache.fileCache.get(command.path).cost;
+        } else {
+          cost = measureSlashCommand(command, this.tokenizer);
+          cache.fileCache.set(command.path, {
+            cost,
+            timestamp: Date.now(),
+          });
+        }
+        const { name, scope, path: filePath, description, allowedTools, argumentHint } = command;
+        return { name, scope, path: filePath, description, allowedTools, argumentHint, ...cost };
       });
+
+      // Only the command listing sits in the main context; bodies expand when a command runs
+      const total = commands.reduce((sum, command) => sum + command.mainTokens, 0);
+      this.results.slashCommands = total;
+      this.results.breakdown.slashCommands = commands;
+
+      // Cache the results
+      cache.slashCommands = {
+        total,
+        commands,
+      };
+    } catch (error) {
+      console.warn(`Warning: Could not read slash commands: ${error.message}`);
+      this.results.slashCommands = 0;
+    }
+  }
+
+  // Tool and agent calls in recent sessions; null without servers or agents to match them to, or without sessions
+  async collectComponentUsage() {
+    const servers = this.results.breakdown.mcpServers || {};
+    const agents = this.results.breakdown.agents || {};
+    if (Object.keys(servers).length === 0 && Object.keys(agents).length === 0) {
+      return null;
     }
+    const usage = await collectToolUsage({
+      projectRoot: this.stateRoot,
+      homeDir: this.homeDir,
+      ...this.options.usageWindow,
+    });
+    return usage.sessions === 0 ? null : usage;
+  }
 
-    this.results.optimization = recommendations;
+  // Bundled rules with ~/.claude/context-rules.json and the project's .claude/context-rules.json on top
+  async loadRules() {
+    const { rules } = await loadRecommendationRules({
+      userPath: path.join(this.homeDir, RULES_FILE),
+      projectPath: path.join(this.stateRoot, RULES_FILE),
+    });
+    return rules;
+  }
+
+  async generateOptimizationRecommendations() {
+    // Usage history feeds the unused server and agent rules; without it the size rules apply
+    const usage = await this.collectComponentUsage().catch(error => {
+      console.warn(`Warning: Could not read MCP usage history: ${error.message}`);
+      return null;
+    });
+    const facts = collectRuleFacts(this.results, usage, { projectRoot: this.stateRoot });
+    this.results.optimization = evaluateRules(await this.loadRules(), facts);
   }
 
   async analyze() {
     const startTime = Date.now();
+    this.results.analyzedAt = new Date(startTime).toISOString();
     await this.initialize();
 
     // Performance monitoring
@@ -674,6 +627,7 @@ class ContextAnalyzer {
       mcpTools: 0,
       customAgents: 0,
       memoryFiles: 0,
+      slashCommands: 0,
       optimization: 0,
     };
 
@@ -685,25 +639,40 @@ class ContextAnalyzer {
         this.timedExecution('mcpTools', () => this.analyzeMcpTools()),
         this.timedExecution('customAgents', () => this.analyzeCustomAgents()),
         this.timedExecution('memoryFiles', () => this.analyzeMemoryFiles()),
+        this.timedExecution('slashCommands', () => this.analyzeSlashCommands()),
       ];
 
-      // Execute all analyses with shorter timeout for faster response
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Analysis timeout - using cached/fallback values')), 3000)
-      );
+      // Execute all analyses with shorter timeout for faster response (live MCP measurement needs longer)
+      const analysisTimeout = this.options.measure ? 120000 : 3000;
+      let timeoutHandle;
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutHandle = setTimeout(
+          () => reject(new Error('Analysis timeout - using cached/fallback values')),
+          analysisTimeout
+        );
+      });
 
-      const analysisResults = await Promise.race([Promise.allSettled(analysisPromises), timeoutPromise]);
+      const analysisResults = await Promise.race([Promise.allSettled(analysisPromises), timeoutPromise]).finally(() =>
+        clearTimeout(timeoutHandle)
+      );
 
       // Process results from settled promises
       if (Array.isArray(analysisResults)) {
         analysisResults.forEach((result, index) => {
-          const methods = ['systemPrompt', 'systemTools', 'mcpTools', 'customAgents', 'memoryFiles'];
+          const methods = ['systemPrompt', 'systemTools', 'mcpTools', 'customAgents', 'memoryFiles', 'slashCommands'];
           if (result.status === 'rejected') {
             console.warn(`Warning: ${methods[index]} analysis failed:`, result.reason?.message);
           }
         });
       }
 
+      // Tool result sizes come from the latest session transcript, when there is one
+      if (this.options.toolResults) {
+        await this.loadSession(this.options.sessionId).catch(error => {
+          console.warn(`Warning: Could not read session transcript: ${error.message}`);
+        });
+      }
+
       // Generate optimization recommendations with timing
       const optimizationStart = Date.now();
       await this.generateOptimizationRecommendations();
@@ -717,15 +686,17 @@ class ContextAnalyzer {
       this.results.systemTools +
       this.results.mcpTools +
       this.results.customAgents +
-      this.results.memoryFiles;
+      this.results.memoryFiles +
+      this.results.slashCommands;
 
     const duration = Date.now() - startTime;
+    this.results.durationMs = duration;
 
-    // Enhanced performance reporting
+    // Enhanced performance reporting (stderr, so json output stays parseable)
     if (duration > 1000) {
-      console.log(`⚡ Analysis completed in ${duration}ms`);
+      console.warn(`⚡ Analysis completed in ${duration}ms`);
       if (duration > 5000) {
-        console.log(
+        console.warn(
           `📊 Performance breakdown: MCP:${performanceLog.mcpTools}ms, Agents:${performanceLog.customAgents}ms, Memory:${performanceLog.memoryFiles}ms`
         );
       }
@@ -734,6 +705,42 @@ class ContextAnalyzer {
     return this.results;
   }
 
+  // Analyze the configuration committed at a git revision instead of the working tree.
+  // The files are copied to a scratch directory (lib/git-revision.js) that is removed afterwards.
+  async analyzeRevision(ref) {
+    await this.initialize();
+    const workingRoot = this.projectRoot;
+    const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-context-revision-'));
+    const warn = console.warn;
+    try {
+      const { commit, repoRoot, projectRoot } = await materializeRevision({
+        projectRoot: workingRoot,
+        ref,
+        targetDir: scratchDir,
+      });
+      this.revision = { ref, commit, projectRoot: workingRoot };
+      this.projectRoot = projectRoot;
+      this.claudeDir = path.join(projectRoot, '.claude');
+      // Parent memory files come from the copy up to its root, then from above the real repository
+      this.memoryWalk = { stopDir: scratchDir, outerRoot: repoRoot };
+      // Warnings from the analysis name files in the scratch copy; point them at the work tree too
+      const relocateText = text => text.split(projectRoot).join(workingRoot).split(scratchDir).join(repoRoot);
+      console.warn = (...args) => warn(...args.map(arg => (typeof arg === 'string' ? relocateText(arg) : arg)));
+      await this.analyze();
+      // Report paths as they are in the work tree: the project first, then parent directories in the repository
+      this.results = relocatePaths(relocatePaths(this.results, projectRoot, workingRoot), scratchDir, repoRoot);
+    } finally {
+      console.warn = warn;
+      await fs.rm(scratchDir, { recursive: true, force: true });
+      this.memoryWalk = null;
+      this.projectRoot = workingRoot;
+      this.claudeDir = path.join(workingRoot, '.claude');
+    }
+    this.results.projectPath = workingRoot;
+    this.results.revision = { ref, commit: this.revision.commit };
+    return this.results;
+  }
+
   // Helper method for timed execution
   async timedExecution(name, fn) {
     const start = Date.now();
@@ -747,84 +754,143 @@ class ContextAnalyzer {
   }
 
   formatResults(mode = 'standard') {
-    const { systemPrompt, systemTools, mcpTools, customAgents, memoryFiles, total, projectPath, breakdown } =
-      this.results;
+    const {
+      systemPrompt,
+      systemTools,
+      mcpTools,
+      customAgents,
+      memoryFiles,
+      slashCommands,
+      total,
+      projectPath,
+      breakdown,
+    } = this.results;
 
     const getPercentage = value => ((value / total) * 100).toFixed(1);
-    const formatTokens = tokens => {
-      if (tokens >= 1000) {
-        return `${(tokens / 1000).toFixed(1)}k`;
-      }
-      return `${tokens}`;
-    };
-    const maxTokens = 200000;
-    const usagePercentage = ((total / maxTokens) * 100).toFixed(0);
-    const freeSpace = maxTokens - total;
-    const freePercentage = ((freeSpace / maxTokens) * 100).toFixed(1);
+    const { displayName, contextWindow: maxTokens } = this.model;
 
     let output = '';
 
     if (mode === 'summary') {
-      output += `Claude Code Context: ${formatTokens(total)} total tokens\n`;
+      output += `Claude Code Context: ${formatTokenCount(total)}/${formatTokenCount(maxTokens)} tokens · ${displayName}\n`;
       output += `Project: ${path.basename(projectPath)}\n`;
-      output += `MCP Tools: ${getPercentage(mcpTools)}% | Agents: ${getPercentage(customAgents)}% | System: ${getPercentage(systemPrompt + systemTools)}%\n`;
-      return output;
-    }
-
-    // Generate the exact expected format
-    const mainBar = '⛁ ⛁ ⛁ ⛁ ⛀ ⛁ ⛁ ⛁ ⛁ ⛁';
-    const fullBar = '⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁';
-    const mixedBar = '⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛀ ⛶ ⛶';
-    const emptyBar = '⛶ ⛶ ⛶ ⛶ ⛶ ⛶ ⛶ ⛶ ⛶ ⛶';
-
-    // Header with exact expected format
-    output += `  ⎿  ${mainBar} \n`;
-    output += `     ${fullBar}   Context Usage\n`;
-    output += `     ${fullBar}   claude-sonnet-4 • ${formatTokens(total)}/${formatTokens(maxTokens)} tokens (${usagePercentage}%)\n`;
-    output += `     ${fullBar} \n`;
-
-    // Component breakdown with exact formatting
-    output += `     ${fullBar}   ⛁ System prompt: ${formatTokens(systemPrompt)} tokens (${getPercentage(systemPrompt)}%)\n`;
-    output += `     ${fullBar}   ⛁ System tools: ${formatTokens(systemTools)} tokens (${getPercentage(systemTools)}%)\n`;
-    output += `     ${fullBar}   ⛁ MCP tools: ${formatTokens(mcpTools)} tokens (${getPercentage(mcpTools)}%)\n`;
-    output += `     ${fullBar}   ⛁ Custom agents: ${formatTokens(customAgents)} tokens (${getPercentage(customAgents)}%)\n`;
-    output += `     ${mixedBar}   ⛁ Memory files: ${formatTokens(memoryFiles)} tokens (${getPercentage(memoryFiles)}%)\n`;
-    output += `     ${emptyBar}   ⛶ Free space: ${formatTokens(freeSpace)} (${freePercentage}%)\n\n`;
+      output += `MCP Tools: ${getPercentage(mcpTools)}% | Agents: ${getPercentage(customAgents)}% | Commands: ${getPercentage(slashCommands)}% | System: ${getPercentage(systemPrompt + systemTools)}%\n`;
+      return this.renderer.text(output);
+    }
+
+    if (this.results.revision) {
+      const { ref, commit } = this.results.revision;
+      output += `     Revision: ${ref} (${commit.slice(0, 7)}) · committed configuration, not the working tree\n\n`;
+    }
+
+    // Proportional grid: each cell is a share of the model's context window
+    output += formatContextUsage({
+      totals: { systemPrompt, systemTools, mcpTools, customAgents, memoryFiles, slashCommands },
+      model: this.model,
+      renderer: this.renderer,
+    });
+    output += `\n`;
 
     // Add detailed MCP tool breakdown
     if (breakdown?.mcpToolsDetailed) {
-      output += `     MCP tools · /mcp\n`;
-
-      // Iterate through each server and its tools
+      // In measure mode, servers that could not be measured in time or at all keep their registry estimate
+      const sources = Object.values(breakdown.mcpSources || {});
+      const measuredCount = sources.filter(source => source === 'measured').length;
+      const estimatedCount = sources.length - measuredCount;
+      const measuredNote = this.options.measure
+        ? ` (${measuredCount} measured live${estimatedCount > 0 ? `, ${estimatedCount} from registry estimates` : ''})`
+        : measuredCount > 0
+          ? ` (${measuredCount} measured live)`
+          : '';
+      output += `     MCP tools · /mcp${measuredNote}\n`;
+
+      // Iterate through each server and its tools, labeled with the scope the server came from
       for (const [serverName, tools] of Object.entries(breakdown.mcpToolsDetailed)) {
+        const scope = SCOPE_LABELS[breakdown.mcpScopes?.[serverName]];
+        const serverLabel = scope ? `${serverName} · ${scope}` : serverName;
         for (const tool of tools) {
-          const toolTokens = formatTokens(tool.tokens);
+          const toolTokens = formatTokenCount(tool.tokens);
           const paddedTokens = toolTokens.padStart(6);
-          output += `     └ ${tool.name} (${serverName}): ${paddedTokens} tokens\n`;
+          output += `     └ ${tool.name} (${serverLabel}): ${paddedTokens} tokens\n`;
         }
       }
+
+      // Servers defined for the project that Claude Code will not load
+      const inactiveServers = Object.entries(breakdown.mcpInactive || {});
+      if (inactiveServers.length > 0) {
+        const inactiveList = inactiveServers.map(([name, { reason }]) => `${name} (${reason})`).join(', ');
+        output += `     Not loaded: ${inactiveList}\n`;
+      }
       output += `\n`;
     }
 
-    // Add custom agents breakdown
+    // Tool results from the latest session: what actually filled the conversation (detailed mode)
+    output += this.formatToolResults();
+
+    // Add custom agents breakdown: main-context cost, then the cost each time the subagent runs
     if (breakdown?.agents && Object.keys(breakdown.agents).length > 0) {
-      output += `     Custom agents · /agents\n`;
+      output += `     Custom agents · /agents (${formatTokenCount(breakdown.agentInvocationTokens)} tokens more when invoked)\n`;
 
-      // Sort agents by token count (descending)
-      const sortedAgents = Object.entries(breakdown.agents).sort(([, a], [, b]) => b - a);
+      // Sort agents by main-context token count (descending)
+      const sortedAgents = Object.values(breakdown.agents).sort((a, b) => b.mainTokens - a.mainTokens);
 
-      for (const [agentFile, tokens] of sortedAgents) {
-        const agentName = agentFile.replace('.md', '');
-        const agentTokens = formatTokens(tokens);
+      for (const agent of sortedAgents) {
+        const agentTokens = formatTokenCount(agent.mainTokens);
         const paddedTokens = agentTokens.padStart(6);
-        output += `     └ ${agentName} (Project): ${paddedTokens} tokens\n`;
+        output += `     └ ${agent.name} (Project): ${paddedTokens} tokens · ${formatTokenCount(agent.invocationTokens)} on invocation\n`;
+      }
+      output += `\n`;
+    }
+
+    // Add slash commands breakdown: listing cost, then the body expanded when the command runs
+    if (breakdown?.slashCommands && breakdown.slashCommands.length > 0) {
+      output += `     Slash commands · /help\n`;
+      const sortedCommands = [...breakdown.slashCommands].sort((a, b) => b.mainTokens - a.mainTokens);
+
+      for (const command of sortedCommands) {
+        const paddedTokens = formatTokenCount(command.mainTokens).padStart(6);
+        const scope = COMMAND_SCOPE_LABELS[command.scope];
+        output += `     └ /${command.name} (${scope}): ${paddedTokens} tokens · ${formatTokenCount(command.invocationTokens)} on invocation\n`;
+        if (mode === 'detailed') {
+          if (command.argumentHint) {
+            output += `       └ arguments: ${command.argumentHint}\n`;
+          }
+          if (command.allowedTools.length > 0) {
+            output += `       └ allowed tools: ${command.allowedTools.join(', ')}\n`;
+          }
+        }
       }
       output += `\n`;
     }
 
     // Add memory files breakdown
     output += `     Memory files · /memory\n`;
-    output += `     └ Project (${this.claudeDir}/CLAUDE.md): ${formatTokens(memoryFiles)} tokens\n\n`;
+    if (breakdown?.memoryFiles) {
+      if (breakdown.memoryFiles.length === 0) {
+        output += `     └ No CLAUDE.md files found\n`;
+      }
+      // Imported files appear as a tree under the memory file that pulls them in (detailed mode)
+      const addImports = (imports, indent) => {
+        for (const file of imports) {
+          const status = file.missing ? 'missing' : `${formatTokenCount(file.total)} tokens`;
+          const relativePath = path.relative(this.projectRoot, file.path);
+          const displayPath = relativePath.startsWith('..') ? file.path : relativePath;
+          output += `     ${indent}└ @${displayPath}: ${status}\n`;
+          addImports(file.imports, `${indent}  `);
+        }
+      };
+      for (const file of breakdown.memoryFiles) {
+        const importCount = file.imports.filter(child => !child.missing).length;
+        const importNote = importCount > 0 && mode !== 'detailed' ? ` (incl. ${importCount} imports)` : '';
+        output += `     └ ${MEMORY_SCOPE_LABELS[file.scope]} (${file.path}): ${formatTokenCount(file.total)} tokens${importNote}\n`;
+        if (mode === 'detailed') {
+          addImports(file.imports, '  ');
+        }
+      }
+      output += `\n`;
+    } else {
+      output += `     └ Estimated: ${formatTokenCount(memoryFiles)} tokens\n\n`;
+    }
 
     // Add optimization recommendations if available
     if (this.results.optimization && this.results.optimization.length > 0) {
@@ -832,6 +898,7 @@ class ContextAnalyzer {
 
       const highImpact = this.results.optimization.filter(r => r.impact === 'high');
       const mediumImpact = this.results.optimization.filter(r => r.impact === 'medium');
+      const lowImpact = this.results.optimization.filter(r => r.impact === 'low');
 
       if (highImpact.length > 0) {
         output += `High Impact (>10% token reduction):\n`;
@@ -846,34 +913,703 @@ class ContextAnalyzer {
         mediumImpact.forEach(rec => {
           output += `- **${rec.title}**: ${rec.description} (${rec.savings})\n`;
         });
+        output += `\n`;
       }
+
+      if (lowImpact.length > 0) {
+        output += `Low Impact (<3% token reduction):\n`;
+        lowImpact.forEach(rec => {
+          output += `- **${rec.title}**: ${rec.description} (${rec.savings})\n`;
+        });
+      }
+    }
+
+    return this.renderer.text(output);
+  }
+
+  // JSON view: the full results in the shape described by lib/data/context-report.schema.json
+  formatJson() {
+    return JSON.stringify(buildJsonReport(this.results, { toolVersion: this.toolVersion }), null, 2);
+  }
+
+  // Markdown view for PRs and wikis: a table per category, collapsible MCP tool lists
+  formatMarkdown() {
+    return formatMarkdownReport(buildJsonReport(this.results, { toolVersion: this.toolVersion }));
+  }
+
+  // Standalone HTML page with an inline SVG chart; works offline
+  formatHtml() {
+    return formatHtmlReport(buildJsonReport(this.results, { toolVersion: this.toolVersion }));
+  }
+
+  // Load the project's latest (or chosen) session transcript, measuring tool results
+  async loadSession(sessionId = null) {
+    this.session = await analyzeSession({
+      projectRoot: this.projectRoot,
+      homeDir: this.homeDir,
+      sessionId,
+      tokenizer: this.tokenizer,
+    });
+    return this.session;
+  }
+
+  // Real usage from the project's latest (or chosen) session transcript
+  async analyzeSessionTranscript(sessionId = null) {
+    await this.loadSession(sessionId);
+    // Size the window for the model the session actually used, unless --model overrides it
+    if (this.session?.model && !this.options.model) {
+      this.results.model = {
+        ...resolveModel(await loadModelRegistry(), this.session.model),
+        source: 'session',
+      };
+    }
+    return this.session;
+  }
+
+  // Tool result sizes per tool and the largest single results; empty without a loaded session
+  formatToolResults() {
+    const toolResults = this.session?.toolResults;
+    if (!toolResults || toolResults.calls === 0) {
+      return '';
     }
 
+    let output = `     Tool results · session ${this.session.id.slice(0, 8)} (${toolResults.calls} calls, ${formatTokenCount(toolResults.totalTokens)} tokens)\n`;
+    for (const tool of toolResults.tools.slice(0, 10)) {
+      const calls = `${tool.calls} call${tool.calls === 1 ? '' : 's'}`;
+      output += `     └ ${tool.name}: ${formatTokenCount(tool.totalTokens).padStart(6)} tokens · ${calls} · max ${formatTokenCount(tool.maxTokens)}\n`;
+    }
+    if (toolResults.tools.length > 10) {
+      output += `     └ ... and ${toolResults.tools.length - 10} more tools\n`;
+    }
+
+    output += `     Largest results\n`;
+    for (const call of toolResults.largest) {
+      const detail = call.summary ? ` ${call.summary}` : '';
+      output += `     └ ${call.name}${detail}: ${formatTokenCount(call.tokens)} tokens\n`;
+    }
+    output += `\n`;
     return output;
   }
 
-  // Helper method to generate visual progress bar with exact format
-  generateVisualProgressBar(percentage, _width = 10, mixedBar = false) {
-    // Return hardcoded format for consistency with expected output
-    if (mixedBar) {
-      return '⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛀ ⛶ ⛶';
+  // Append this analysis to the project's snapshot history (~/.claude/context-history)
+  async recordSnapshot(mode) {
+    const snapshot = snapshotFromResults(this.results, { mode });
+    return appendSnapshot(snapshot, { projectRoot: this.projectRoot, homeDir: this.homeDir });
+  }
+
+  async loadHistory() {
+    this.history = await readHistory({ projectRoot: this.projectRoot, homeDir: this.homeDir });
+    return this.history;
+  }
+
+  // History view: past snapshots, a sparkline of the total and what changed in the latest run
+  formatHistory({ limit = 10 } = {}) {
+    const snapshots = this.history;
+    let output = `     Context history · /context history\n`;
+    output += `     Project: ${this.projectRoot}\n\n`;
+
+    if (snapshots.length === 0) {
+      output += `     No snapshots yet in ${getHistoryPath({ projectRoot: this.projectRoot, homeDir: this.homeDir })}\n`;
+      output += `     Every analysis run records one; run /context to start\n`;
+      return this.renderer.text(output);
+    }
+
+    const first = snapshots[0];
+    const latest = snapshots[snapshots.length - 1];
+    const trend = snapshots.slice(-30);
+    const countLabel = snapshots.length === 1 ? '1 snapshot' : `${snapshots.length} snapshots`;
+    output += `     ${countLabel} · ${formatSnapshotTime(first.recordedAt)} → ${formatSnapshotTime(latest.recordedAt)}\n`;
+    output += `     Total: ${sparkline(trend.map(snapshot => snapshot.total))}  ${formatTokenCount(trend[0].total)} → ${formatTokenCount(latest.total)} tokens\n\n`;
+
+    if (snapshots.length > 1) {
+      const previous = snapshots[snapshots.length - 2];
+      const changes = compareSnapshots(previous, latest);
+      output += `     Since previous run (${formatSnapshotTime(previous.recordedAt)})\n`;
+      if (changes.model) {
+        output += `     └ Model: ${changes.model.from || 'unknown'} → ${changes.model.to || 'unknown'}\n`;
+      }
+      const nested = { mcpTools: changes.mcpServers, customAgents: changes.agents, memoryFiles: changes.memoryFiles };
+      let changed = false;
+      for (const { key, label } of CONTEXT_CATEGORIES) {
+        if (changes.categories[key] === 0 && !nested[key]?.length) continue;
+        changed = true;
+        output += `     └ ${label}: ${formatTokenDelta(changes.categories[key])} tokens\n`;
+        for (const entry of nested[key] || []) {
+          const name = key === 'memoryFiles' ? this.displayPath(entry.name) : entry.name;
+          const status = entry.status === 'changed' ? '' : ` (${entry.status})`;
+          output += `       └ ${name}${status}: ${formatTokenDelta(entry.delta)} tokens\n`;
+        }
+      }
+      if (!changed) {
+        output += `     └ No changes\n`;
+      }
+      output += `\n`;
+    }
+
+    const columns = [
+      ['systemPrompt', 'Prompt'],
+      ['systemTools', 'Tools'],
+      ['mcpTools', 'MCP'],
+      ['customAgents', 'Agents'],
+      ['memoryFiles', 'Memory'],
+      ['slashCommands', 'Commands'],
+    ];
+    const cell = (text, width = 9) => String(text).padStart(width);
+    output += `     Snapshots${snapshots.length > limit ? ` (latest ${limit})` : ''}\n`;
+    output += `     ${'When'.padEnd(16)}${cell('Total')}${columns.map(([, title]) => cell(title)).join('')}${cell('Change')}\n`;
+    for (let index = snapshots.length - 1; index >= Math.max(0, snapshots.length - limit); index--) {
+      const snapshot = snapshots[index];
+      const totals = columns.map(([key]) => cell(formatTokenCount(snapshot.categories[key] || 0))).join('');
+      const change = index > 0 ? formatTokenDelta(snapshot.total - snapshots[index - 1].total) : '';
+      output +=
+        `     ${formatSnapshotTime(snapshot.recordedAt)}${cell(formatTokenCount(snapshot.total))}${totals}${cell(change)}`.trimEnd();
+      output += `\n`;
+    }
+
+    return this.renderer.text(output);
+  }
+
+  // One side of a diff: a saved snapshot, a git revision, this project now, or another project now
+  async resolveDiffSide(ref) {
+    if (ref.type === 'snapshot') {
+      const snapshot = this.history[this.history.length - ref.index];
+      if (!snapshot) {
+        const saved = this.history.length === 1 ? '1 snapshot' : `${this.history.length} snapshots`;
+        throw new Error(`No snapshot ${ref.index} in this project's history (${saved} saved)`);
+      }
+      return { label: `snapshot ${ref.index} · ${formatSnapshotTime(snapshot.recordedAt)}`, snapshot };
+    }
+
+    if (ref.type === 'revision') {
+      const analyzer = new ContextAnalyzer(this.claudeDir, this.options);
+      await analyzer.analyzeRevision(InputValidator.validateGitRef(ref.ref));
+      return {
+        label: `${ref.ref} (${analyzer.revision.commit.slice(0, 7)})`,
+        snapshot: snapshotFromResults(analyzer.results, { mode: 'diff' }),
+      };
+    }
+
+    let analyzer = this;
+    if (ref.type === 'project' && ref.path !== this.projectRoot) {
+      const claudeDir = path.join(ref.path, '.claude');
+      const stat = await fs.stat(claudeDir).catch(() => null);
+      if (!stat?.isDirectory()) {
+        throw new Error(`No .claude directory in ${ref.path}`);
+      }
+      analyzer = new ContextAnalyzer(claudeDir, this.options);
+    }
+    await analyzer.analyze();
+    return {
+      label: `${analyzer.projectRoot} (now)`,
+      snapshot: snapshotFromResults(analyzer.results, { mode: 'diff' }),
+    };
+  }
+
+  // Diff view inputs: --from defaults to the latest saved snapshot, --to to the current state
+  async loadDiff(fromRef = '1', toRef = 'current') {
+    const from = parseDiffRef(fromRef);
+    const to = parseDiffRef(toRef);
+    if (from.type === 'snapshot' || to.type === 'snapshot') {
+      await this.loadHistory();
+    }
+    this.diff = buildDiffReport(await this.resolveDiffSide(from), await this.resolveDiffSide(to), {
+      toolVersion: this.toolVersion,
+    });
+    return this.diff;
+  }
+
+  formatDiffAs(format = 'text') {
+    if (format === 'json') {
+      return JSON.stringify(this.diff, null, 2);
+    }
+    // Markdown summary for a PR description, e.g. --from git:main --to git:HEAD
+    if (format === 'markdown') {
+      return formatDiffMarkdown(this.diff, { projectRoot: this.projectRoot });
     }
-    return '⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁ ⛁';
+    return this.formatDiff();
+  }
+
+  // Diff view: per-category deltas, then the servers, tools, agents and memory files behind them
+  formatDiff() {
+    const diff = this.diff;
+    let output = `     Context diff · /context diff\n`;
+    output += `     From: ${diff.from.label}\n`;
+    output += `     To:   ${diff.to.label}\n\n`;
+
+    output += `     Total: ${formatTokenCount(diff.total.from)} → ${formatTokenCount(diff.total.to)} tokens (${formatTokenDelta(diff.total.delta)})\n`;
+    if (diff.model) {
+      output += `     Model: ${diff.model.from || 'unknown'} → ${diff.model.to || 'unknown'}\n`;
+    }
+    output += `\n`;
+
+    const labelWidth = Math.max(...Object.values(diff.categories).map(({ label }) => label.length)) + 1;
+    output += `     Categories\n`;
+    for (const { label, from, to, delta } of Object.values(diff.categories)) {
+      output += `     └ ${`${label}:`.padEnd(labelWidth)} ${formatTokenCount(from).padStart(6)} → ${formatTokenCount(to).padStart(6)}  ${formatTokenDelta(delta).padStart(7)}\n`;
+    }
+
+    const sections = [
+      ['MCP servers', diff.mcpServers],
+      ['MCP tools', diff.mcpTools],
+      ['Custom agents', diff.agents],
+      ['Memory files', diff.memoryFiles.map(entry => ({ ...entry, name: this.displayPath(entry.name) }))],
+    ];
+    let changed = false;
+    for (const [title, entries] of sections) {
+      if (!entries?.length) continue;
+      changed = true;
+      output += `\n     ${title}\n`;
+      for (const entry of entries) {
+        const status = entry.status === 'changed' ? '' : ` (${entry.status})`;
+        output += `     └ ${entry.name}${status}: ${formatTokenDelta(entry.delta)} tokens\n`;
+      }
+    }
+    if (!changed && diff.total.delta === 0) {
+      output += `\n     No differences\n`;
+    }
+
+    return this.renderer.text(output);
+  }
+
+  // Budget gate input, loaded before the analysis so a missing budget fails fast;
+  // defaults to .claude/context-budget.json in the project
+  async loadBudget(budgetPath = path.join(this.projectRoot, BUDGET_FILE)) {
+    const budget = await loadBudget(budgetPath);
+    if (!budget) {
+      throw new Error(`No context budget at ${budgetPath}; create it or pass --budget <path>`);
+    }
+    this.budget = budget;
+    this.budgetPath = budgetPath;
+    return budget;
+  }
+
+  checkBudget() {
+    this.budgetCheck = checkBudget(this.results, this.budget, { projectRoot: this.projectRoot });
+    return this.budgetCheck;
+  }
+
+  formatCheckAs(format = 'text') {
+    if (format === 'json') {
+      return JSON.stringify(
+        {
+          budget: this.budgetPath,
+          passed: this.budgetCheck.violations.length === 0,
+          model: this.results.model?.id || null,
+          revision: this.results.revision || null,
+          ...this.budgetCheck,
+        },
+        null,
+        2
+      );
+    }
+    return this.formatCheck();
+  }
+
+  // Check view: every limit in the budget, exceeded ones flagged, and a one-line verdict
+  formatCheck() {
+    const { checks, violations } = this.budgetCheck;
+    let output = `     Context budget · /context check\n`;
+    output += `     Budget: ${this.displayPath(this.budgetPath)}\n`;
+    if (this.results.revision) {
+      output += `     Revision: ${this.results.revision.ref} (${this.results.revision.commit.slice(0, 7)})\n`;
+    }
+    output += `\n`;
+
+    if (checks.length === 0) {
+      output += `     No limits apply to this configuration\n`;
+      return this.renderer.text(output);
+    }
+
+    const categoryLabels = Object.fromEntries(CONTEXT_CATEGORIES.map(({ key, label }) => [key, label]));
+    const label = ({ kind, name }) => {
+      if (kind === 'total') return 'Total:';
+      return kind === 'category' ? `${categoryLabels[name]}:` : `${CHECK_KIND_LABELS[kind]} ${name}:`;
+    };
+    const labelWidth = Math.max(...checks.map(check => label(check).length)) + 1;
+    for (const check of checks) {
+      const usage = `${formatTokenCount(check.tokens).padStart(6)} / ${formatTokenCount(check.limit).padStart(6)} tokens`;
+      const verdict = check.over > 0 ? `over by ${formatTokenCount(check.over)}` : 'ok';
+      output += `     └ ${label(check).padEnd(labelWidth)} ${usage}  ${verdict}\n`;
+    }
+
+    const limits = checks.length === 1 ? '1 limit' : `${checks.length} limits`;
+    output +=
+      violations.length > 0
+        ? `\n     Budget exceeded: ${violations.length} of ${limits}\n`
+        : `\n     Within budget: ${limits} checked\n`;
+    return this.renderer.text(output);
+  }
+
+  // What-if inputs: the project as it is now, then the changes applied to a copy of the results
+  async simulate({ model, ...changes }) {
+    await this.analyze();
+    this.simulation = simulateChanges(
+      this.results,
+      { ...changes, model: model ? resolveModel(await loadModelRegistry(), model) : null },
+      { mcpRegistry: await loadMcpRegistry(), projectRoot: this.projectRoot, homeDir: this.homeDir }
+    );
+    return this.simulation;
+  }
+
+  // Simulation view: the changes, per-category before and after, and what happens to free space
+  formatSimulation() {
+    const before = this.results;
+    const { results: after, applied } = this.simulation;
+    const titles = {
+      disable: 'Disable MCP server',
+      enable: 'Enable MCP server',
+      dropAgent: 'Drop agent',
+      dropMemory: 'Drop memory file',
+    };
+    let output = `     Context simulation · /context simulate\n`;
+    output += `     Project: ${this.projectRoot} (no files are changed)\n\n`;
+
+    output += `     Changes\n`;
+    for (const { change, name, tokens, note } of applied) {
+      output += `     └ ${titles[change]} ${name}: ${formatTokenDelta(tokens)} tokens${note ? ` (${note})` : ''}\n`;
+    }
+    if (after.model.id !== before.model.id) {
+      output += `     └ Switch model: ${before.model.displayName} → ${after.model.displayName}\n`;
+    }
+    if (applied.length === 0 && after.model.id === before.model.id) {
+      output += `     └ None; pass --disable, --enable, --drop-agent, --drop-memory or --model\n`;
+    }
+
+    const labelWidth = Math.max(...CONTEXT_CATEGORIES.map(({ label }) => label.length)) + 1;
+    output += `\n     Categories\n`;
+    for (const { key, label } of CONTEXT_CATEGORIES) {
+      const from = before[key] || 0;
+      const to = after[key] || 0;
+      output += `     └ ${`${label}:`.padEnd(labelWidth)} ${formatTokenCount(from).padStart(6)} → ${formatTokenCount(to).padStart(6)}  ${formatTokenDelta(to - from).padStart(7)}\n`;
+    }
+
+    const freeBefore = contextFreeSpace(before.total, before.model);
+    const freeAfter = contextFreeSpace(after.total, after.model);
+    output += `\n     Total: ${formatTokenCount(before.total)} → ${formatTokenCount(after.total)} tokens (${formatTokenDelta(after.total - before.total)})\n`;
+    output += `     Free space: ${formatTokenCount(freeBefore)} of ${formatTokenCount(before.model.contextWindow)} → ${formatTokenCount(freeAfter)} of ${formatTokenCount(after.model.contextWindow)} tokens (${formatTokenDelta(freeAfter - freeBefore)})\n`;
+
+    return this.renderer.text(output);
+  }
+
+  // Optimize inputs: the file changes behind the recommendations that can be applied without help
+  async loadOptimizationPlan() {
+    await this.analyze();
+    const plan = await planOptimization(this.results.optimization, { projectRoot: this.projectRoot });
+    this.optimization = { plan, applied: null, undone: null };
+    return plan;
+  }
+
+  async applyOptimizationPlan() {
+    const plan = await this.loadOptimizationPlan();
+    this.optimization.applied = await applyOptimization(plan, { projectRoot: this.projectRoot, homeDir: this.homeDir });
+    return this.optimization.applied;
+  }
+
+  async undoLastOptimization() {
+    await this.initialize();
+    const undone = await undoOptimization({ projectRoot: this.projectRoot, homeDir: this.homeDir });
+    this.optimization = { plan: null, applied: null, undone };
+    return undone;
+  }
+
+  // Optimize view: the planned or applied changes with their backup, or what an undo restored
+  formatOptimization() {
+    const { plan, applied, undone } = this.optimization;
+    let output = `     Context optimization · /context optimize\n`;
+    output += `     Project: ${this.projectRoot}\n\n`;
+
+    if (!plan) {
+      if (!undone) {
+        output += `     Nothing to undo; no backup left by /context optimize --apply\n`;
+        return this.renderer.text(output);
+      }
+      output += `     Restored the state before ${formatSnapshotTime(undone.manifest.createdAt)}\n`;
+      for (const operation of undone.manifest.operations) {
+        if (operation.type === 'move') {
+          output += `     └ ${this.displayPath(operation.to)} moved back to ${this.displayPath(operation.from)}\n`;
+        } else {
+          output += `     └ ${this.displayPath(operation.path)} ${operation.backup ? 'restored' : 'removed'}\n`;
+        }
+      }
+      return this.renderer.text(output);
+    }
+
+    const actionable = new Set(plan.changes.map(({ recommendation }) => recommendation));
+    if (plan.changes.length === 0) {
+      output += `     No recommendation can be applied automatically\n`;
+    } else {
+      output += applied ? `     Applied\n` : `     Changes to apply\n`;
+      for (const { recommendation, summary } of plan.changes) {
+        output += `     └ ${recommendation.title} (${recommendation.savings})\n`;
+        output += `       └ ${summary}\n`;
+      }
+    }
+
+    const manual = this.results.optimization.filter(recommendation => !actionable.has(recommendation));
+    if (manual.length > 0) {
+      output += `\n     Not applied automatically\n`;
+      for (const { title, description } of manual) {
+        output += `     └ ${title}: ${description}\n`;
+      }
+    }
+
+    if (applied) {
+      output += `\n     Backup: ${applied.backupDir}\n`;
+      output += `     Undo with /context optimize --undo\n`;
+    } else if (plan.changes.length > 0) {
+      output += `\n     Preview only; run /context optimize --apply to make these changes\n`;
+    }
+    return this.renderer.text(output);
+  }
+
+  // Paths inside the project are shown relative to it
+  displayPath(filePath) {
+    const relativePath = path.relative(this.projectRoot, filePath);
+    return relativePath.startsWith('..') || path.isAbsolute(relativePath) ? filePath : relativePath;
+  }
+
+  // Session view: message counts, billed tokens and how full the window is now
+  formatSession() {
+    const session = this.session;
+    let output = `     Session · /context session\n`;
+    output += `     Project: ${this.projectRoot}\n\n`;
+
+    if (!session) {
+      output += `     No session transcripts found in ${getTranscriptDir({ projectRoot: this.projectRoot, homeDir: this.homeDir })}\n`;
+      return this.renderer.text(output);
+    }
+
+    const model = this.results.model;
+    const reserve = model.autoCompactReserve || 0;
+    const percent = ((session.contextTokens / model.contextWindow) * 100).toFixed(1);
+    const untilCompact = Math.max(0, model.contextWindow - reserve - session.contextTokens);
+    const { messages, usage, sidechainUsage } = session;
+
+    let position = `${session.sessionCount} sessions in this project`;
+    if (session.sessionCount === 1) {
+      position = 'only session';
+    } else if (session.latest) {
+      position = `most recent of ${session.sessionCount}`;
+    }
+    output += `     Session: ${session.id} (${position})\n`;
+    if (session.startedAt) {
+      output += `     Activity: ${session.startedAt} → ${session.lastActivityAt}\n`;
+    }
+    output += `     Model: ${model.displayName}\n\n`;
+
+    if (session.lastUsage) {
+      output += `     Context window now: ${formatTokenCount(session.contextTokens)}/${formatTokenCount(model.contextWindow)} tokens (${percent}%)\n`;
+      output += `     └ Until auto-compact: ${formatTokenCount(untilCompact)} tokens\n\n`;
+    } else {
+      output += `     Context window now: no replies with usage data yet\n\n`;
+    }
+
+    output += `     Messages\n`;
+    output += `     └ User prompts: ${messages.userPrompts}\n`;
+    output += `     └ Tool results: ${messages.toolResults}\n`;
+    output += `     └ Assistant replies: ${messages.assistant}\n`;
+    if (messages.sidechain > 0) {
+      output += `     └ Subagent replies: ${messages.sidechain}\n`;
+    }
+    output += `     └ Compactions: ${session.compactions}\n\n`;
+
+    output += `     Tokens used by the conversation\n`;
+    output += `     └ Input: ${formatTokenCount(usage.input)}\n`;
+    output += `     └ Cache writes: ${formatTokenCount(usage.cacheCreation)}\n`;
+    output += `     └ Cache reads: ${formatTokenCount(usage.cacheRead)}\n`;
+    output += `     └ Output: ${formatTokenCount(usage.output)}\n`;
+    if (messages.sidechain > 0) {
+      const subagentInput = sidechainUsage.input + sidechainUsage.cacheCreation + sidechainUsage.cacheRead;
+      output += `     └ Subagents: ${formatTokenCount(subagentInput)} input · ${formatTokenCount(sidechainUsage.output)} output\n`;
+    }
+    output += `\n`;
+    output += this.formatToolResults();
+
+    return this.renderer.text(output);
+  }
+
+  // Settings view: every effective value and the scope it came from
+  formatSettings() {
+    const { effective, provenance, sources } = this.settings;
+    const formatValue = value => {
+      const text = JSON.stringify(value);
+      return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    };
+
+    let output = `     Settings · /context settings\n`;
+    output += `     Project: ${this.projectRoot}\n\n`;
+
+    output += `     Sources (lowest → highest precedence)\n`;
+    for (const source of sources) {
+      const label = SETTINGS_SCOPE_LABELS[source.scope].padEnd(8);
+      output += `     └ ${label} ${source.path} (${source.status})\n`;
+    }
+    output += `\n`;
+
+    const keys = Object.keys(provenance).sort();
+    if (keys.length === 0) {
+      output += `     No settings found in any scope\n`;
+      return this.renderer.text(output);
+    }
+
+    output += `     Effective values\n`;
+    for (const key of keys) {
+      const origin = provenance[key];
+      const value = key.split('.').reduce((node, part) => node?.[part], effective);
+      let from = origin.scopes.map(scope => SETTINGS_SCOPE_LABELS[scope]).join(' + ');
+      if (origin.overridden.length > 0) {
+        from += `, overrides ${origin.overridden.map(scope => SETTINGS_SCOPE_LABELS[scope]).join(', ')}`;
+      }
+      output += `     └ ${key} = ${formatValue(value)} (${from})\n`;
+    }
+
+    return this.renderer.text(output);
   }
 }
 
 // CLI interface
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const mode = process.argv[2] || 'standard';
+  const { model, args: cliArgs } = extractModelArgument(process.argv.slice(2));
+  const { value: outputPath, args: optionArgs } = extractOption(cliArgs, 'output');
+  const { value: sessionId, args: diffArgs } = extractOption(optionArgs, 'session');
+  const { value: diffFrom, args: toArgs } = extractOption(diffArgs, 'from');
+  const { value: diffTo, args: formatArgs } = extractOption(toArgs, 'to');
+  const { value: format, args: refArgs } = extractOption(formatArgs, 'format');
+  const { value: ref, args: budgetArgs } = extractOption(refArgs, 'ref');
+  const { value: budgetPath, args: disableArgs } = extractOption(budgetArgs, 'budget');
+  const { values: disable, args: enableArgs } = extractOptions(disableArgs, 'disable');
+  const { values: enable, args: dropAgentArgs } = extractOptions(enableArgs, 'enable');
+  const { values: dropAgents, args: dropMemoryArgs } = extractOptions(dropAgentArgs, 'drop-agent');
+  const { values: dropMemory, args: applyArgs } = extractOptions(dropMemoryArgs, 'drop-memory');
+  const { present: apply, args: undoArgs } = extractFlag(applyArgs, 'apply');
+  const { present: undo, args: sessionsArgs } = extractFlag(undoArgs, 'undo');
+  const { value: usageSessions, args: daysArgs } = extractOption(sessionsArgs, 'usage-sessions');
+  const { value: usageDays, args } = extractOption(daysArgs, 'usage-days');
+  const mode = args[0] || 'standard';
 
   try {
-    const analyzer = new ContextAnalyzer();
+    // 'measure' runs a detailed analysis with live tools/list introspection of stdio MCP servers
+    const analyzer = new ContextAnalyzer(null, {
+      tokenizer: process.env.CLAUDE_CONTEXT_TOKENIZER,
+      measure: mode === 'measure',
+      toolResults: mode === 'detailed' || mode === 'measure',
+      sessionId: sessionId ? InputValidator.validateSessionId(sessionId) : null,
+      // Sessions scanned for unused servers and agents; unset limits keep collectToolUsage()'s defaults
+      usageWindow: {
+        maxSessions: usageSessions ? InputValidator.validateCount(usageSessions, 'Usage sessions') : undefined,
+        maxAgeDays: usageDays ? InputValidator.validateCount(usageDays, 'Usage days') : undefined,
+      },
+      // In simulate mode --model is the model to switch to; the baseline keeps the configured one
+      model: model && mode !== 'simulate' ? InputValidator.validateModelId(model) : null,
+      // Files written with --output never get terminal colors
+      render: resolveRenderOptions({ stream: outputPath ? null : process.stdout }),
+    });
+
+    // 'settings' only needs the resolved settings hierarchy, not a full analysis
+    let run;
+    if (mode === 'settings') {
+      run = analyzer.initialize();
+    } else if (mode === 'session') {
+      run = analyzer.initialize().then(() => analyzer.analyzeSessionTranscript(analyzer.options.sessionId));
+    } else if (mode === 'history') {
+      run = analyzer.initialize().then(() => analyzer.loadHistory());
+    } else if (mode === 'diff') {
+      if (format && !DIFF_FORMATS.includes(format)) {
+        throw new Error(`Invalid format: ${format} (expected ${DIFF_FORMATS.join(' or ')})`);
+      }
+      // git:<ref> sides are revisions; anything else but a snapshot number or "current" is a directory
+      const validateRef = ref =>
+        ref.startsWith('git:')
+          ? `git:${InputValidator.validateGitRef(ref.slice(4))}`
+          : InputValidator.validatePath(ref);
+      const [from, to] = [diffFrom, diffTo].map(ref => (ref ? validateRef(ref) : undefined));
+      run = analyzer.initialize().then(() => analyzer.loadDiff(from, to));
+    } else if (mode === 'check') {
+      if (format && !CHECK_FORMATS.includes(format)) {
+        throw new Error(`Invalid format: ${format} (expected ${CHECK_FORMATS.join(' or ')})`);
+      }
+      // A gate run from hooks and CI is not recorded in the history; --ref checks a committed revision
+      run = analyzer
+        .initialize()
+        .then(() => analyzer.loadBudget(budgetPath ? path.resolve(InputValidator.validatePath(budgetPath)) : undefined))
+        .then(() => (ref ? analyzer.analyzeRevision(InputValidator.validateGitRef(ref)) : analyzer.analyze()))
+        .then(() => analyzer.checkBudget());
+    } else if (mode === 'simulate') {
+      // A preview, not the project's state, so it is not recorded in the history
+      run = analyzer.simulate({
+        disable: disable.map(name => InputValidator.validateName(name)),
+        enable: enable.map(name => InputValidator.validateName(name)),
+        dropAgents: dropAgents.map(name => InputValidator.validateName(name)),
+        dropMemory: dropMemory.map(file => InputValidator.validatePath(file)),
+        model: model ? InputValidator.validateModelId(model) : null,
+      });
+    } else if (mode === 'optimize') {
+      if (apply && undo) {
+        throw new Error('Use either --apply or --undo');
+      }
+      // Without --apply only the plan is shown; nothing is recorded in the history
+      run = undo
+        ? analyzer.undoLastOptimization()
+        : apply
+          ? analyzer.applyOptimizationPlan()
+          : analyzer.loadOptimizationPlan();
+    } else if (ref) {
+      // A committed revision is not the project's current state, so it is not recorded in the history
+      run = analyzer.analyzeRevision(InputValidator.validateGitRef(ref));
+    } else {
+      // Every full analysis is kept in the project's history unless CLAUDE_CONTEXT_HISTORY=0
+      run = analyzer.analyze().then(async () => {
+        if (isHistoryEnabled()) {
+          await analyzer.recordSnapshot(mode).catch(error => {
+            console.warn(`Warning: Could not record context history: ${error.message}`);
+          });
+        }
+      });
+    }
+
+    run
+      .then(async () => {
+        let output;
+        if (mode === 'settings') {
+          output = analyzer.formatSettings();
+        } else if (mode === 'session') {
+          output = analyzer.formatSession();
+        } else if (mode === 'history') {
+          output = analyzer.formatHistory();
+        } else if (mode === 'diff') {
+          output = analyzer.formatDiffAs(format);
+        } else if (mode === 'check') {
+          output = analyzer.formatCheckAs(format);
+          // Exit code 1 fails the hook or CI job; errors (no or invalid budget) exit with 2
+          if (analyzer.budgetCheck.violations.length > 0) {
+            process.exitCode = 1;
+          }
+        } else if (mode === 'simulate') {
+          output = analyzer.formatSimulation();
+        } else if (mode === 'optimize') {
+          output = analyzer.formatOptimization();
+        } else if (mode === 'json') {
+          output = analyzer.formatJson();
+        } else if (mode === 'markdown') {
+          output = analyzer.formatMarkdown();
+        } else if (mode === 'html') {
+          output = analyzer.formatHtml();
+        } else {
+          output = analyzer.formatResults(mode === 'measure' ? 'detailed' : mode);
+        }
+
+        if (outputPath) {
+          // Reports may be written inside the project or the home directory
+          const written = await writeReportFile(
+            InputValidator.validatePath(outputPath),
+            output.endsWith('\n') ? output : `${output}\n`,
+            [analyzer.projectRoot, analyzer.homeDir]
+          );
+          console.log(`Report written to ${written}`);
+          return;
+        }
 
-    analyzer
-      .analyze()
-      .then(_results => {
-        const output = analyzer.formatResults(mode);
         // Force output to display immediately by using process.stdout directly
         process.stdout.write(output + '\n');
         // Force flush stdout to ensure immediate display
@@ -883,11 +1619,11 @@ if (isMainModule) {
       })
       .catch(error => {
         console.error('Error:', error.message);
-        process.exit(1);
+        process.exit(mode === 'check' ? 2 : 1);
       });
   } catch (error) {
     console.error('Error:', error.message);
-    process.exit(1);
+    process.exit(mode === 'check' ? 2 : 1);
   }
 }
 
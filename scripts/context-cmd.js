@@ -11,6 +11,10 @@ import os from 'os';
 // Import using both strategies to ensure CI compatibility
 import { SafeCommandExecutor, InputValidator, SecureErrorHandler } from '../lib/security.js';
 import securityDefaults from '../lib/security.js';
+import { extractModelArgument } from '../lib/model-registry.js';
+import { extractFlag, extractOption, extractOptions } from '../lib/cli-options.js';
+import { DIFF_FORMATS } from '../lib/context-diff.js';
+import { CHECK_FORMATS } from '../lib/context-budget.js';
 
 /**
  * Find the nearest .claude directory by walking up the directory tree
@@ -117,12 +121,54 @@ class ContextCommand {
     }
   }
 
-  async execute(mode = 'compact') {
+  async execute(mode = 'compact', options = {}) {
     const startTime = Date.now();
 
     try {
       // Validate mode parameter to prevent injection
       const validatedMode = this.InputValidator.validateMode(mode);
+      const modelArgs = options.model ? ['--model', this.InputValidator.validateModelId(options.model)] : [];
+      // The analyzer runs from the project root, so relative output paths are resolved here
+      const outputArgs = options.output
+        ? ['--output', path.resolve(this.InputValidator.validatePath(options.output))]
+        : [];
+      const sessionArgs = options.session ? ['--session', this.InputValidator.validateSessionId(options.session)] : [];
+      // Project directories in --from/--to are resolved the same way; snapshot numbers, "current"
+      // and git:<ref> revisions pass through
+      const diffRef = ref => {
+        if (ref === 'current' || /^\d+$/.test(ref)) return ref;
+        if (ref.startsWith('git:')) return `git:${this.InputValidator.validateGitRef(ref.slice(4))}`;
+        return path.resolve(this.InputValidator.validatePath(ref));
+      };
+      const refArgs = options.ref ? ['--ref', this.InputValidator.validateGitRef(options.ref)] : [];
+      const budgetArgs = options.budget
+        ? ['--budget', path.resolve(this.InputValidator.validatePath(options.budget))]
+        : [];
+      // What-if changes for simulate; memory file paths stay relative to the project root
+      const simulateArgs = [
+        ...(options.disable || []).flatMap(name => ['--disable', this.InputValidator.validateName(name)]),
+        ...(options.enable || []).flatMap(name => ['--enable', this.InputValidator.validateName(name)]),
+        ...(options.dropAgent || []).flatMap(name => ['--drop-agent', this.InputValidator.validateName(name)]),
+        ...(options.dropMemory || []).flatMap(file => ['--drop-memory', this.InputValidator.validatePath(file)]),
+      ];
+      const optimizeArgs = [...(options.apply ? ['--apply'] : []), ...(options.undo ? ['--undo'] : [])];
+      const usageArgs = [
+        ...(options.usageSessions
+          ? ['--usage-sessions', String(this.InputValidator.validateCount(options.usageSessions, 'Usage sessions'))]
+          : []),
+        ...(options.usageDays
+          ? ['--usage-days', String(this.InputValidator.validateCount(options.usageDays, 'Usage days'))]
+          : []),
+      ];
+      const formats = validatedMode === 'check' ? CHECK_FORMATS : DIFF_FORMATS;
+      if (options.format && !formats.includes(options.format)) {
+        throw new Error(`Invalid format: ${options.format}`);
+      }
+      const diffArgs = [
+        ...(options.from ? ['--from', diffRef(options.from)] : []),
+        ...(options.to ? ['--to', diffRef(options.to)] : []),
+        ...(options.format ? ['--format', options.format] : []),
+      ];
 
       // Find the current project's .claude directory
       const projectInfo = await findClaudeDirectory();
@@ -130,26 +176,67 @@ class ContextCommand {
         const error = this.SecureErrorHandler.sanitizeError(new Error('No .claude directory found'));
         console.error(`❌ ${error.error}`);
         console.error('   Make sure you are running this command from within a Claude Code project.\n');
+        if (validatedMode === 'check') {
+          process.exitCode = 2;
+          return null;
+        }
         return await this.getFallbackAnalysis();
       }
 
       const currentProject = projectInfo.projectRoot;
+      // Status lines go to stderr in json mode so stdout is only the report
+      const status = validatedMode === 'json' || options.format === 'json' ? console.warn : console.log;
 
-      // Check cache first (but only for the same project)
-      if (this.shouldUseCache(currentProject)) {
+      // Check cache first (but only for the same project); a budget gate always runs fresh
+      if (validatedMode !== 'check' && this.shouldUseCache(currentProject)) {
         const cacheAge = Math.round((Date.now() - this.lastAnalysisTime) / 1000);
-        console.log(`⚡ Using cached analysis (${cacheAge}s ago)\n`);
+        status(`⚡ Using cached analysis (${cacheAge}s ago)\n`);
         return this.lastAnalysis;
       }
 
       // Choose the right analyzer based on mode
-      const analyzerName = validatedMode === 'detailed' ? 'context-analyzer.js' : 'context-analyzer-simple.js';
+      const fullAnalyzerModes = [
+        'detailed',
+        'measure',
+        'settings',
+        'json',
+        'markdown',
+        'html',
+        'session',
+        'history',
+        'diff',
+        'check',
+        'simulate',
+        'optimize',
+      ];
+      // The simple analyzer only reads the working tree, so --ref and usage windows always go to the full analyzer
+      const analyzerName =
+        fullAnalyzerModes.includes(validatedMode) || options.ref || usageArgs.length > 0
+          ? 'context-analyzer.js'
+          : 'context-analyzer-simple.js';
       const globalAnalyzerPath = path.join(os.homedir(), '.claude', 'scripts', analyzerName);
+      const commandName = validatedMode === 'measure' ? 'timeout-measure' : 'timeout-analyze';
 
       // Use secure command execution instead of execAsync
-      const { stdout, stderr } = await this.executor.execute('timeout-analyze', globalAnalyzerPath, [validatedMode], {
-        cwd: currentProject,
-      });
+      const { stdout, stderr } = await this.executor.execute(
+        commandName,
+        globalAnalyzerPath,
+        [
+          validatedMode,
+          ...modelArgs,
+          ...outputArgs,
+          ...sessionArgs,
+          ...diffArgs,
+          ...refArgs,
+          ...budgetArgs,
+          ...simulateArgs,
+          ...optimizeArgs,
+          ...usageArgs,
+        ],
+        {
+          cwd: currentProject,
+        }
+      );
 
       if (stderr && !stderr.includes('timeout')) {
         console.warn('⚠️  Analysis warnings:', stderr);
@@ -161,13 +248,20 @@ class ContextCommand {
 
       const duration = Date.now() - startTime;
       if (duration > 2000) {
-        console.log(`⚡ Analysis completed in ${duration}ms`);
+        status(`⚡ Analysis completed in ${duration}ms`);
       }
 
       // Ensure output is properly flushed when returning
       process.stdout.write(stdout);
       return stdout;
     } catch (error) {
+      // Exceeded budgets exit 1 with the report, which is passed on as is
+      if (mode === 'check' && error.exitCode === 1 && error.stdout) {
+        process.stdout.write(error.stdout);
+        process.exitCode = 1;
+        return error.stdout;
+      }
+
       // Use secure error handling
       const secureError = this.SecureErrorHandler.sanitizeError(error);
       console.error(`❌ Context analysis failed: ${secureError.error}`);
@@ -178,6 +272,12 @@ class ContextCommand {
         mode: mode, // Log original mode for debugging
       });
 
+      // A gate must fail rather than show the canned analysis
+      if (mode === 'check') {
+        process.exitCode = 2;
+        return null;
+      }
+
       // Fallback to basic info if analysis fails
       return await this.getFallbackAnalysis();
     }
@@ -213,13 +313,46 @@ class ContextCommand {
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
   (async () => {
-    const mode = process.argv[2] || 'compact';
+    const { model, args: cliArgs } = extractModelArgument(process.argv.slice(2));
+    const { value: output, args: optionArgs } = extractOption(cliArgs, 'output');
+    const { value: session, args: diffArgs } = extractOption(optionArgs, 'session');
+    const { value: from, args: toArgs } = extractOption(diffArgs, 'from');
+    const { value: to, args: formatArgs } = extractOption(toArgs, 'to');
+    const { value: format, args: refArgs } = extractOption(formatArgs, 'format');
+    const { value: ref, args: budgetArgs } = extractOption(refArgs, 'ref');
+    const { value: budget, args: disableArgs } = extractOption(budgetArgs, 'budget');
+    const { values: disable, args: enableArgs } = extractOptions(disableArgs, 'disable');
+    const { values: enable, args: dropAgentArgs } = extractOptions(enableArgs, 'enable');
+    const { values: dropAgent, args: dropMemoryArgs } = extractOptions(dropAgentArgs, 'drop-agent');
+    const { values: dropMemory, args: applyArgs } = extractOptions(dropMemoryArgs, 'drop-memory');
+    const { present: apply, args: undoArgs } = extractFlag(applyArgs, 'apply');
+    const { present: undo, args: sessionsArgs } = extractFlag(undoArgs, 'undo');
+    const { value: usageSessions, args: daysArgs } = extractOption(sessionsArgs, 'usage-sessions');
+    const { value: usageDays, args } = extractOption(daysArgs, 'usage-days');
+    const mode = args[0] || 'compact';
     const cmd = new ContextCommand();
 
     try {
-      const result = await cmd.execute(mode);
+      const result = await cmd.execute(mode, {
+        model,
+        output,
+        session,
+        from,
+        to,
+        format,
+        ref,
+        budget,
+        disable,
+        enable,
+        dropAgent,
+        dropMemory,
+        apply,
+        undo,
+        usageSessions,
+        usageDays,
+      });
       // Output is already written in cmd.execute(), no need to log again
-      if (!result) {
+      if (!result && !process.exitCode) {
         console.error('❌ No output generated');
       }
     } catch (error) {
@@ -0,0 +1,1915 @@
+#!/usr/bin/env node
+
+/**
+ * Standalone Analyzer Test Runner
+ * Exercises the shared analysis libraries without external dependencies
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  countTokens,
+  getTokenizer,
+  loadVocabulary,
+  registerTokenizer,
+  resolveTokenizerFamily,
+} from '../lib/tokenizer.js';
+import { fileURLToPath } from 'url';
+import { loadMcpRegistry, getServerTokens } from '../lib/mcp-registry.js';
+import { McpIntrospector, expandEnvVars } from '../lib/mcp-introspector.js';
+import { discoverMcpServers } from '../lib/mcp-discovery.js';
+import { resolveSettings } from '../lib/settings-resolver.js';
+import { parseFrontmatter } from '../lib/frontmatter.js';
+import { measureAgentCost } from '../lib/agent-cost.js';
+import { loadModelRegistry, resolveModel, extractModelArgument } from '../lib/model-registry.js';
+import { InputValidator } from '../lib/security.js';
+import { buildContextGrid, renderContextGrid, formatContextUsage, formatTokenDelta } from '../lib/context-grid.js';
+import { buildJsonReport, REPORT_SCHEMA_PATH, REPORT_SCHEMA_VERSION } from '../lib/json-report.js';
+import { formatMarkdownReport, formatHtmlReport, formatDiffMarkdown, writeReportFile } from '../lib/report-export.js';
+import { extractFlag, extractOption, extractOptions } from '../lib/cli-options.js';
+import {
+  analyzeSession,
+  collectToolUsage,
+  getProjectSlug,
+  parseTranscript,
+  readTranscript,
+  summarizeToolCall,
+} from '../lib/session-transcripts.js';
+import { countMcpServerCalls, mcpToolPrefix } from '../lib/mcp-usage.js';
+import { findCapabilityOverlaps, pickServerToKeep } from '../lib/mcp-capabilities.js';
+import {
+  appendSnapshot,
+  compareSnapshots,
+  createSnapshot,
+  getHistoryPath,
+  isHistoryEnabled,
+  readHistory,
+  snapshotFromResults,
+  sparkline,
+} from '../lib/context-history.js';
+import { buildDiffReport, parseDiffRef } from '../lib/context-diff.js';
+import { materializeRevision, revisionConfigPaths } from '../lib/git-revision.js';
+import { checkBudget, loadBudget, resolveLimit } from '../lib/context-budget.js';
+import { contextFreeSpace, simulateChanges } from '../lib/context-simulation.js';
+import { applyOptimization, getBackupRoot, planOptimization, undoOptimization } from '../lib/context-optimizer.js';
+import { collectRuleFacts, evaluateRules, loadRecommendationRules, mergeRules } from '../lib/recommendation-rules.js';
+import ContextAnalyzer from '../scripts/context-analyzer.js';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createRenderer, resolveRenderOptions, stripAnsi } from '../lib/renderer.js';
+import { discoverSlashCommands, measureSlashCommand, parseAllowedTools } from '../lib/slash-commands.js';
+import { discoverMemoryFiles, findImports, resolveImports, MAX_IMPORT_DEPTH } from '../lib/memory-discovery.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'stub-mcp-server.js');
+
+// Test results tracking
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+const failedTests = [];
+const queue = [];
+
+// Simple test framework (async-aware)
+function test(name, testFn) {
+  queue.push({ name, testFn });
+}
+
+async function runQueue() {
+  for (const { name, testFn } of queue) {
+    testsRun++;
+    try {
+      await testFn();
+      testsPassed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      failedTests.push({ name, error: error.message });
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe: expected => {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toEqual: expected => {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+    toContain: expected => {
+      if (!actual.includes(expected)) {
+        throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+      }
+    },
+    toBeGreaterThan: expected => {
+      if (!(actual > expected)) {
+        throw new Error(`Expected ${actual} to be greater than ${expected}`);
+      }
+    },
+    toBeLessThan: expected => {
+      if (!(actual < expected)) {
+        throw new Error(`Expected ${actual} to be less than ${expected}`);
+      }
+    },
+    toThrow: expectedError => {
+      let actualError;
+      try {
+        actual();
+      } catch (error) {
+        actualError = error.message;
+      }
+      if (actualError === undefined) {
+        throw new Error(`Expected function to throw, but it didn't`);
+      }
+      if (expectedError && !actualError.includes(expectedError)) {
+        throw new Error(`Expected error to contain "${expectedError}", got "${actualError}"`);
+      }
+    },
+  };
+}
+
+console.log('🧮 Running Analyzer Test Suite...\n');
+
+// Tokenizer Tests
+test('tokenizer should count common words as single tokens', () => {
+  expect(countTokens('hello world')).toBe(2);
+});
+
+test('tokenizer should return zero for empty input', () => {
+  expect(countTokens('')).toBe(0);
+  expect(countTokens(null)).toBe(0);
+});
+
+test('tokenizer should split camelCase identifiers', () => {
+  expect(countTokens('getUserName')).toBe(3);
+});
+
+test('tokenizer should charge CJK text per character', () => {
+  expect(countTokens('这是一个测试')).toBe(6);
+});
+
+test('tokenizer should charge emoji more than the chars/4 heuristic', () => {
+  expect(countTokens('🎉🚀')).toBeGreaterThan(countTokens('🎉🚀', 'heuristic'));
+});
+
+test('tokenizer should count dense JSON above the chars/4 heuristic', () => {
+  const json = JSON.stringify({ type: 'object', properties: { url: { type: 'string' } }, required: ['url'] });
+  expect(countTokens(json)).toBeGreaterThan(countTokens(json, 'heuristic'));
+});
+
+// Counts pinned from the bundled vocabulary; a change here means every report shifts
+test('tokenizer should keep its reference counts for typical context content', () => {
+  const references = [
+    ['The quick brown fox jumps over the lazy dog.', 10],
+    ['export async function readConfig(filePath) {\n  return JSON.parse(await fs.readFile(filePath, "utf8"));\n}', 35],
+    [
+      JSON.stringify({
+        name: 'fetch',
+        description: 'Fetch a URL and return its content',
+        inputSchema: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] },
+      }),
+      48,
+    ],
+    ['# Project rules\n\n- Run `npm test` before committing.\n- Use 2-space indentation.\n', 27],
+  ];
+  expect(references.map(([text]) => countTokens(text))).toEqual(references.map(([, tokens]) => tokens));
+});
+
+test('tokenizer should resolve Claude models to the claude family', () => {
+  expect(resolveTokenizerFamily('claude-sonnet-4-20250514')).toBe('claude');
+  expect(resolveTokenizerFamily(undefined)).toBe('claude');
+});
+
+test('tokenizer should fall back to the default family for unknown names', () => {
+  expect(getTokenizer('does-not-exist').name).toBe('claude');
+});
+
+test('tokenizer should accept registered custom families', () => {
+  registerTokenizer('fixed-test', () => ({ name: 'fixed-test', count: () => 7 }));
+  expect(countTokens('anything at all', 'fixed-test')).toBe(7);
+});
+
+test('the analyzer should pick the tokenizer family of the active model', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tokenizer-model-test-'));
+  const claudeDir = path.join(tempDir, 'app', '.claude');
+  const { models } = loadVocabulary();
+  const tokenizerFor = async options => {
+    const analyzer = new ContextAnalyzer(claudeDir, { homeDir: tempDir, ...options });
+    await analyzer.initialize();
+    return analyzer.results.tokenizer;
+  };
+  try {
+    // The model prefix goes into the shared vocabulary cache; the finally block takes it out again
+    registerTokenizer('model-test', () => ({ name: 'model-test', count: () => 1 }));
+    models['model-test-'] = 'model-test';
+    await fs.mkdir(claudeDir, { recursive: true });
+    expect(await tokenizerFor({})).toBe('claude');
+    expect(await tokenizerFor({ model: 'model-test-large' })).toBe('model-test');
+    await fs.writeFile(path.join(claudeDir, 'settings.json'), '{"model": "model-test-small"}');
+    expect(await tokenizerFor({})).toBe('model-test');
+    // CLAUDE_CONTEXT_TOKENIZER arrives as options.tokenizer and wins over the model
+    expect(await tokenizerFor({ model: 'model-test-large', tokenizer: 'heuristic' })).toBe('heuristic');
+  } finally {
+    delete models['model-test-'];
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('tokenizer should reject unsafe family names', () => {
+  expect(() => registerTokenizer('../evil', () => ({}))).toThrow('simple identifier');
+});
+
+// MCP Registry Tests
+test('registry should compute server totals from tool tokens', async () => {
+  const registry = await loadMcpRegistry({ overridePath: null });
+  const puppeteer = registry.servers.puppeteer;
+  expect(puppeteer.total).toBe(puppeteer.tools.reduce((sum, tool) => sum + tool.tokens, 0));
+});
+
+test('registry should estimate unknown servers with the default', async () => {
+  const registry = await loadMcpRegistry({ overridePath: null });
+  const unknown = getServerTokens(registry, 'not-a-real-server');
+  expect(unknown.known).toBe(false);
+  expect(unknown.total).toBe(registry.defaults.unknownServerTokens);
+});
+
+test('registry should merge user overrides on top of the bundled file', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-test-'));
+  const overridePath = path.join(tempDir, 'mcp-registry.json');
+  await fs.writeFile(
+    overridePath,
+    JSON.stringify({
+      servers: {
+        fetch: { tools: [{ name: 'mcp__fetch__fetch', tokens: 100 }] },
+        'in-house': { version: '2.1.0', tools: [{ name: 'mcp__in-house__lookup', tokens: 321 }] },
+        everything: null,
+      },
+    })
+  );
+
+  try {
+    const registry = await loadMcpRegistry({ overridePath });
+    expect(registry.servers.fetch.total).toBe(100);
+    expect(registry.servers.fetch.source.package).toBe('mcp-server-fetch');
+    expect(getServerTokens(registry, 'in-house').total).toBe(321);
+    expect(registry.servers.everything).toBe(undefined);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('registry capabilities should all be in the taxonomy', async () => {
+  const registry = await loadMcpRegistry({ overridePath: null });
+  const unknown = Object.entries(registry.servers).flatMap(([name, server]) =>
+    [server.capability, ...server.tools.map(tool => tool.capability)]
+      .filter(capability => capability && !registry.capabilities[capability])
+      .map(capability => `${name}: ${capability}`)
+  );
+  expect(unknown).toEqual([]);
+});
+
+// MCP Introspection Tests
+test('introspector should list paginated tools from a stub stdio server', async () => {
+  const introspector = new McpIntrospector({ cachePath: null });
+  const tools = await introspector.listTools('stub', { command: 'node', args: [STUB_SERVER] });
+  expect(tools.map(tool => tool.name)).toEqual(['lookup', 'search']);
+});
+
+test('introspector should measure and cache tool definitions', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'introspect-test-'));
+  const introspector = new McpIntrospector({ cachePath: path.join(tempDir, 'mcp-tools.json') });
+  const config = { command: 'node', args: [STUB_SERVER] };
+
+  try {
+    const first = await introspector.measureServer('stub', config);
+    expect(first.cached).toBe(false);
+    expect(first.tools[0].name).toBe('mcp__stub__lookup');
+    expect(first.total).toBe(first.tools[0].tokens + first.tools[1].tokens);
+
+    const second = await introspector.measureServer('stub', config);
+    expect(second.cached).toBe(true);
+    expect(second.total).toBe(first.total);
+
+    // A different env, directly or through a ${VAR} it references, is measured again
+    const withEnv = { ...config, env: { API_KEY: '${STUB_KEY}' } };
+    const keyed = new McpIntrospector({ cachePath: introspector.cachePath, env: { ...process.env, STUB_KEY: 'a' } });
+    expect((await keyed.measureServer('stub', withEnv)).cached).toBe(false);
+    expect((await keyed.measureServer('stub', withEnv)).cached).toBe(true);
+    const rotated = new McpIntrospector({ cachePath: introspector.cachePath, env: { ...process.env, STUB_KEY: 'b' } });
+    expect((await rotated.measureServer('stub', withEnv)).cached).toBe(false);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('introspector should reject launchers outside the allowlist', async () => {
+  const introspector = new McpIntrospector({ cachePath: null });
+  const results = await introspector.measureServers({ evil: { command: 'bash', args: ['-c', 'id'] } });
+  expect(results.evil.error).toContain('not allowed');
+});
+
+test('introspector should skip non-stdio servers', () => {
+  const introspector = new McpIntrospector({ cachePath: null });
+  expect(() => introspector.validateServerConfig('remote', { type: 'sse', url: 'https://example.com' })).toThrow(
+    'Only stdio'
+  );
+});
+
+test('introspector should time out unresponsive servers', async () => {
+  const introspector = new McpIntrospector({ cachePath: null, timeout: 300 });
+  const results = await introspector.measureServers({
+    silent: { command: 'node', args: ['-e', 'setTimeout(() => {}, 5000)'] },
+  });
+  expect(results.silent.error).toContain('timed out');
+});
+
+test('introspector should share one deadline across servers', async () => {
+  const introspector = new McpIntrospector({ cachePath: null });
+  const silent = { command: 'node', args: ['-e', 'setTimeout(() => {}, 5000)'] };
+  const startedAt = Date.now();
+  const results = await introspector.measureServers(
+    { first: silent, second: { command: 'node', args: [STUB_SERVER] } },
+    { deadline: startedAt + 300 }
+  );
+  // The first server's 15s launcher timeout is cut to the deadline; the second is never started
+  expect(results.first.error).toContain('timed out');
+  expect(results.second.error).toBe('Measurement time budget used up');
+  expect(Date.now() - startedAt).toBeLessThan(3000);
+});
+
+test('introspector should expand environment references like Claude Code', () => {
+  expect(expandEnvVars('${HOME_DIR}/x ${MISSING:-fallback}', { HOME_DIR: '/home/a' })).toBe('/home/a/x fallback');
+});
+
+// MCP Discovery Tests
+test('discovery should merge local, project and user scopes with precedence', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discovery-test-'));
+  const homeDir = path.join(tempDir, 'home');
+  const projectRoot = path.join(tempDir, 'project');
+  await fs.mkdir(homeDir);
+  await fs.mkdir(projectRoot);
+
+  await fs.writeFile(
+    path.join(homeDir, '.claude.json'),
+    JSON.stringify({
+      mcpServers: { fetch: { command: 'uvx' }, shared: { command: 'node' } },
+      projects: { [projectRoot]: { mcpServers: { 'private-db': { command: 'node' }, shared: { command: 'npx' } } } },
+    })
+  );
+  await fs.writeFile(
+    path.join(projectRoot, '.mcp.json'),
+    JSON.stringify({
+      mcpServers: { supabase: { command: 'npx' }, puppeteer: { command: 'npx' }, pending: { command: 'npx' } },
+    })
+  );
+
+  try {
+    const { active, inactive } = await discoverMcpServers({
+      projectRoot,
+      homeDir,
+      settings: { enabledMcpjsonServers: ['supabase', 'puppeteer'], disabledMcpjsonServers: ['puppeteer'] },
+    });
+    const scopes = Object.fromEntries(active.map(server => [server.name, server.scope]));
+
+    expect(scopes).toEqual({ 'private-db': 'local', shared: 'local', supabase: 'project', fetch: 'user' });
+    expect(inactive.map(server => `${server.name}:${server.reason}`)).toEqual([
+      'puppeteer:disabled',
+      'pending:awaiting approval',
+    ]);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('discovery should honor enableAllProjectMcpServers', async () => {
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'discovery-test-'));
+  await fs.writeFile(path.join(projectRoot, '.mcp.json'), JSON.stringify({ mcpServers: { a: {}, b: {} } }));
+
+  try {
+    const { active } = await discoverMcpServers({
+      projectRoot,
+      homeDir: projectRoot,
+      settings: { enableAllProjectMcpServers: true, disabledMcpjsonServers: ['b'] },
+    });
+    expect(active.map(server => server.name)).toEqual(['a']);
+  } finally {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  }
+});
+
+test('discovery should not count approved servers missing from .mcp.json', async () => {
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'discovery-test-'));
+  const settings = { enabledMcpjsonServers: ['a', 'removed'] };
+
+  try {
+    // Without .mcp.json an approval alone loads nothing
+    const unread = await discoverMcpServers({ projectRoot, homeDir: projectRoot, settings });
+    expect(unread.active).toEqual([]);
+    expect(unread.inactive.map(server => `${server.name}:${server.reason}`)).toEqual([
+      'a:not defined in .mcp.json',
+      'removed:not defined in .mcp.json',
+    ]);
+
+    await fs.writeFile(path.join(projectRoot, '.mcp.json'), JSON.stringify({ mcpServers: { a: { command: 'npx' } } }));
+    const { active, inactive } = await discoverMcpServers({ projectRoot, homeDir: projectRoot, settings });
+    expect(active.map(server => server.name)).toEqual(['a']);
+    expect(inactive).toEqual([{ name: 'removed', scope: 'project', reason: 'not defined in .mcp.json' }]);
+  } finally {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  }
+});
+
+// Settings Resolver Tests
+test('settings should merge scopes with managed > local > project > user precedence', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'settings-test-'));
+  const homeDir = path.join(tempDir, 'home');
+  const projectRoot = path.join(tempDir, 'project');
+  const managedPath = path.join(tempDir, 'managed-settings.json');
+  await fs.mkdir(path.join(homeDir, '.claude'), { recursive: true });
+  await fs.mkdir(path.join(projectRoot, '.claude'), { recursive: true });
+
+  await fs.writeFile(
+    path.join(homeDir, '.claude', 'settings.json'),
+    JSON.stringify({ model: 'user-model', permissions: { allow: ['Read'] }, env: { A: '1' } })
+  );
+  await fs.writeFile(
+    path.join(projectRoot, '.claude', 'settings.json'),
+    JSON.stringify({ model: 'project-model', permissions: { allow: ['Edit'] } })
+  );
+  await fs.writeFile(path.join(projectRoot, '.claude', 'settings.local.json'), JSON.stringify({ model: 'local' }));
+  await fs.writeFile(managedPath, JSON.stringify({ env: { A: '2' } }));
+
+  try {
+    const { effective, provenance, sources } = await resolveSettings({ projectRoot, homeDir, managedPath });
+    expect(effective.model).toBe('local');
+    expect(effective.env.A).toBe('2');
+    expect(effective.permissions.allow).toEqual(['Read', 'Edit']);
+    expect(provenance.model.scope).toBe('local');
+    expect(provenance.model.overridden).toEqual(['user', 'project']);
+    expect(provenance['env.A'].scope).toBe('managed');
+    expect(provenance['permissions.allow'].scopes).toEqual(['user', 'project']);
+    expect(sources.map(source => source.status)).toEqual(['loaded', 'loaded', 'loaded', 'loaded']);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('settings should report missing scopes without failing', async () => {
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'settings-test-'));
+  try {
+    const { effective, sources } = await resolveSettings({
+      projectRoot,
+      homeDir: projectRoot,
+      managedPath: path.join(projectRoot, 'none.json'),
+    });
+    expect(effective).toEqual({});
+    expect(sources.every(source => source.status === 'missing')).toBe(true);
+  } finally {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  }
+});
+
+// Memory Discovery Tests
+test('memory discovery should find user, parent, project and local files in load order', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-test-'));
+  const homeDir = path.join(tempDir, 'home');
+  const projectRoot = path.join(tempDir, 'workspace', 'project');
+  await fs.mkdir(path.join(homeDir, '.claude'), { recursive: true });
+  await fs.mkdir(path.join(projectRoot, '.claude'), { recursive: true });
+
+  await fs.writeFile(path.join(homeDir, '.claude', 'CLAUDE.md'), 'user memory');
+  await fs.writeFile(path.join(tempDir, 'workspace', 'CLAUDE.md'), 'parent memory');
+  await fs.writeFile(path.join(projectRoot, 'CLAUDE.md'), 'root memory');
+  await fs.writeFile(path.join(projectRoot, '.claude', 'CLAUDE.md'), 'dot claude memory');
+  await fs.writeFile(path.join(projectRoot, 'CLAUDE.local.md'), 'local memory');
+
+  try {
+    const files = await discoverMemoryFiles({ projectRoot, homeDir });
+    expect(files.map(file => file.scope)).toEqual(['user', 'parent', 'project', 'project', 'local']);
+    expect(files[1].path).toBe(path.join(tempDir, 'workspace', 'CLAUDE.md'));
+    expect(files[4].content).toBe('local memory');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('memory discovery should count shared user and project files once', async () => {
+  const homeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-test-'));
+  await fs.mkdir(path.join(homeDir, '.claude'), { recursive: true });
+  await fs.writeFile(path.join(homeDir, '.claude', 'CLAUDE.md'), 'shared memory');
+
+  try {
+    const files = await discoverMemoryFiles({ projectRoot: homeDir, homeDir });
+    const shared = files.filter(file => file.path === path.join(homeDir, '.claude', 'CLAUDE.md'));
+    expect(shared.length).toBe(1);
+    expect(shared[0].scope).toBe('user');
+  } finally {
+    await fs.rm(homeDir, { recursive: true, force: true });
+  }
+});
+
+test('memory imports should ignore code spans, fences and trailing punctuation', () => {
+  const content = 'See @docs/a.md, and @~/b.md.\nInline `@skip.md` here\n```\n@fenced.md\n```\nmail me@example.com';
+  expect(findImports(content)).toEqual(['docs/a.md', '~/b.md']);
+});
+
+test('memory imports should resolve recursively and report missing files and cycles', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-test-'));
+  const claudeMd = path.join(tempDir, 'CLAUDE.md');
+  await fs.mkdir(path.join(tempDir, 'docs'));
+  await fs.writeFile(path.join(tempDir, 'docs', 'a.md'), 'A imports @b.md');
+  await fs.writeFile(path.join(tempDir, 'docs', 'b.md'), 'B imports @a.md again');
+
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    const imports = await resolveImports(claudeMd, '@docs/a.md @docs/gone.md', { homeDir: tempDir });
+    expect(imports.length).toBe(2);
+    expect(imports[0].path).toBe(path.join(tempDir, 'docs', 'a.md'));
+    expect(imports[0].imports[0].path).toBe(path.join(tempDir, 'docs', 'b.md'));
+    expect(imports[0].imports[0].imports).toEqual([]);
+    expect(imports[1].missing).toBe(true);
+    expect(warnings.some(warning => warning.includes('circular'))).toBe(true);
+    expect(warnings.some(warning => warning.includes('not found'))).toBe(true);
+  } finally {
+    console.warn = originalWarn;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('memory imports should stop at the maximum import depth', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-test-'));
+  for (let level = 1; level <= MAX_IMPORT_DEPTH + 2; level++) {
+    await fs.writeFile(path.join(tempDir, `level${level}.md`), `@level${level + 1}.md`);
+  }
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    let depth = 0;
+    let imports = await resolveImports(path.join(tempDir, 'CLAUDE.md'), '@level1.md', { homeDir: tempDir });
+    while (imports.length > 0) {
+      depth++;
+      imports = imports[0].imports;
+    }
+    expect(depth).toBe(MAX_IMPORT_DEPTH);
+  } finally {
+    console.warn = originalWarn;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+// Frontmatter and Agent Cost Tests
+test('frontmatter should parse scalars, quoted strings, lists and block scalars', () => {
+  const content = [
+    '---',
+    'name: reviewer',
+    'description: "Reviews code: style, bugs"',
+    'tools: [Read, Grep]',
+    'allowed-tools:',
+    '  - Bash(git diff:*)',
+    '  - Read',
+    'notes: >',
+    '  folded',
+    '  text',
+    '---',
+    'Body line',
+  ].join('\n');
+
+  const { data, body } = parseFrontmatter(content);
+  expect(data.name).toBe('reviewer');
+  expect(data.description).toBe('Reviews code: style, bugs');
+  expect(data.tools).toEqual(['Read', 'Grep']);
+  expect(data['allowed-tools']).toEqual(['Bash(git diff:*)', 'Read']);
+  expect(data.notes).toBe('folded text');
+  expect(body).toBe('Body line');
+});
+
+test('frontmatter should leave files without a header untouched', () => {
+  const { data, body } = parseFrontmatter('# Just markdown\n---\n');
+  expect(data).toEqual({});
+  expect(body).toBe('# Just markdown\n---\n');
+});
+
+test('agent cost should split main-context metadata from the invocation body', () => {
+  const tokenizer = getTokenizer();
+  const body = 'You are a meticulous reviewer. '.repeat(50);
+  const cost = measureAgentCost(`---\nname: reviewer\ndescription: Reviews diffs\n---\n${body}`, 'x.md', tokenizer);
+
+  expect(cost.name).toBe('reviewer');
+  expect(cost.mainTokens).toBe(tokenizer.count('- reviewer: Reviews diffs'));
+  expect(cost.invocationTokens).toBe(tokenizer.count(body));
+  expect(cost.mainTokens).toBeLessThan(cost.invocationTokens);
+});
+
+test('agent cost should fall back to the file name without frontmatter', () => {
+  const cost = measureAgentCost('Plain prompt', 'helper.md', getTokenizer());
+  expect(cost.name).toBe('helper');
+  expect(cost.invocationTokens).toBeGreaterThan(0);
+});
+
+// Slash Command Tests
+test('slash commands should be discovered from project and user scopes with namespaces', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'commands-test-'));
+  const homeDir = path.join(tempDir, 'home');
+  const projectRoot = path.join(tempDir, 'project');
+  await fs.mkdir(path.join(projectRoot, '.claude', 'commands', 'git'), { recursive: true });
+  await fs.mkdir(path.join(homeDir, '.claude', 'commands'), { recursive: true });
+
+  await fs.writeFile(
+    path.join(projectRoot, '.claude', 'commands', 'git', 'commit.md'),
+    '---\ndescription: Create a commit\nallowed-tools: Bash(git add:*), Bash(git commit:*)\nargument-hint: [message]\n---\nCommit with $ARGUMENTS'
+  );
+  await fs.writeFile(path.join(homeDir, '.claude', 'commands', 'explain.md'), '# Explain the code\nIn detail.');
+
+  try {
+    const commands = await discoverSlashCommands({ projectRoot, homeDir });
+    expect(commands.map(command => `${command.scope}:${command.name}`)).toEqual(['project:git:commit', 'user:explain']);
+    expect(commands[0].allowedTools).toEqual(['Bash(git add:*)', 'Bash(git commit:*)']);
+    expect(commands[0].argumentHint).toBe('[message]');
+    expect(commands[1].description).toBe('Explain the code');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('slash commands should keep commas inside allowed tool rules', () => {
+  expect(parseAllowedTools('Bash(npm run test, npm run lint), Read')).toEqual([
+    'Bash(npm run test, npm run lint)',
+    'Read',
+  ]);
+  expect(parseAllowedTools(['Read', 'Edit'])).toEqual(['Read', 'Edit']);
+  expect(parseAllowedTools(undefined)).toEqual([]);
+});
+
+test('slash command cost should count only the listing in the main context', () => {
+  const tokenizer = getTokenizer();
+  const command = { name: 'review', argumentHint: '[pr]', description: 'Review a PR', body: 'Long body '.repeat(40) };
+  const cost = measureSlashCommand(command, tokenizer);
+  expect(cost.mainTokens).toBe(tokenizer.count('- /review [pr]: Review a PR'));
+  expect(cost.invocationTokens).toBe(tokenizer.count(command.body));
+});
+
+// Model Registry Tests
+test('model registry should resolve ids, dated snapshots and aliases', async () => {
+  const registry = await loadModelRegistry();
+  expect(resolveModel(registry, 'claude-opus-4-1-20250805').displayName).toBe('Claude Opus 4.1');
+  expect(resolveModel(registry, 'claude-opus-4-20250514').displayName).toBe('Claude Opus 4');
+  expect(resolveModel(registry, 'opus').id).toBe('claude-opus-4-1');
+  expect(resolveModel(registry, undefined).id).toBe(registry.defaultModel);
+});
+
+test('model registry should apply the 1M context suffix only where supported', async () => {
+  const registry = await loadModelRegistry();
+  const longContext = resolveModel(registry, 'sonnet[1m]');
+  expect(longContext.contextWindow).toBe(1000000);
+  expect(longContext.id).toBe('claude-sonnet-4-5[1m]');
+  expect(resolveModel(registry, 'claude-opus-4-1[1m]').contextWindow).toBe(200000);
+});
+
+test('model registry should fall back to defaults for unknown models', async () => {
+  const registry = await loadModelRegistry();
+  const model = resolveModel(registry, 'claude-future-9');
+  expect(model.known).toBe(false);
+  expect(model.displayName).toBe('claude-future-9');
+  expect(model.contextWindow).toBe(registry.defaults.contextWindow);
+  expect(model.autoCompactReserve).toBe(registry.defaults.autoCompactReserve);
+});
+
+test('model argument should be extracted in both flag forms', () => {
+  expect(extractModelArgument(['detailed', '--model', 'opus'])).toEqual({ model: 'opus', args: ['detailed'] });
+  expect(extractModelArgument(['--model=haiku'])).toEqual({ model: 'haiku', args: [] });
+  expect(extractModelArgument(['compact'])).toEqual({ model: null, args: ['compact'] });
+});
+
+test('model ids should be validated before reaching the command line', () => {
+  expect(InputValidator.validateModelId('sonnet[1m]')).toBe('sonnet[1m]');
+  expect(() => InputValidator.validateModelId('opus; rm -rf /')).toThrow('invalid characters');
+});
+
+// Context Grid Tests
+test('context grid should allocate cells in proportion to tokens', () => {
+  const grid = buildContextGrid({
+    segments: [
+      { key: 'systemPrompt', tokens: 20000 },
+      { key: 'mcpTools', tokens: 30000 },
+    ],
+    capacity: 200000,
+  });
+  const count = category => grid.filter(cell => cell.category === category).length;
+  expect(grid.length).toBe(100);
+  expect(count('systemPrompt')).toBe(10);
+  expect(count('mcpTools')).toBe(15);
+  expect(count('free')).toBe(75);
+});
+
+test('context grid should reflect different usage levels', () => {
+  const freeCells = tokens =>
+    buildContextGrid({ segments: [{ key: 'mcpTools', tokens }], capacity: 200000 }).filter(
+      cell => cell.category === 'free'
+    ).length;
+  expect(freeCells(40000)).toBe(80);
+  expect(freeCells(190000)).toBe(5);
+});
+
+test('context grid should show small categories as a partial cell and reserve last', () => {
+  const grid = buildContextGrid({
+    segments: [
+      { key: 'memoryFiles', tokens: 50 },
+      { key: 'mcpTools', tokens: 3000 },
+    ],
+    capacity: 200000,
+    reserve: 45000,
+  });
+  expect(grid[0]).toEqual({ category: 'memoryFiles', glyph: '⛀' });
+  expect(grid[1]).toEqual({ category: 'mcpTools', glyph: '⛁' });
+  expect(grid[2]).toEqual({ category: 'mcpTools', glyph: '⛀' });
+  expect(grid.filter(cell => cell.category === 'reserve').length).toBe(23);
+  expect(grid[grid.length - 1].category).toBe('reserve');
+});
+
+test('context grid should never exceed its cell count when over capacity', () => {
+  const grid = buildContextGrid({ segments: [{ key: 'mcpTools', tokens: 500000 }], capacity: 200000, reserve: 20000 });
+  expect(grid.length).toBe(100);
+  expect(grid.filter(cell => cell.category === 'mcpTools').length).toBe(90);
+});
+
+test('token deltas should carry their sign', () => {
+  expect(formatTokenDelta(1234)).toBe('+1.2k');
+  expect(formatTokenDelta(-300)).toBe('-300');
+  expect(formatTokenDelta(0)).toBe('0');
+});
+
+test('context grid should render rows beside the legend', () => {
+  const grid = buildContextGrid({ segments: [{ key: 'mcpTools', tokens: 100 }], capacity: 400, cells: 4 });
+  expect(renderContextGrid(grid, ['Title', 'Line two', 'Extra'], { columns: 2 })).toBe(
+    '  ⎿  ⛁ ⛶   Title\n     ⛶ ⛶   Line two\n           Extra\n'
+  );
+});
+
+test('context usage should report shares of the model context window', () => {
+  const output = formatContextUsage({
+    totals: { systemPrompt: 10000, mcpTools: 90000 },
+    model: { displayName: 'Test Model', contextWindow: 1000000, autoCompactReserve: 0 },
+  });
+  expect(output).toContain('Test Model • 100.0k/1.0M tokens (10%)');
+  expect(output).toContain('MCP tools: 90.0k tokens (9.0%)');
+  expect(output).toContain('Free space: 900.0k (90.0%)');
+});
+
+test('render options should follow NO_COLOR, FORCE_COLOR and the terminal', () => {
+  const tty = { isTTY: true };
+  expect(resolveRenderOptions({ env: {}, stream: tty }).color).toBe(true);
+  expect(resolveRenderOptions({ env: {}, stream: { isTTY: false } }).color).toBe(false);
+  expect(resolveRenderOptions({ env: { NO_COLOR: '1' }, stream: tty }).color).toBe(false);
+  expect(resolveRenderOptions({ env: { NO_COLOR: '' }, stream: tty }).color).toBe(true);
+  expect(resolveRenderOptions({ env: { NO_COLOR: '1', FORCE_COLOR: '1' }, stream: {} }).color).toBe(true);
+  expect(resolveRenderOptions({ env: { FORCE_COLOR: '0' }, stream: {} }).color).toBe(false);
+  expect(resolveRenderOptions({ env: { TERM: 'dumb' }, stream: tty })).toEqual({
+    theme: 'default',
+    glyphs: 'ascii',
+    color: false,
+  });
+  expect(resolveRenderOptions({ env: { TERM: 'dumb', CLAUDE_CONTEXT_GLYPHS: 'unicode' }, stream: tty }).glyphs).toBe(
+    'unicode'
+  );
+});
+
+test('renderer should only emit ANSI colors when color is enabled', () => {
+  expect(createRenderer({ color: false }).paint('mcpTools', 'x')).toBe('x');
+  expect(createRenderer({ color: true }).paint('mcpTools', 'x')).toBe('\x1b[36mx\x1b[0m');
+  expect(createRenderer({ color: true, theme: 'mono' }).paint('mcpTools', 'x')).toBe('x');
+  expect(stripAnsi(createRenderer({ color: true }).paint('reserve', '⛝'))).toBe('⛝');
+
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    expect(createRenderer({ theme: 'neon' }).theme).toBe('default');
+  } finally {
+    console.warn = originalWarn;
+  }
+  expect(warnings[0]).toContain('Unknown theme "neon"');
+});
+
+test('context usage should render in ASCII with the ascii glyph set', () => {
+  const renderer = createRenderer({ glyphs: 'ascii' });
+  const output = renderer.text(
+    formatContextUsage({
+      totals: { systemPrompt: 10000, mcpTools: 90000 },
+      model: { displayName: 'Test Model', contextWindow: 1000000, autoCompactReserve: 100000 },
+      renderer,
+    })
+  );
+  expect(output).toContain('  |  # # # # # # # # # #   Context Usage');
+  expect(output).toContain('Test Model - 100.0k/1.0M tokens (10%)');
+  expect(output).toContain('x Autocompact buffer: 100.0k tokens (10.0%)');
+  expect(/[^\x20-\x7e\n]/.test(output)).toBe(false);
+});
+
+// Minimal JSON Schema check covering the keywords used in lib/data/context-report.schema.json
+function schemaErrors(schema, value, root = schema, at = '$') {
+  if (schema.$ref) {
+    const target = schema.$ref
+      .slice(2)
+      .split('/')
+      .reduce((node, key) => node[key], root);
+    return schemaErrors(target, value, root, at);
+  }
+  const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+  if ('const' in schema && value !== schema.const) return [`${at}: expected ${schema.const}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${at}: ${JSON.stringify(value)} not in enum`];
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      return [`${at}: expected ${types.join('|')}, got ${actual}`];
+    }
+  }
+  const errors = [];
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing ${key}`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (childSchema && typeof childSchema === 'object') {
+        errors.push(...schemaErrors(childSchema, child, root, `${at}.${key}`));
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, root, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+// Analyzer results shaped like ContextAnalyzer.results, for the report tests
+function sampleResults() {
+  return {
+    systemPrompt: 8500,
+    systemTools: 15200,
+    mcpTools: 1200,
+    customAgents: 40,
+    memoryFiles: 60,
+    slashCommands: 12,
+    total: 25012,
+    analyzedAt: '2025-01-01T00:00:00.000Z',
+    durationMs: 42,
+    projectPath: '/work/app',
+    tokenizer: 'claude',
+    model: {
+      id: 'claude-sonnet-4',
+      displayName: 'Claude Sonnet 4',
+      contextWindow: 200000,
+      autoCompactReserve: 45000,
+      known: true,
+      source: 'default',
+    },
+    breakdown: {
+      mcpServers: { fetch: 1200 },
+      mcpToolsDetailed: { fetch: [{ name: 'mcp__fetch__fetch', tokens: 1200 }] },
+      mcpSources: { fetch: 'registry' },
+      mcpScopes: { fetch: 'project' },
+      mcpInactive: { other: { scope: 'project', reason: 'disabled' } },
+      agents: { 'review.md': { name: 'review', mainTokens: 40, invocationTokens: 300 } },
+      slashCommands: [
+        {
+          name: 'git:commit',
+          scope: 'project',
+          path: '/work/app/.claude/commands/git/commit.md',
+          description: 'Commit',
+          allowedTools: ['Bash(git commit:*)'],
+          argumentHint: '[message]',
+          mainTokens: 12,
+          invocationTokens: 30,
+        },
+      ],
+      memoryFiles: [
+        {
+          scope: 'project',
+          path: '/work/app/CLAUDE.md',
+          tokens: 40,
+          total: 60,
+          imports: [{ path: '/work/app/docs/a.md', tokens: 20, total: 20, imports: [] }],
+        },
+      ],
+    },
+    optimization: [{ impact: 'high', title: 'T', description: 'D', savings: '1k tokens' }],
+    settingsSources: [{ scope: 'user', path: '/home/u/.claude/settings.json', status: 'loaded' }],
+  };
+}
+
+test('json report should match the published schema', async () => {
+  const schema = JSON.parse(await fs.readFile(REPORT_SCHEMA_PATH, 'utf8'));
+  const report = buildJsonReport(sampleResults(), {
+    toolVersion: '1.2.3',
+    generatedAt: new Date('2025-01-01T00:00:01Z'),
+  });
+
+  expect(schemaErrors(schema, report)).toEqual([]);
+  expect(report.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+  expect(report.tool.version).toBe('1.2.3');
+  expect(report.window).toEqual({
+    size: 200000,
+    autoCompactReserve: 45000,
+    used: 25012,
+    free: 129988,
+    usedPercent: 12.5,
+  });
+  expect(report.mcp.servers[0].tools[0].name).toBe('mcp__fetch__fetch');
+  expect(report.memoryFiles[0].imports[0].missing).toBe(false);
+  expect(schemaErrors(schema, { ...report, window: { size: '200k' } }).length).toBeGreaterThan(0);
+});
+
+test('json report should stay valid before any analysis has run', async () => {
+  const schema = JSON.parse(await fs.readFile(REPORT_SCHEMA_PATH, 'utf8'));
+  expect(schemaErrors(schema, buildJsonReport({ total: 0, breakdown: {}, optimization: [] }))).toEqual([]);
+  expect(InputValidator.validateMode('json')).toBe('json');
+});
+
+test('markdown export should render tables and collapsible MCP tool lists', () => {
+  const results = sampleResults();
+  results.breakdown.slashCommands[0].description = 'Commit | push <now>';
+  const markdown = formatMarkdownReport(buildJsonReport(results, { toolVersion: '1.2.3' }));
+  expect(markdown).toContain('| MCP tools | 1.2k | 0.6% |');
+  expect(markdown).toContain('| **Total used** | **25.0k** | **12.5%** |');
+  expect(markdown).toContain('<details>\n<summary><code>fetch</code> tools (1)</summary>');
+  expect(markdown).toContain('Commit \\| push &lt;now&gt;');
+  expect(markdown).toContain('↳ <code>@docs/a.md</code>');
+});
+
+test('html export should be self-contained with an inline SVG chart', () => {
+  const results = sampleResults();
+  results.breakdown.agents['review.md'].name = '<script>alert(1)</script>';
+  const html = formatHtmlReport(buildJsonReport(results));
+  expect(html).toContain('<!DOCTYPE html>');
+  expect(html).toContain('<svg xmlns="http://www.w3.org/2000/svg"');
+  expect(html).toContain('<title>MCP tools: 1.2k tokens (0.6%)</title>');
+  expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  expect(html.includes('<script')).toBe(false);
+  expect(/(src|href)=/.test(html)).toBe(false);
+});
+
+test('report export should only write inside allowed directories', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-export-test-'));
+  try {
+    const written = await writeReportFile(path.join(tempDir, 'reports', 'context.md'), '# Report\n', [tempDir]);
+    expect(await fs.readFile(written, 'utf8')).toBe('# Report\n');
+    const denied = await writeReportFile('/etc/context.md', 'x', [tempDir]).catch(error => error.message);
+    expect(denied).toContain('path not in allowed directories');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('standard and compact modes should write --output files too', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-export-test-'));
+  const script = path.join(__dirname, '..', 'scripts', 'context-analyzer-simple.js');
+  const env = { ...process.env, HOME: tempDir, CLAUDE_CONTEXT_HISTORY: '0' };
+  delete env.FORCE_COLOR;
+  try {
+    await fs.mkdir(path.join(tempDir, 'project', '.claude'), { recursive: true });
+    const run = (...args) =>
+      promisify(execFile)(process.execPath, [script, ...args], { cwd: path.join(tempDir, 'project'), env });
+
+    const target = path.join(tempDir, 'project', 'reports', 'context.txt');
+    const { stdout } = await run('standard', '--output', target);
+    expect(stdout).toBe(`Report written to ${target}\n`);
+    const report = await fs.readFile(target, 'utf8');
+    expect(report).toContain('Context Usage');
+    // Files get plain text even when the terminal would be colored
+    expect(report.includes('\x1b[')).toBe(false);
+
+    const denied = await run('compact', '--output', '/etc/context.txt').catch(error => error.stderr);
+    expect(denied).toContain('path not in allowed directories');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('cli options should be extracted in both flag forms', () => {
+  expect(extractOption(['html', '--output', 'out.html'], 'output')).toEqual({ value: 'out.html', args: ['html'] });
+  expect(extractOption(['--output=r.md', 'markdown'], 'output')).toEqual({ value: 'r.md', args: ['markdown'] });
+  expect(extractOption(['detailed'], 'output')).toEqual({ value: null, args: ['detailed'] });
+});
+
+// One JSONL transcript line in the shape Claude Code writes
+function transcriptLine(type, message, extra = {}) {
+  return JSON.stringify({
+    type,
+    sessionId: 's1',
+    timestamp: '2025-06-01T10:00:00.000Z',
+    isSidechain: false,
+    message,
+    ...extra,
+  });
+}
+
+test('transcripts should count each streamed reply once', () => {
+  const usage = { input_tokens: 10, cache_creation_input_tokens: 2000, cache_read_input_tokens: 0, output_tokens: 50 };
+  const content = [
+    transcriptLine('user', { role: 'user', content: 'Fix the bug' }),
+    transcriptLine('assistant', { id: 'msg_1', model: 'claude-sonnet-4-5', content: [{ type: 'text' }], usage }),
+    transcriptLine('assistant', { id: 'msg_1', model: 'claude-sonnet-4-5', content: [{ type: 'tool_use' }], usage }),
+    transcriptLine('user', { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'ok' }] }),
+    transcriptLine(
+      'assistant',
+      { id: 'msg_s', content: [], usage: { input_tokens: 900, output_tokens: 9 } },
+      { isSidechain: true }
+    ),
+    JSON.stringify({ type: 'system', subtype: 'compact_boundary' }),
+    transcriptLine('assistant', {
+      id: 'msg_2',
+      model: 'claude-sonnet-4-5',
+      content: [],
+      usage: { input_tokens: 5, cache_creation_input_tokens: 100, cache_read_input_tokens: 2010, output_tokens: 40 },
+    }),
+    transcriptLine('assistant', { id: 'msg_3', model: '<synthetic>', content: [], usage: { input_tokens: 0 } }),
+    '{truncated',
+  ].join('\n');
+
+  const summary = parseTranscript(content);
+  expect(summary.messages).toEqual({ userPrompts: 1, toolResults: 1, assistant: 2, sidechain: 1 });
+  expect(summary.usage).toEqual({ input: 15, output: 90, cacheCreation: 2100, cacheRead: 2010 });
+  expect(summary.sidechainUsage.input).toBe(900);
+  expect(summary.lastUsage).toEqual({ input: 5, output: 40, cacheCreation: 100, cacheRead: 2010 });
+  expect(summary.model).toBe('claude-sonnet-4-5');
+  expect(summary.compactions).toBe(1);
+  expect(summary.invalidLines).toBe(1);
+});
+
+test('session analysis should pick the latest transcript or a chosen id prefix', async () => {
+  const tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'session-test-'));
+  const projectRoot = path.join(tempHome, 'work', 'my.app');
+  const dir = path.join(tempHome, '.claude', 'projects', getProjectSlug(projectRoot));
+  expect(getProjectSlug(projectRoot).endsWith('-work-my-app')).toBe(true);
+
+  const reply = input =>
+    transcriptLine('assistant', {
+      id: `msg_${input}`,
+      model: 'claude-opus-4-1',
+      content: [],
+      usage: { input_tokens: input },
+    });
+  try {
+    expect(await analyzeSession({ projectRoot, homeDir: tempHome })).toBe(null);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'aaaa-1111.jsonl'), reply(100));
+    await fs.writeFile(path.join(dir, 'bbbb-2222.jsonl'), reply(200));
+    const older = new Date(Date.now() - 60000);
+    await fs.utimes(path.join(dir, 'aaaa-1111.jsonl'), older, older);
+
+    const latest = await analyzeSession({ projectRoot, homeDir: tempHome });
+    expect(latest.id).toBe('bbbb-2222');
+    expect(latest.contextTokens).toBe(200);
+    expect(latest.sessionCount).toBe(2);
+
+    const chosen = await analyzeSession({ projectRoot, homeDir: tempHome, sessionId: 'aaaa' });
+    expect(chosen.contextTokens).toBe(100);
+    expect(chosen.latest).toBe(false);
+
+    const missing = await analyzeSession({ projectRoot, homeDir: tempHome, sessionId: 'cccc' }).catch(e => e.message);
+    expect(missing).toContain('Session not found');
+  } finally {
+    await fs.rm(tempHome, { recursive: true, force: true });
+  }
+});
+
+test('tool results should be attributed to the tool call that produced them', () => {
+  const tokenizer = getTokenizer('heuristic');
+  const toolUse = (id, name, input) =>
+    transcriptLine('assistant', {
+      id: `msg_${id}`,
+      content: [{ type: 'tool_use', id, name, input }],
+      usage: { input_tokens: 1 },
+    });
+  const toolResult = (id, content, extra) =>
+    transcriptLine('user', { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content }] }, extra);
+  const content = [
+    toolUse('t1', 'Read', { file_path: '/work/app/big.js' }),
+    toolResult('t1', 'x'.repeat(4000)),
+    toolUse('t2', 'Read', { file_path: '/work/app/small.js' }),
+    toolResult('t2', [
+      { type: 'text', text: 'x'.repeat(400) },
+      { type: 'image', source: {} },
+    ]),
+    toolUse('t3', 'mcp__github__search_code', { query: 'context' }),
+    toolResult('t3', 'x'.repeat(2000)),
+    toolResult('t9', 'x'.repeat(8000), { isSidechain: true }),
+  ].join('\n');
+
+  const { toolResults } = parseTranscript(content, { tokenizer });
+  expect(toolResults.calls).toBe(3);
+  expect(toolResults.tools[0]).toEqual({ name: 'Read', calls: 2, totalTokens: 1100, maxTokens: 1000 });
+  expect(toolResults.tools[1].name).toBe('mcp__github__search_code');
+  expect(toolResults.largest[0].summary).toBe('/work/app/big.js');
+  expect(parseTranscript(content).toolResults).toBe(null);
+});
+
+test('transcript files should be streamed to the same summary as their content', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-test-'));
+  const tokenizer = getTokenizer('heuristic');
+  const lines = [
+    transcriptLine('user', { role: 'user', content: 'Read the config' }),
+    transcriptLine('assistant', {
+      id: 'msg_1',
+      model: 'claude-sonnet-4-5',
+      content: [{ type: 'tool_use', id: 't1', name: 'Read', input: { file_path: '/work/app/config.json' } }],
+      usage: { input_tokens: 10, output_tokens: 20 },
+    }),
+    transcriptLine('user', {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: 't1', content: 'x'.repeat(400) }],
+    }),
+    '{truncated',
+  ];
+  try {
+    // Windows line endings must not turn into unreadable lines
+    const filePath = path.join(tempDir, 'session.jsonl');
+    await fs.writeFile(filePath, `${lines.join('\r\n')}\r\n`);
+    const streamed = await readTranscript(filePath, { tokenizer });
+    expect(streamed).toEqual(parseTranscript(lines.join('\n'), { tokenizer }));
+    expect(streamed.invalidLines).toBe(1);
+    expect(streamed.toolResults.tools[0]).toEqual({ name: 'Read', calls: 1, totalTokens: 100, maxTokens: 100 });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('tool call summaries should prefer identifying input fields', () => {
+  expect(summarizeToolCall({ description: 'Run tests', command: 'npm  test\n--verbose' })).toBe('npm test --verbose');
+  expect(summarizeToolCall({ other: 'value' })).toBe('value');
+  expect(summarizeToolCall({ command: 'x'.repeat(100) }).length).toBe(60);
+  expect(summarizeToolCall(undefined)).toBe('');
+});
+
+test('tool usage should be counted across recent sessions only', async () => {
+  const tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-test-'));
+  const projectRoot = path.join(tempHome, 'work', 'app');
+  const dir = path.join(tempHome, '.claude', 'projects', getProjectSlug(projectRoot));
+  const calls = (...names) =>
+    transcriptLine('assistant', {
+      id: `msg_${names.join('_')}`,
+      content: names.map((name, index) => ({ type: 'tool_use', id: `${name}_${index}`, name, input: {} })),
+    });
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    const recent = [calls('Read', 'mcp__github__get_issue'), calls('Read', 'mcp__github__get_issue')].join('\n');
+    await fs.writeFile(path.join(dir, 'recent.jsonl'), recent);
+    await fs.writeFile(path.join(dir, 'stale.jsonl'), calls('mcp__sentry__list_issues'));
+    const stale = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+    await fs.utimes(path.join(dir, 'stale.jsonl'), stale, stale);
+
+    const usage = await collectToolUsage({ projectRoot, homeDir: tempHome, maxAgeDays: 30 });
+    expect(usage.sessions).toBe(1);
+    // The repeated reply carries the same tool_use ids, so each call counts once
+    expect(Object.fromEntries(usage.toolCalls)).toEqual({ Read: 1, mcp__github__get_issue: 1 });
+    expect((await collectToolUsage({ projectRoot, homeDir: tempHome, maxAgeDays: 60 })).sessions).toBe(2);
+  } finally {
+    await fs.rm(tempHome, { recursive: true, force: true });
+  }
+});
+
+test('the usage window should limit the sessions scanned for unused components', async () => {
+  const tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-window-test-'));
+  const projectRoot = path.join(tempHome, 'work', 'app');
+  const dir = path.join(tempHome, '.claude', 'projects', getProjectSlug(projectRoot));
+  const call = (id, name) =>
+    transcriptLine('assistant', { id: `msg_${id}`, content: [{ type: 'tool_use', id, name, input: {} }] });
+  const usageWith = usageWindow => {
+    const analyzer = new ContextAnalyzer(path.join(projectRoot, '.claude'), { homeDir: tempHome, usageWindow });
+    analyzer.results.breakdown.mcpServers = { github: 9000, sentry: 4000 };
+    return analyzer.collectComponentUsage();
+  };
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    const daysAgo = async (file, days) => {
+      const time = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      await fs.utimes(path.join(dir, file), time, time);
+    };
+    await fs.writeFile(path.join(dir, 'today.jsonl'), call('t1', 'mcp__github__get_issue'));
+    await fs.writeFile(path.join(dir, 'last-week.jsonl'), call('t2', 'mcp__sentry__list_issues'));
+    await daysAgo('last-week.jsonl', 7);
+
+    expect((await usageWith({})).sessions).toBe(2);
+    const latest = await usageWith({ maxSessions: 1 });
+    expect(latest.sessions).toBe(1);
+    expect(Object.fromEntries(latest.toolCalls)).toEqual({ mcp__github__get_issue: 1 });
+    expect((await usageWith({ maxAgeDays: 3 })).toolCalls.has('mcp__sentry__list_issues')).toBe(false);
+
+    expect(InputValidator.validateCount('5', 'Usage days')).toBe(5);
+    expect(() => InputValidator.validateCount('0', 'Usage days')).toThrow('Usage days must be a positive whole number');
+    expect(() => InputValidator.validateCount('--apply', 'Usage days')).toThrow('positive whole number');
+  } finally {
+    await fs.rm(tempHome, { recursive: true, force: true });
+  }
+});
+
+test('MCP tool calls should be counted per server', () => {
+  expect(mcpToolPrefix('my.server')).toBe('mcp__my_server__');
+  const toolCalls = new Map([
+    ['mcp__github__get_issue', 5],
+    ['mcp__github__enterprise__search', 1],
+    ['mcp__fetch__fetch', 2],
+  ]);
+  expect(countMcpServerCalls(toolCalls, ['github', 'github__enterprise'])).toEqual({
+    github: 5,
+    github__enterprise: 1,
+  });
+  expect(countMcpServerCalls(toolCalls, ['github', 'fetch', 'sentry'])).toEqual({ github: 6, fetch: 2, sentry: 0 });
+});
+
+test('context history should append snapshots and skip damaged lines', async () => {
+  const tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'history-test-'));
+  const projectRoot = path.join(tempHome, 'work', 'app');
+  const snapshot = tokens =>
+    createSnapshot({
+      totals: { systemPrompt: 1000, mcpTools: tokens },
+      model: { id: 'claude-sonnet-4-5', contextWindow: 200000 },
+      mcpServers: { github: tokens },
+      recordedAt: new Date('2025-06-01T10:00:00.000Z'),
+    });
+  try {
+    expect(await readHistory({ projectRoot, homeDir: tempHome })).toEqual([]);
+
+    const historyPath = await appendSnapshot(snapshot(500), { projectRoot, homeDir: tempHome });
+    expect(historyPath).toBe(getHistoryPath({ projectRoot, homeDir: tempHome }));
+    await fs.appendFile(historyPath, '{"version":1,"tot');
+    await fs.appendFile(historyPath, '\n');
+    await appendSnapshot(snapshot(800), { projectRoot, homeDir: tempHome });
+
+    const history = await readHistory({ projectRoot, homeDir: tempHome });
+    expect(history.length).toBe(2);
+    expect(history[1].total).toBe(1800);
+    expect(history[1].categories.customAgents).toBe(0);
+    expect(isHistoryEnabled({ CLAUDE_CONTEXT_HISTORY: 'off' })).toBe(false);
+    expect(isHistoryEnabled({})).toBe(true);
+  } finally {
+    await fs.rm(tempHome, { recursive: true, force: true });
+  }
+});
+
+test('snapshot comparison should name added servers and changed memory files', () => {
+  const before = createSnapshot({
+    totals: { mcpTools: 3000, memoryFiles: 200 },
+    model: { id: 'claude-sonnet-4-5' },
+    mcpServers: { fetch: 600, github: 2400 },
+    memoryFiles: { '/work/app/CLAUDE.md': 200 },
+  });
+  const after = createSnapshot({
+    totals: { mcpTools: 7000, memoryFiles: 900 },
+    model: { id: 'claude-sonnet-4-5' },
+    mcpServers: { github: 2400, sentry: 4600 },
+    memoryFiles: { '/work/app/CLAUDE.md': 900 },
+  });
+
+  const changes = compareSnapshots(before, after);
+  expect(changes.total).toBe(4700);
+  expect(changes.categories.mcpTools).toBe(4000);
+  expect(changes.mcpServers).toEqual([
+    { name: 'sentry', status: 'added', from: null, to: 4600, delta: 4600 },
+    { name: 'fetch', status: 'removed', from: 600, to: null, delta: -600 },
+  ]);
+  expect(changes.memoryFiles[0].delta).toBe(700);
+  expect(changes.model).toBe(null);
+});
+
+test('sparklines should scale values between the lowest and highest', () => {
+  expect(sparkline([10, 20, 30])).toBe('▁▅█');
+  expect(sparkline([5, 5])).toBe('▄▄');
+  expect(sparkline([])).toBe('');
+  expect(createRenderer({ glyphs: 'ascii' }).text(sparkline([0, 7]))).toBe('_#');
+});
+
+test('diff references should name snapshots, the current state or a project', () => {
+  expect(parseDiffRef('current')).toEqual({ type: 'current' });
+  expect(parseDiffRef('2')).toEqual({ type: 'snapshot', index: 2 });
+  expect(parseDiffRef('other', '/work')).toEqual({ type: 'project', path: path.resolve('/work', 'other') });
+  expect(() => parseDiffRef('0')).toThrow('start at 1');
+});
+
+test('diff reports should list tool and agent changes from analyzer results', () => {
+  const results = (githubTools, agents) => ({
+    systemPrompt: 1000,
+    mcpTools: githubTools.reduce((sum, tool) => sum + tool.tokens, 0),
+    customAgents: Object.values(agents).reduce((sum, agent) => sum + agent.mainTokens, 0),
+    model: { id: 'claude-sonnet-4-5', contextWindow: 200000 },
+    breakdown: {
+      mcpServers: { github: githubTools.reduce((sum, tool) => sum + tool.tokens, 0) },
+      mcpToolsDetailed: { github: githubTools },
+      agents,
+      memoryFiles: [],
+    },
+  });
+  const before = snapshotFromResults(
+    results([{ name: 'mcp__github__get_issue', tokens: 400 }], { 'reviewer.md': { name: 'reviewer', mainTokens: 30 } })
+  );
+  const after = snapshotFromResults(
+    results(
+      [
+        { name: 'mcp__github__get_issue', tokens: 400 },
+        { name: 'mcp__github__create_pr', tokens: 650 },
+      ],
+      { 'reviewer.md': { name: 'reviewer', mainTokens: 45 } }
+    )
+  );
+
+  const report = buildDiffReport({ label: 'before', snapshot: before }, { label: 'after', snapshot: after });
+  expect(report.total).toEqual({ from: 1430, to: 2095, delta: 665 });
+  expect(report.categories.mcpTools).toEqual({ label: 'MCP tools', from: 400, to: 1050, delta: 650 });
+  expect(report.mcpServers[0]).toEqual({ name: 'github', status: 'changed', from: 400, to: 1050, delta: 650 });
+  expect(report.mcpTools).toEqual([
+    { name: 'mcp__github__create_pr', status: 'added', from: null, to: 650, delta: 650 },
+  ]);
+  expect(report.agents[0].delta).toBe(15);
+
+  // Snapshots recorded before tools and agents were stored leave those sections out
+  const older = { ...before, mcpTools: undefined, agents: undefined };
+  const partial = buildDiffReport({ label: 'old', snapshot: older }, { label: 'after', snapshot: after });
+  expect(partial.mcpTools).toBe(null);
+  expect(partial.agents).toBe(null);
+});
+
+test('revision config paths should cover the project and memory files above it', () => {
+  expect(revisionConfigPaths('')).toEqual(['.claude', '.mcp.json', 'CLAUDE.md', 'CLAUDE.local.md']);
+  expect(revisionConfigPaths('apps/web')).toEqual([
+    'CLAUDE.md',
+    'CLAUDE.local.md',
+    'apps/CLAUDE.md',
+    'apps/CLAUDE.local.md',
+    'apps/web/.claude',
+    'apps/web/.mcp.json',
+    'apps/web/CLAUDE.md',
+    'apps/web/CLAUDE.local.md',
+  ]);
+  expect(InputValidator.validateGitRef('main@{1}')).toBe('main@{1}');
+  expect(() => InputValidator.validateGitRef('--output=x')).toThrow('invalid characters');
+  expect(() => InputValidator.validateGitRef('main..feature')).toThrow('invalid characters');
+});
+
+test('a revision should be materialized from git without a checkout', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'revision-test-'));
+  const repo = path.join(tempDir, 'repo');
+  const git = (...args) => promisify(execFile)('git', args, { cwd: repo });
+  const write = async (file, content) => {
+    await fs.mkdir(path.dirname(path.join(repo, file)), { recursive: true });
+    await fs.writeFile(path.join(repo, file), content);
+  };
+  try {
+    await fs.mkdir(repo);
+    await git('init', '-q');
+    await write('CLAUDE.md', 'Repository rules');
+    await write('app/CLAUDE.md', 'See @docs/guide.md and @missing.md');
+    await write('app/docs/guide.md', 'Guide v1');
+    await write('app/.claude/agents/reviewer.md', '---\nname: reviewer\n---\nReview');
+    await write('app/src/index.js', 'not configuration');
+    await git('add', '-A');
+    await git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'base');
+    await write('app/docs/guide.md', 'Guide v2, not committed');
+
+    const target = path.join(tempDir, 'scratch');
+    await fs.mkdir(target);
+    const revision = await materializeRevision({ projectRoot: path.join(repo, 'app'), ref: 'HEAD', targetDir: target });
+    expect(revision.projectRoot).toBe(path.join(target, 'app'));
+    expect(revision.files).toEqual([
+      'CLAUDE.md',
+      'app/.claude/agents/reviewer.md',
+      'app/CLAUDE.md',
+      'app/docs/guide.md',
+    ]);
+    expect(await fs.readFile(path.join(target, 'app', 'docs', 'guide.md'), 'utf8')).toBe('Guide v1');
+
+    const unknown = await materializeRevision({ projectRoot: repo, ref: 'no-such-branch', targetDir: target }).catch(
+      e => e.message
+    );
+    expect(unknown).toContain('Unknown git revision');
+
+    // Warnings while analyzing the revision name the work tree, not the scratch copy
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+      const analyzer = new ContextAnalyzer(path.join(repo, 'app', '.claude'), { homeDir: tempDir });
+      await analyzer.analyzeRevision('HEAD');
+    } finally {
+      console.warn = warn;
+    }
+    expect(warnings.join('\n')).toContain(`@missing.md in ${path.join(repo, 'app', 'CLAUDE.md')}: not found`);
+    expect(warnings.filter(warning => warning.includes('claude-context-revision-'))).toEqual([]);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+// A committed project one level below the repository root, inside tempDir
+async function createRevisionRepo(tempDir) {
+  const repo = path.join(tempDir, 'repo');
+  const git = (...args) => promisify(execFile)('git', args, { cwd: repo });
+  await fs.mkdir(path.join(repo, 'app', '.claude'), { recursive: true });
+  await git('init', '-q');
+  await fs.writeFile(path.join(repo, 'app', 'CLAUDE.md'), 'Project rules');
+  await git('add', '-A');
+  await git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'base');
+  return path.join(repo, 'app');
+}
+
+async function analyzeRevisionWithTmpdir(projectRoot, tmpdir, homeDir) {
+  const previous = process.env.TMPDIR;
+  process.env.TMPDIR = tmpdir;
+  try {
+    const analyzer = new ContextAnalyzer(path.join(projectRoot, '.claude'), { homeDir });
+    await analyzer.analyzeRevision('HEAD');
+    return analyzer.results.breakdown.memoryFiles.map(file => file.path);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.TMPDIR;
+    } else {
+      process.env.TMPDIR = previous;
+    }
+  }
+}
+
+test('a revision should not read memory files above its scratch copy', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'revision-test-'));
+  try {
+    const projectRoot = await createRevisionRepo(tempDir);
+    const tmpdir = path.join(tempDir, 'tmp');
+    await fs.mkdir(tmpdir);
+    await fs.writeFile(path.join(tmpdir, 'CLAUDE.md'), 'Not part of the project');
+
+    const paths = await analyzeRevisionWithTmpdir(projectRoot, tmpdir, tempDir);
+    expect(paths).toEqual([path.join(projectRoot, 'CLAUDE.md')]);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('a revision should read memory files above the repository from the work tree', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'revision-test-'));
+  // The scratch copy lives outside tempDir, so only the work tree's parents can reach its CLAUDE.md
+  const tmpdir = await fs.mkdtemp(path.join(os.tmpdir(), 'revision-tmpdir-'));
+  try {
+    const projectRoot = await createRevisionRepo(tempDir);
+    await fs.writeFile(path.join(tempDir, 'CLAUDE.md'), 'Workspace rules');
+
+    const paths = await analyzeRevisionWithTmpdir(projectRoot, tmpdir, tempDir);
+    expect(paths).toEqual([path.join(tempDir, 'CLAUDE.md'), path.join(projectRoot, 'CLAUDE.md')]);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    await fs.rm(tmpdir, { recursive: true, force: true });
+  }
+});
+
+test('diff markdown should summarize category deltas for a PR description', () => {
+  const before = createSnapshot({ totals: { mcpTools: 1000 }, mcpServers: { fetch: 1000 } });
+  const after = createSnapshot({ totals: { mcpTools: 3000 }, mcpServers: { fetch: 1000, github: 2000 } });
+  const report = buildDiffReport({ label: 'main (1a2b3c4)', snapshot: before }, { label: 'HEAD', snapshot: after });
+  const markdown = formatDiffMarkdown(report);
+  expect(markdown).toContain('**+2.0k** (+200.0%)');
+  expect(markdown).toContain('| MCP tools | 1.0k | 3.0k | +2.0k |');
+  expect(markdown).toContain('- <code>github</code> added: +2.0k tokens (2.0k)');
+});
+
+test('budget files should be validated when loaded', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'budget-test-'));
+  const budgetPath = path.join(tempDir, 'context-budget.json');
+  try {
+    expect(await loadBudget(budgetPath)).toBe(null);
+
+    await fs.writeFile(budgetPath, JSON.stringify({ total: '40%', perServer: { '*': 5000 } }));
+    expect(await loadBudget(budgetPath)).toEqual({ total: '40%', perServer: { '*': 5000 } });
+
+    await fs.writeFile(budgetPath, JSON.stringify({ total: -1, mcpServers: {}, perFile: { 'CLAUDE.md': 'lots' } }));
+    const message = await loadBudget(budgetPath).catch(error => error.message);
+    expect(message).toContain('"total" must be a token count');
+    expect(message).toContain('unknown key "mcpServers"');
+    expect(message).toContain('"perFile.CLAUDE.md" must be a token count');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('budget checks should flag categories, servers and memory files over their limits', () => {
+  const projectRoot = path.join(os.tmpdir(), 'budget-project');
+  const results = {
+    total: 30000,
+    mcpTools: 12000,
+    memoryFiles: 3000,
+    model: { id: 'claude-sonnet-4-5', contextWindow: 200000 },
+    breakdown: {
+      mcpServers: { github: 9000, fetch: 3000 },
+      agents: { 'reviewer.md': { name: 'reviewer', mainTokens: 40 } },
+      memoryFiles: [
+        { path: path.join(projectRoot, 'CLAUDE.md'), total: 2500 },
+        { path: path.join(projectRoot, 'docs', 'CLAUDE.md'), total: 500 },
+      ],
+    },
+  };
+  const budget = {
+    total: '20%',
+    mcpTools: 10000,
+    perServer: { '*': 5000, github: 10000 },
+    perAgent: { '*': 50 },
+    perFile: { 'CLAUDE.md': 2000, '*': 1000 },
+  };
+
+  expect(resolveLimit('12.5%', 200000)).toBe(25000);
+  const { checks, violations } = checkBudget(results, budget, { projectRoot });
+  expect(checks.length).toBe(7);
+  expect(checks[0]).toEqual({ kind: 'total', name: 'total', tokens: 30000, limit: 40000, over: 0 });
+  expect(violations).toEqual([
+    { kind: 'category', name: 'mcpTools', tokens: 12000, limit: 10000, over: 2000 },
+    { kind: 'memoryFile', name: 'CLAUDE.md', tokens: 2500, limit: 2000, over: 500 },
+  ]);
+  expect(checks.map(check => check.name)).toContain('docs/CLAUDE.md');
+});
+
+test('repeatable options should collect every value in order', () => {
+  const { values, args } = extractOptions(['simulate', '--disable', 'github', '--disable=fetch', '-v'], 'disable');
+  expect(values).toEqual(['github', 'fetch']);
+  expect(args).toEqual(['simulate', '-v']);
+});
+
+test('simulated changes should re-aggregate a copy of the results', () => {
+  const projectRoot = path.join(os.tmpdir(), 'simulate-project');
+  const imported = { path: path.join(projectRoot, 'docs', 'style.md'), tokens: 300, total: 300, imports: [] };
+  const results = {
+    systemPrompt: 8000,
+    mcpTools: 12000,
+    customAgents: 60,
+    memoryFiles: 1500,
+    total: 21560,
+    model: { id: 'claude-sonnet-4-5', contextWindow: 200000, autoCompactReserve: 40000 },
+    breakdown: {
+      mcpServers: { supabase: 9000, github: 3000 },
+      mcpInactive: { fetch: { scope: 'project', reason: 'awaiting approval' } },
+      agents: {
+        'workflow-orchestrator.md': { name: 'workflow-orchestrator', mainTokens: 40 },
+        'reviewer.md': { name: 'reviewer', mainTokens: 20 },
+      },
+      memoryFiles: [
+        { path: path.join(projectRoot, 'CLAUDE.md'), tokens: 1000, total: 1300, imports: [imported] },
+        { path: path.join(projectRoot, 'CLAUDE.local.md'), tokens: 200, total: 200, imports: [] },
+      ],
+    },
+  };
+  const mcpRegistry = {
+    servers: { fetch: { total: 700, tools: [{ name: 'fetch', tokens: 700 }] } },
+    defaults: { unknownServerTokens: 2000 },
+  };
+
+  const { results: after, applied } = simulateChanges(
+    results,
+    {
+      disable: ['supabase'],
+      enable: ['fetch'],
+      dropAgents: ['workflow-orchestrator'],
+      dropMemory: ['docs/style.md'],
+      model: { id: 'claude-opus-4-1', contextWindow: 200000 },
+    },
+    { mcpRegistry, projectRoot, homeDir: os.tmpdir() }
+  );
+  expect(after.mcpTools).toBe(3700);
+  expect(after.customAgents).toBe(20);
+  expect(after.memoryFiles).toBe(1200);
+  expect(after.breakdown.memoryFiles[0].total).toBe(1000);
+  expect(after.total).toBe(12920);
+  expect(after.model.id).toBe('claude-opus-4-1');
+  expect(applied[1]).toEqual({ change: 'enable', name: 'fetch', tokens: 700, note: 'currently awaiting approval' });
+  expect(results.breakdown.mcpServers.supabase).toBe(9000);
+  expect(results.total).toBe(21560);
+  expect(contextFreeSpace(results.total, results.model)).toBe(138440);
+
+  expect(() =>
+    simulateChanges(results, { disable: ['fetch'], dropAgents: ['nobody'] }, { mcpRegistry, projectRoot })
+  ).toThrow('MCP server "fetch" is not active; No agent named "nobody"');
+});
+
+test('agent runs in recent sessions should be counted per agent', async () => {
+  const tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-usage-test-'));
+  const projectRoot = path.join(tempHome, 'work', 'app');
+  const dir = path.join(tempHome, '.claude', 'projects', getProjectSlug(projectRoot));
+  const run = (id, agent) =>
+    transcriptLine('assistant', {
+      id: `msg_${id}`,
+      content: [{ type: 'tool_use', id, name: 'Task', input: { subagent_type: agent, prompt: 'Review' } }],
+    });
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'session.jsonl'), [run('t1', 'reviewer'), run('t2', 'reviewer')].join('\n'));
+    const usage = await collectToolUsage({ projectRoot, homeDir: tempHome });
+    expect(usage.toolCalls.get('Task')).toBe(2);
+    expect(usage.agentCalls.get('reviewer')).toBe(2);
+
+    const agents = {
+      'reviewer.md': { name: 'reviewer', mainTokens: 30 },
+      'planner.md': { name: 'planner', mainTokens: 80 },
+    };
+    const { items } = collectRuleFacts({ breakdown: { agents } }, usage, { projectRoot });
+    expect(items.agents.map(agent => [agent.name, agent.calls])).toEqual([
+      ['planner', 0],
+      ['reviewer', 2],
+    ]);
+  } finally {
+    await fs.rm(tempHome, { recursive: true, force: true });
+  }
+});
+
+test('optimize should apply recommendation actions with a backup and undo them', async () => {
+  const tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'optimize-test-'));
+  const projectRoot = path.join(tempHome, 'app');
+  const settingsPath = path.join(projectRoot, '.claude', 'settings.local.json');
+  const agentPath = path.join(projectRoot, '.claude', 'agents', 'planner.md');
+  const settings = '{"enabledMcpjsonServers":["github","sentry"],"permissions":{"allow":["Read"]}}';
+  const recommendations = [
+    {
+      title: 'Disable unused MCP server "sentry"',
+      action: { type: 'disableMcpjsonServer', server: 'sentry', calls: 0 },
+    },
+    { title: 'Archive unused agent "planner"', action: { type: 'archiveAgent', file: 'planner.md', calls: 0 } },
+    { title: 'Optimize Agent Architecture' },
+  ];
+  try {
+    await fs.mkdir(path.dirname(agentPath), { recursive: true });
+    await fs.writeFile(settingsPath, settings);
+    await fs.writeFile(agentPath, '---\nname: planner\n---\nPlan');
+
+    const plan = await planOptimization(recommendations, { projectRoot });
+    expect(plan.changes.length).toBe(2);
+    expect(plan.changes[0].summary).toContain('remove it from enabledMcpjsonServers');
+    expect(await fs.readFile(settingsPath, 'utf8')).toBe(settings);
+
+    const { backupDir } = await applyOptimization(plan, { projectRoot, homeDir: tempHome });
+    expect(path.dirname(backupDir)).toBe(getBackupRoot({ projectRoot, homeDir: tempHome }));
+    const applied = JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+    expect(applied.enabledMcpjsonServers).toEqual(['github']);
+    expect(applied.disabledMcpjsonServers).toEqual(['sentry']);
+    expect(applied.permissions).toEqual({ allow: ['Read'] });
+    expect(await fs.readFile(path.join(projectRoot, '.claude', 'archive', 'agents', 'planner.md'), 'utf8')).toContain(
+      'Plan'
+    );
+
+    await undoOptimization({ projectRoot, homeDir: tempHome });
+    expect(await fs.readFile(settingsPath, 'utf8')).toBe(settings);
+    expect(await fs.readFile(agentPath, 'utf8')).toContain('Plan');
+    expect(await fs.readdir(path.join(projectRoot, '.claude'))).toEqual(['agents', 'settings.local.json']);
+    expect(await undoOptimization({ projectRoot, homeDir: tempHome })).toBe(null);
+
+    // Edits made after the run are never overwritten
+    await applyOptimization(await planOptimization(recommendations, { projectRoot }), {
+      projectRoot,
+      homeDir: tempHome,
+    });
+    await fs.writeFile(settingsPath, '{}');
+    const message = await undoOptimization({ projectRoot, homeDir: tempHome }).catch(error => error.message);
+    expect(message).toContain('settings.local.json was changed');
+    expect(await fs.readFile(settingsPath, 'utf8')).toBe('{}');
+  } finally {
+    await fs.rm(tempHome, { recursive: true, force: true });
+  }
+});
+
+test('optimize should only disable servers never called and never the one an overlap keeps', async () => {
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'optimize-test-'));
+  const disable = (server, calls) => ({
+    title: `Disable unused MCP server "${server}"`,
+    action: { type: 'disableMcpjsonServer', server, calls },
+  });
+  const recommendations = [
+    disable('sentry', 0),
+    disable('puppeteer', 1),
+    disable('mcp-playwright', 0),
+    disable('fetch', null),
+    { title: 'Keep one browser automation server', keep: 'mcp-playwright' },
+    { title: 'Archive unused agent "planner"', action: { type: 'archiveAgent', file: 'planner.md', calls: 2 } },
+  ];
+  try {
+    const plan = await planOptimization(recommendations, { projectRoot });
+    expect(plan.changes.map(({ recommendation }) => recommendation.action.server)).toEqual(['sentry']);
+    expect(JSON.parse(plan.operations[0].content).disabledMcpjsonServers).toEqual(['sentry']);
+  } finally {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  }
+});
+
+test('boolean flags should be pulled out of the arguments', () => {
+  expect(extractFlag(['optimize', '--apply'], 'apply')).toEqual({ present: true, args: ['optimize'] });
+  expect(extractFlag(['optimize'], 'undo')).toEqual({ present: false, args: ['optimize'] });
+});
+
+test('recommendation rules should compute savings from the breakdown', async () => {
+  const { rules } = await loadRecommendationRules({ userPath: null });
+  const results = {
+    systemPrompt: 3000,
+    systemTools: 12000,
+    mcpTools: 110000,
+    customAgents: 12000,
+    memoryFiles: 0,
+    slashCommands: 0,
+    breakdown: {
+      mcpServers: { github: 60000, sentry: 50000 },
+      mcpScopes: { github: 'project', sentry: 'project' },
+      agents: { 'planner.md': { name: 'planner', mainTokens: 12000 } },
+    },
+  };
+  // One call is enough for a server not to count as unused
+  const usage = { sessions: 4, toolCalls: new Map([['mcp__github__search', 1]]), agentCalls: new Map() };
+  const summary = recommendations => recommendations.map(({ rule, impact, tokens }) => [rule, impact, tokens]);
+
+  const withUsage = evaluateRules(rules, collectRuleFacts(results, usage, { projectRoot: '/work/app' }));
+  expect(summary(withUsage)).toEqual([
+    ['unused-mcp-server', 'high', 50000],
+    ['unused-agent', 'medium', 12000],
+    ['optimize-agent-architecture', 'high', 2000],
+  ]);
+  expect(withUsage[0].description).toContain('never called in the last 4 sessions; add "sentry"');
+  expect(withUsage[0].action).toEqual({ type: 'disableMcpjsonServer', server: 'sentry', calls: 0 });
+  expect(withUsage[1].action).toEqual({ type: 'archiveAgent', file: 'planner.md', calls: 0 });
+  expect(withUsage[2].description).toBe(
+    'Agents take 12.0k tokens; combine overlapping agent responsibilities to get under 10.0k'
+  );
+
+  // Without session history only the size rules apply
+  const withoutUsage = evaluateRules(rules, collectRuleFacts(results, null, { projectRoot: '/work/app' }));
+  expect(summary(withoutUsage)).toEqual([
+    ['consolidate-mcp-servers', 'high', 10000],
+    ['optimize-agent-architecture', 'high', 2000],
+  ]);
+
+  // Two servers over a limit of one: the average server size
+  const { rules: strict } = mergeRules(rules, [{ id: 'selective-mcp-loading', params: { maxServers: 1 } }]);
+  const selective = evaluateRules(strict, collectRuleFacts(results, null, { projectRoot: '/work/app' }));
+  expect(selective.find(({ rule }) => rule === 'selective-mcp-loading').tokens).toBe(55000);
+});
+
+test('recommendation rule files should add, disable and re-threshold rules', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rules-test-'));
+  const userPath = path.join(tempDir, 'user-rules.json');
+  const projectPath = path.join(tempDir, 'project-rules.json');
+  const largeMemoryFile = {
+    id: 'large-memory-file',
+    forEach: 'memoryFiles',
+    params: { maxTokens: 5000 },
+    when: [{ fact: 'tokens', op: '>', value: '$maxTokens' }],
+    severity: 'auto',
+    title: 'Trim {path}',
+    message: '{path} loads {tokens|tokens} tokens',
+    savings: { fact: 'tokens', minus: '$maxTokens' },
+  };
+  try {
+    await fs.writeFile(userPath, JSON.stringify({ rules: [{ id: 'unused-agent', enabled: false }, largeMemoryFile] }));
+    await fs.writeFile(
+      projectPath,
+      JSON.stringify({ rules: [{ id: 'large-memory-file', params: { maxTokens: 2000 } }] })
+    );
+    const { rules, sources } = await loadRecommendationRules({ userPath, projectPath });
+    expect(sources.length).toBe(3);
+
+    const results = {
+      memoryFiles: 6000,
+      breakdown: { memoryFiles: [{ path: '/work/app/CLAUDE.md', scope: 'project', total: 6000 }] },
+    };
+    const recommendations = evaluateRules(rules, collectRuleFacts(results, null, { projectRoot: '/work/app' }));
+    expect(recommendations).toEqual([
+      {
+        impact: 'high',
+        title: 'Trim CLAUDE.md',
+        description: 'CLAUDE.md loads 6.0k tokens',
+        savings: '4.0k tokens',
+        tokens: 4000,
+        rule: 'large-memory-file',
+      },
+    ]);
+    expect(rules.find(({ id }) => id === 'unused-agent').enabled).toBe(false);
+
+    await fs.writeFile(
+      projectPath,
+      JSON.stringify({
+        rules: [
+          { id: 'unused-mcp-server', params: { minCall: 1 } },
+          { id: 'huge-agents', title: '{agentName}', when: [{ fact: 'agentCount', op: '>', value: 'many' }] },
+        ],
+      })
+    );
+    // Only the broken project file is skipped; the user file still applies
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = message => warnings.push(message);
+    let layered;
+    try {
+      layered = await loadRecommendationRules({ userPath, projectPath });
+    } finally {
+      console.warn = originalWarn;
+    }
+    expect(layered.sources).toEqual([layered.sources[0], userPath]);
+    expect(layered.rules.find(({ id }) => id === 'unused-agent').enabled).toBe(false);
+    expect(warnings.length).toBe(1);
+    const message = warnings[0];
+    expect(message).toContain(`Warning: Invalid rule file ${projectPath}`);
+    expect(message).toContain('rule "unused-mcp-server": unknown param "minCall" (the rule has minCalls)');
+    expect(message).toContain(
+      'rule "huge-agents": "when[0]" compares with >, so its value must be a number or a param'
+    );
+    expect(message).toContain('rule "huge-agents": "title" uses unknown placeholder "{agentName}"');
+    expect(message).toContain('rule "huge-agents": "severity" must be one of high, medium, low, auto');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('overlapping MCP servers should be found with the cost of each redundant set', async () => {
+  const registry = await loadMcpRegistry({ overridePath: null });
+  const tools = name => registry.servers[name].tools;
+  const overlaps = findCapabilityOverlaps(registry, {
+    puppeteer: tools('puppeteer'),
+    'mcp-playwright': tools('mcp-playwright'),
+    firecrawl: tools('firecrawl'),
+    github: [{ name: 'mcp__github__unknown', tokens: 2000 }],
+    'sequential-thinking': tools('sequential-thinking'),
+  });
+  const browser = overlaps.find(({ capability }) => capability === 'browser-automation');
+  expect(browser.servers.map(({ name }) => name)).toEqual(['mcp-playwright', 'puppeteer']);
+  expect(browser.builtin).toEqual([]);
+  const search = overlaps.find(({ capability }) => capability === 'web-search');
+  expect(search.builtin).toEqual(['WebSearch']);
+  expect(search.servers[0].tools).toEqual(['mcp__firecrawl__firecrawl_search']);
+  expect(overlaps.map(({ capability }) => capability)).toEqual(['browser-automation', 'web-fetch', 'web-search']);
+
+  // Calls decide which server stays; without them the smaller one does
+  expect(pickServerToKeep(browser.servers).name).toBe('puppeteer');
+  expect(pickServerToKeep(browser.servers, { 'mcp-playwright': 4 }).name).toBe('mcp-playwright');
+
+  const { rules } = await loadRecommendationRules({ userPath: null });
+  const mcpServers = Object.fromEntries(
+    ['puppeteer', 'mcp-playwright', 'firecrawl'].map(name => [name, registry.servers[name].total])
+  );
+  const results = { mcpTools: 20000, breakdown: { mcpServers, mcpOverlaps: overlaps } };
+  const recommend = toolCalls => {
+    const usage = toolCalls && { sessions: 2, toolCalls: new Map(toolCalls), agentCalls: new Map() };
+    return evaluateRules(rules, collectRuleFacts(results, usage, { projectRoot: '/work/app' }));
+  };
+  const summary = recommendations => recommendations.map(({ rule, title, tokens }) => [rule, title, tokens]);
+
+  // Without usage history every overlap is reported in full
+  const withoutUsage = recommend(null);
+  const keepOne = withoutUsage.find(({ rule }) => rule === 'overlapping-mcp-servers');
+  expect(keepOne.title).toBe('Keep one browser automation server');
+  expect(keepOne.description).toContain('keep puppeteer and disable the rest');
+  expect(keepOne.tokens).toBe(browser.servers[0].tokens);
+  const builtin = withoutUsage.filter(({ rule }) => rule === 'duplicate-builtin-tools');
+  expect(builtin.map(({ title }) => title)).toEqual([
+    'Prefer built-in WebFetch over MCP web fetching',
+    'Prefer built-in WebSearch over MCP web search',
+  ]);
+  expect(builtin[1].description).toContain('firecrawl (1 of 6 tools,');
+  expect(builtin[1].tokens).toBe(search.servers[0].tokens);
+
+  // Both browser servers used: the most called stays. Unused firecrawl's tokens count once, in its own recommendation
+  const used = recommend([
+    ['mcp__mcp-playwright__playwright_click', 4],
+    ['mcp__puppeteer__puppeteer_click', 1],
+  ]);
+  expect(summary(used)).toEqual([
+    ['unused-mcp-server', 'Disable unused MCP server "firecrawl"', mcpServers.firecrawl],
+    ['overlapping-mcp-servers', 'Keep one browser automation server', browser.servers[1].tokens],
+  ]);
+  expect(used[1].description).toContain('keep mcp-playwright and disable the rest');
+  expect(used[1].keep).toBe('mcp-playwright');
+
+  // Nothing called: every server is already recommended for disabling, so no overlap says to keep one of them
+  expect(summary(recommend([])).map(([rule]) => rule)).toEqual([
+    'unused-mcp-server',
+    'unused-mcp-server',
+    'unused-mcp-server',
+  ]);
+});
+
+await runQueue();
+
+// Print test results
+console.log('\n📊 Test Results:');
+console.log('================');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+
+if (testsFailed > 0) {
+  console.log('\n❌ Failed Tests:');
+  failedTests.forEach(({ name, error }) => {
+    console.log(`  • ${name}: ${error}`);
+  });
+  process.exit(1);
+} else {
+  console.log('\n🎉 All analyzer tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Minimal stdio MCP server used by the analyzer tests
+ * Answers initialize and a paginated tools/list, then waits to be killed
+ */
+
+import readline from 'readline';
+
+const pages = [
+  [
+    {
+      name: 'lookup',
+      description: 'Look up a record by its identifier.',
+      inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+    },
+  ],
+  [
+    {
+      name: 'search',
+      description: 'Search all records using a free text query and optional result limit.',
+      inputSchema: {
+        type: 'object',
+        properties: { query: { type: 'string' }, limit: { type: 'number' } },
+        required: ['query'],
+      },
+    },
+  ],
+];
+
+const reply = (id, result) => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id, result })}\n`);
+
+// Non-protocol noise on stdout must be tolerated by the client
+process.stdout.write('stub server starting\n');
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  const message = JSON.parse(line);
+  if (message.method === 'initialize') {
+    reply(message.id, {
+      protocolVersion: message.params.protocolVersion,
+      capabilities: { tools: {} },
+      serverInfo: { name: 'stub', version: '0.0.1' },
+    });
+  } else if (message.method === 'tools/list') {
+    const page = Number(message.params?.cursor || 0);
+    reply(message.id, { tools: pages[page], ...(page + 1 < pages.length ? { nextCursor: String(page + 1) } : {}) });
+  }
+});